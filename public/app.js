@@ -2,6 +2,7 @@
 
 const API_BASE = "http://localhost:8001/api";
 let authToken = localStorage.getItem("authToken");
+let refreshToken = localStorage.getItem("refreshToken");
 let currentUser = JSON.parse(localStorage.getItem("currentUser") || "null");
 
 // Initialize the application
@@ -25,6 +26,8 @@ document.addEventListener("DOMContentLoaded", function () {
 
   checkConnection();
   updateAuthStatus();
+  refreshUnreadBadge();
+  subscribeToBookingEvents();
 });
 
 // Form validation functions
@@ -528,10 +531,73 @@ function showResponse(responseId, data, isError = false) {
   responseEl.textContent = JSON.stringify(data, null, 2);
 }
 
+// User-supplied text must never be rendered as HTML. Quotes are escaped too,
+// so the result is also safe inside attribute values.
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 function getAuthHeaders() {
   return authToken ? { Authorization: `Bearer ${authToken}` } : {};
 }
 
+function storeTokens(data) {
+  authToken = data.token;
+  refreshToken = data.refreshToken || null;
+  localStorage.setItem("authToken", authToken);
+  if (refreshToken) {
+    localStorage.setItem("refreshToken", refreshToken);
+  } else {
+    localStorage.removeItem("refreshToken");
+  }
+}
+
+// Exchange the refresh token for a new token pair (access tokens are short-lived)
+async function refreshSession() {
+  if (!refreshToken) return false;
+
+  try {
+    const response = await fetch(`${API_BASE}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (!response.ok) return false;
+
+    const data = await response.json();
+    storeTokens(data);
+    return true;
+  } catch (error) {
+    console.error("💥 Session refresh failed:", error); // Debug log
+    return false;
+  }
+}
+
+// fetch() with the access token, retried once with a fresh token when the
+// current one has expired. Use it for requests makeRequest can't send, such
+// as FormData uploads, which need the browser to set Content-Type.
+async function authFetch(url, options = {}, retried = false) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...getAuthHeaders(),
+      ...options.headers,
+    },
+  });
+
+  if (response.status === 401 && !retried && authToken && (await refreshSession())) {
+    return authFetch(url, options, true);
+  }
+
+  return response;
+}
+
 async function makeRequest(url, options = {}) {
   try {
     console.log("🌐 Making request to:", url, options); // Debug log
@@ -540,19 +606,19 @@ async function makeRequest(url, options = {}) {
       ...options,
       headers: {
         "Content-Type": "application/json",
-        ...getAuthHeaders(),
         ...options.headers,
       },
     };
 
     console.log("📋 Request options:", requestOptions); // Debug log
 
-    const response = await fetch(url, requestOptions);
+    const response = await authFetch(url, requestOptions);
 
     console.log("📡 Response status:", response.status, response.statusText); // Debug log
     console.log("📡 Response headers:", [...response.headers.entries()]); // Debug log
 
-    const data = await response.json();
+    // 204 No Content responses have no body to parse
+    const data = response.status === 204 ? null : await response.json();
     console.log("📦 Response data:", data); // Debug log
 
     if (!response.ok) {
@@ -681,9 +747,8 @@ async function register() {
 
     console.log("🎉 Registration successful:", data); // Debug log
 
-    authToken = data.token;
+    storeTokens(data);
     currentUser = data.data.user;
-    localStorage.setItem("authToken", authToken);
     localStorage.setItem("currentUser", JSON.stringify(currentUser));
 
     updateAuthStatus();
@@ -801,12 +866,13 @@ async function login() {
 
     console.log("🎉 Login successful:", data); // Debug log
 
-    authToken = data.token;
+    storeTokens(data);
     currentUser = data.data.user;
-    localStorage.setItem("authToken", authToken);
     localStorage.setItem("currentUser", JSON.stringify(currentUser));
 
     updateAuthStatus();
+    refreshUnreadBadge();
+    subscribeToBookingEvents();
     showResponse("authResponse", {
       message: "Login successful!",
       user: {
@@ -903,14 +969,28 @@ async function login() {
 }
 
 function logout() {
+  // Revoke the session server-side; the local state is cleared either way.
+  // The refresh token ends the session even if the access token has expired.
+  if (authToken || refreshToken) {
+    fetch(`${API_BASE}/auth/logout`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+      body: JSON.stringify(refreshToken ? { refreshToken } : {}),
+    }).catch((error) => console.error("💥 Logout request failed:", error));
+  }
+
   authToken = null;
+  refreshToken = null;
   currentUser = null;
   localStorage.removeItem("authToken");
+  localStorage.removeItem("refreshToken");
   localStorage.removeItem("currentUser");
   
   // Hide any open account management forms
   hideUpdatePasswordForm();
   hideReactivationForm();
+  renderUnreadBadge(0);
+  stopBookingEvents();
   
   updateAuthStatus();
   showResponse("authResponse", { message: "Logged out successfully" });
@@ -951,6 +1031,8 @@ async function addPet() {
     const breed = document.getElementById("petBreed")?.value || "";
     const age = document.getElementById("petAge")?.value || "";
     const weight = document.getElementById("petWeight")?.value || "";
+    const sizeOverride =
+      document.getElementById("petSizeOverride")?.value || "";
     const gender = document.getElementById("petGender")?.value || "";
     const color = document.getElementById("petColor")?.value || "";
     const specialNeeds =
@@ -976,6 +1058,7 @@ async function addPet() {
     if (breed) formData.append("breed", breed);
     if (age) formData.append("age", age);
     if (weight) formData.append("weight", weight);
+    if (sizeOverride) formData.append("sizeOverride", sizeOverride);
     if (gender) formData.append("gender", gender);
     if (color) formData.append("color", color);
     if (specialNeeds) formData.append("specialNeeds", specialNeeds);
@@ -994,12 +1077,9 @@ async function addPet() {
       console.log(key, value);
     }
 
-    const response = await fetch(`${API_BASE}/pets`, {
+    // Don't set Content-Type for FormData, let browser set it with boundary
+    const response = await authFetch(`${API_BASE}/pets`, {
       method: "POST",
-      headers: {
-        Authorization: `Bearer ${authToken}`,
-        // Don't set Content-Type for FormData, let browser set it with boundary
-      },
       body: formData,
     });
 
@@ -1019,6 +1099,8 @@ async function addPet() {
       document.getElementById("petAge").value = "";
     if (document.getElementById("petWeight"))
       document.getElementById("petWeight").value = "";
+    if (document.getElementById("petSizeOverride"))
+      document.getElementById("petSizeOverride").value = "";
     if (document.getElementById("petGender"))
       document.getElementById("petGender").value = "";
     if (document.getElementById("petColor"))
@@ -1107,6 +1189,11 @@ async function loadPets() {
                               pet.weight ? `${pet.weight} lbs` : "Not specified"
                             }
                         </div>
+                        <div>
+                            <strong>Size:</strong> ${
+                              pet.size ? pet.size.replace("_", " ") : "Unknown"
+                            }
+                        </div>
                         <div>
                             <strong>Gender:</strong> ${pet.gender || "Unknown"}
                         </div>
@@ -1281,10 +1368,18 @@ async function loadPets() {
 }
 
 // Service Functions
+// Filters picked from facet chips that have no form field of their own
+let facetFilters = {};
+// Services currently shown in the list, kept to re-render favorite toggles
+let listedServices = [];
+
 async function loadAllServices() {
   try {
+    facetFilters = {};
     const data = await makeRequest(`${API_BASE}/services`);
     showResponse("servicesResponse", data);
+    renderServiceList(data.data.services);
+    renderServiceFacets(data.data.facets);
   } catch (error) {
     showResponse("servicesResponse", { error: error.message }, true);
   }
@@ -1296,7 +1391,7 @@ async function searchServices() {
     const serviceType = document.getElementById("searchServiceType").value;
     const petType = document.getElementById("searchPetType").value;
 
-    let query = new URLSearchParams();
+    let query = new URLSearchParams(facetFilters);
     if (city) query.append("city", city);
     if (serviceType) query.append("serviceType", serviceType);
     if (petType) query.append("petType", petType);
@@ -1305,6 +1400,205 @@ async function searchServices() {
     const data = await makeRequest(url);
 
     showResponse("servicesResponse", data);
+    renderServiceList(data.data.services);
+    renderServiceFacets(data.data.facets);
+  } catch (error) {
+    showResponse("servicesResponse", { error: error.message }, true);
+  }
+}
+
+function renderServiceList(services) {
+  listedServices = services;
+  const listEl = document.getElementById("servicesList");
+
+  if (services.length === 0) {
+    listEl.innerHTML = "<p>No services found.</p>";
+    return;
+  }
+
+  const canFavorite = currentUser && currentUser.role === "owner";
+
+  listEl.innerHTML = services
+    .map(
+      (service) => `
+        <div style="border: 1px solid #e2e8f0; padding: 12px; margin: 8px 0; border-radius: 8px; background: #f8fafc; display: flex; justify-content: space-between; align-items: center;">
+          <div>
+            <strong style="color: #2d3748;">${escapeHtml(service.title)}</strong>
+            <div style="font-size: 12px; color: #718096;">
+              ${escapeHtml(service.serviceType.replace("_", " "))} · $${escapeHtml(service.price)}${
+        service.location?.city ? ` · ${escapeHtml(service.location.city)}` : ""
+      }${service.rating?.count ? ` · ${service.rating.average} ★` : ""}
+            </div>
+          </div>
+          ${
+            canFavorite
+              ? `<button type="button" onclick="toggleFavorite('${escapeHtml(service._id)}')"
+                   title="${service.isFavorite ? "Remove from favorites" : "Save to favorites"}"
+                   style="background: none; border: none; font-size: 20px; cursor: pointer; color: ${service.isFavorite ? "#e53e3e" : "#a0aec0"};">
+                   ${service.isFavorite ? "♥" : "♡"}
+                 </button>`
+              : ""
+          }
+        </div>
+      `
+    )
+    .join("");
+}
+
+async function toggleFavorite(serviceId) {
+  const service = listedServices.find((s) => s._id === serviceId);
+  if (!service) return;
+
+  try {
+    const data = await makeRequest(`${API_BASE}/favorites/${serviceId}`, {
+      method: service.isFavorite ? "DELETE" : "POST",
+    });
+
+    service.isFavorite = !service.isFavorite;
+    renderServiceList(listedServices);
+    showResponse(
+      "servicesResponse",
+      data || { status: "success", message: "Service removed from favorites" }
+    );
+  } catch (error) {
+    showResponse("servicesResponse", { error: error.message }, true);
+  }
+}
+
+async function loadFavorites() {
+  if (!authToken) {
+    showResponse("servicesResponse", { error: "Please login first" }, true);
+    return;
+  }
+
+  try {
+    const data = await makeRequest(`${API_BASE}/favorites`);
+    showResponse("servicesResponse", data);
+    renderServiceList(
+      data.data.favorites
+        .filter((favorite) => favorite.service)
+        .map((favorite) => ({ ...favorite.service, isFavorite: true }))
+    );
+    renderServiceFacets(null);
+  } catch (error) {
+    showResponse("servicesResponse", { error: error.message }, true);
+  }
+}
+
+// Facet values come from stored service data, so they travel in data-
+// attributes and are read by a click listener rather than inline JavaScript
+function facetChip(label, count, name, value) {
+  return `<button type="button" class="facet-chip" data-facet="${escapeHtml(name)}" data-value="${escapeHtml(value)}"
+            style="background: #edf2f7; color: #2d3748; border: 1px solid #cbd5e0; padding: 4px 10px; border-radius: 12px; margin: 0 6px 6px 0; cursor: pointer; font-size: 12px;">
+            ${escapeHtml(label)} <strong>(${count})</strong>
+          </button>`;
+}
+
+function renderServiceFacets(facets) {
+  const facetsEl = document.getElementById("serviceFacets");
+  if (!facets) {
+    facetsEl.innerHTML = "";
+    return;
+  }
+
+  const formatRange = (range, unit = "") =>
+    range.max === null
+      ? `${unit}${range.min}+`
+      : `${unit}${range.min}-${unit}${range.max}`;
+
+  const groups = [
+    {
+      title: "Service Type",
+      chips: facets.serviceType.map((f) =>
+        facetChip(f.value.replace("_", " "), f.count, "serviceType", f.value)
+      ),
+    },
+    {
+      title: "Pet Type",
+      chips: facets.petTypes.map((f) =>
+        facetChip(f.value, f.count, "petType", f.value)
+      ),
+    },
+    {
+      title: "Price",
+      chips: facets.price.map((f) =>
+        facetChip(
+          formatRange(f, "$"),
+          f.count,
+          "price",
+          `${f.min}|${f.max === null ? "" : f.max}`
+        )
+      ),
+    },
+    {
+      title: "Rating",
+      chips: facets.rating.map((f) =>
+        facetChip(`${formatRange(f)} ★`, f.count, "rating", f.min)
+      ),
+    },
+    {
+      title: "City",
+      chips: facets.city.map((f) =>
+        facetChip(f.value, f.count, "city", f.value)
+      ),
+    },
+    {
+      title: "Instant Booking",
+      chips: facets.instantBooking
+        .filter((f) => f.value === true)
+        .map((f) =>
+          facetChip("Instant booking", f.count, "instantBooking", "true")
+        ),
+    },
+  ].filter((group) => group.chips.length > 0);
+
+  facetsEl.innerHTML = groups
+    .map(
+      (group) => `
+        <div style="margin-bottom: 8px;">
+          <div style="font-size: 12px; color: #718096; margin-bottom: 4px;">${group.title}</div>
+          ${group.chips.join("")}
+        </div>
+      `
+    )
+    .join("");
+
+  facetsEl.querySelectorAll(".facet-chip").forEach((chip) =>
+    chip.addEventListener("click", () =>
+      applyFacet(chip.dataset.facet, chip.dataset.value)
+    )
+  );
+}
+
+function applyFacet(name, value) {
+  if (name === "serviceType") {
+    document.getElementById("searchServiceType").value = value;
+  } else if (name === "petType") {
+    document.getElementById("searchPetType").value = value;
+  } else if (name === "city") {
+    document.getElementById("searchCity").value = value;
+  } else if (name === "price") {
+    const [minPrice, maxPrice] = value.split("|");
+    facetFilters.minPrice = minPrice;
+    if (maxPrice) facetFilters.maxPrice = maxPrice;
+    else delete facetFilters.maxPrice;
+  } else {
+    facetFilters[name] = value;
+  }
+
+  searchServices();
+}
+
+async function loadSitterProfile() {
+  const sitterId = document.getElementById("sitterProfileId").value.trim();
+  if (!sitterId) {
+    showResponse("servicesResponse", { error: "Enter a sitter ID" }, true);
+    return;
+  }
+
+  try {
+    const data = await makeRequest(`${API_BASE}/sitters/${sitterId}`);
+    showResponse("servicesResponse", data);
   } catch (error) {
     showResponse("servicesResponse", { error: error.message }, true);
   }
@@ -1428,6 +1722,14 @@ async function loadBookings() {
                                     style="background: #f56565; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer;">
                                 🚫 Cancel Booking
                             </button>
+                            ${
+                              booking.series
+                                ? `<button onclick="cancelBookingSeries('${booking.series}')"
+                                    style="background: #c53030; color: white; border: none; padding: 6px 12px; border-radius: 4px; cursor: pointer; margin-left: 5px;">
+                                🔁 Cancel Series
+                            </button>`
+                                : ""
+                            }
                         </div>
                     `;
           }
@@ -1447,7 +1749,7 @@ async function loadBookings() {
                         <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
                             <strong style="color: #2d3748;">📅 Booking #${booking._id.slice(
                               -6
-                            )}</strong>
+                            )}${booking.series ? " 🔁 Recurring" : ""}</strong>
                             <span style="background: ${
                               statusColors[booking.status] || "#6b7280"
                             }; color: white; padding: 4px 8px; border-radius: 12px; font-size: 12px; font-weight: bold;">
@@ -1455,6 +1757,22 @@ async function loadBookings() {
                             </span>
                         </div>
                         
+                        ${
+                          booking.overdueAt && !booking.checkOut?.time
+                            ? `
+                            <div style="margin-bottom: 10px; background: #fee2e2; color: #991b1b; padding: 8px; border-radius: 4px;">
+                                ⚠️ Check-out overdue: this booking ended without a check-out
+                            </div>
+                        `
+                            : booking.autoDeclinedAt
+                            ? `
+                            <div style="margin-bottom: 10px; background: #fef2f2; color: #991b1b; padding: 8px; border-radius: 4px;">
+                                Declined automatically: the sitter did not respond in time
+                            </div>
+                        `
+                            : ""
+                        }
+
                         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 10px;">
                             <div><strong>Start:</strong> ${startDate}</div>
                             <div><strong>End:</strong> ${endDate}</div>
@@ -1467,10 +1785,25 @@ async function loadBookings() {
                         </div>
                         
                         ${
-                          booking.pet
+                          booking.pets && booking.pets.length > 1
+                            ? `
+                            <div style="margin-bottom: 10px;">
+                                <strong>Pets:</strong> ${booking.pets
+                                  .map(
+                                    (pet) =>
+                                      `${escapeHtml(pet.name)} (${escapeHtml(
+                                        pet.species
+                                      )})`
+                                  )
+                                  .join(", ")}
+                            </div>
+                        `
+                            : booking.pet
                             ? `
                             <div style="margin-bottom: 10px;">
-                                <strong>Pet:</strong> ${booking.pet.name} (${booking.pet.species})
+                                <strong>Pet:</strong> ${escapeHtml(
+                                  booking.pet.name
+                                )} (${escapeHtml(booking.pet.species)})
                             </div>
                         `
                             : ""
@@ -1515,9 +1848,16 @@ async function createBooking() {
   }
 
   try {
+    // Several pets can be booked together as comma-separated IDs
+    const petIds = document
+      .getElementById("bookingPetId")
+      .value.split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+
     const bookingData = {
       service: document.getElementById("bookingServiceId").value,
-      pet: document.getElementById("bookingPetId").value,
+      pets: petIds,
       startDate: document.getElementById("bookingStartDate").value,
       endDate: document.getElementById("bookingEndDate").value,
       notes: document.getElementById("bookingNotes").value || undefined,
@@ -1536,6 +1876,8 @@ async function createBooking() {
     document.getElementById("bookingStartDate").value = "";
     document.getElementById("bookingEndDate").value = "";
     document.getElementById("bookingNotes").value = "";
+    document.getElementById("bookingSlot").innerHTML =
+      '<option value="">Pick a free slot...</option>';
 
     // Refresh bookings list
     loadBookings();
@@ -1544,6 +1886,426 @@ async function createBooking() {
   }
 }
 
+// Live Booking Events
+// Aborts the open event stream (on logout or reconnect)
+let bookingEventsController = null;
+let bookingEventsRetry = null;
+
+const BOOKING_EVENT_LABELS = {
+  "booking.created": "New booking request",
+  "booking.status": "Booking status changed",
+  "booking.checkin": "Sitter checked in",
+  "booking.checkout": "Sitter checked out",
+  "booking.update": "New update from your sitter",
+};
+
+function setLiveStatus(text) {
+  const statusEl = document.getElementById("liveStatus");
+  if (statusEl) statusEl.textContent = text;
+}
+
+function showBookingEvent(event) {
+  const eventsEl = document.getElementById("liveBookingEvents");
+  const label = BOOKING_EVENT_LABELS[event.type] || event.type;
+  const detail =
+    event.type === "booking.update"
+      ? event.data.update?.message || ""
+      : event.booking.status.replace("_", " ");
+
+  eventsEl.insertAdjacentHTML(
+    "afterbegin",
+    `<div style="background: #ebf8ff; border-left: 3px solid #3182ce; padding: 6px 10px; margin-bottom: 6px; border-radius: 4px; font-size: 13px;">
+       <strong>${label}</strong> · Booking #${event.booking._id.slice(-6)} · ${escapeHtml(detail)}
+       <span style="color: #a0aec0; font-size: 11px;">${new Date(event.at).toLocaleTimeString()}</span>
+     </div>`
+  );
+
+  // Keep the last few events only
+  while (eventsEl.children.length > 5) {
+    eventsEl.removeChild(eventsEl.lastChild);
+  }
+
+  // Refresh the list if it is being shown
+  if (document.getElementById("bookingsList").innerHTML.trim()) {
+    loadBookings();
+  }
+}
+
+// Split an SSE chunk stream into { event, data } messages
+function parseSseMessages(buffer) {
+  const messages = [];
+  const blocks = buffer.split("\n\n");
+  const rest = blocks.pop();
+
+  blocks.forEach((block) => {
+    const message = { event: "message", data: "" };
+    block.split("\n").forEach((line) => {
+      if (line.startsWith("event: ")) message.event = line.slice(7);
+      else if (line.startsWith("data: ")) message.data += line.slice(6);
+    });
+    if (message.data) messages.push(message);
+  });
+
+  return { messages, rest };
+}
+
+function stopBookingEvents() {
+  clearTimeout(bookingEventsRetry);
+  if (bookingEventsController) {
+    bookingEventsController.abort();
+    bookingEventsController = null;
+  }
+  setLiveStatus("offline");
+}
+
+// EventSource can't send the Authorization header, so read the stream with fetch
+async function subscribeToBookingEvents(retried = false) {
+  stopBookingEvents();
+  if (!authToken) return;
+
+  const controller = new AbortController();
+  bookingEventsController = controller;
+  setLiveStatus("connecting...");
+
+  try {
+    const response = await fetch(`${API_BASE}/events`, {
+      headers: getAuthHeaders(),
+      signal: controller.signal,
+    });
+
+    if (response.status === 401 && !retried && (await refreshSession())) {
+      return subscribeToBookingEvents(true);
+    }
+    if (!response.ok) throw new Error(`Event stream failed (${response.status})`);
+
+    setLiveStatus("connected");
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      const parsed = parseSseMessages(buffer + decoder.decode(value, { stream: true }));
+      buffer = parsed.rest;
+      parsed.messages
+        .filter((message) => message.event.startsWith("booking."))
+        .forEach((message) => showBookingEvent(JSON.parse(message.data)));
+    }
+
+    throw new Error("Event stream closed");
+  } catch (error) {
+    if (controller.signal.aborted) return;
+
+    console.error("💥 Booking events disconnected:", error); // Debug log
+    setLiveStatus("reconnecting...");
+    bookingEventsRetry = setTimeout(() => subscribeToBookingEvents(), 5000);
+  }
+}
+
+// Format a date for a datetime-local input (local time, no seconds)
+function toDateTimeLocal(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+async function loadBookingSlots() {
+  const serviceId = document.getElementById("bookingServiceId").value;
+
+  if (!serviceId) {
+    showResponse(
+      "bookingsResponse",
+      { error: "Enter a service ID to find free slots" },
+      true
+    );
+    return;
+  }
+
+  try {
+    const data = await makeRequest(`${API_BASE}/services/${serviceId}/slots`);
+    const slotSelect = document.getElementById("bookingSlot");
+
+    if (data.data.slots.length === 0) {
+      slotSelect.innerHTML =
+        '<option value="">No free slots in the next 7 days</option>';
+      return;
+    }
+
+    slotSelect.innerHTML =
+      '<option value="">Pick a free slot...</option>' +
+      data.data.slots
+        .map((slot) => {
+          const start = new Date(slot.startDate);
+          const end = new Date(slot.endDate);
+          return `<option value="${slot.startDate}|${slot.endDate}">
+                    ${start.toLocaleString([], {
+                      weekday: "short",
+                      month: "short",
+                      day: "numeric",
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })} - ${end.toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          })} (${slot.remaining} left)
+                  </option>`;
+        })
+        .join("");
+  } catch (error) {
+    showResponse("bookingsResponse", { error: error.message }, true);
+  }
+}
+
+function selectBookingSlot() {
+  const value = document.getElementById("bookingSlot").value;
+  if (!value) return;
+
+  const [startDate, endDate] = value.split("|");
+  document.getElementById("bookingStartDate").value = toDateTimeLocal(
+    new Date(startDate)
+  );
+  document.getElementById("bookingEndDate").value = toDateTimeLocal(
+    new Date(endDate)
+  );
+}
+
+// Cancel every upcoming booking in a recurring series
+async function cancelBookingSeries(seriesId) {
+  if (!confirm("Cancel every upcoming booking in this series?")) return;
+
+  try {
+    const data = await makeRequest(
+      `${API_BASE}/bookings/series/${seriesId}/cancel`,
+      { method: "PATCH", body: JSON.stringify({}) }
+    );
+
+    const { failures } = data.data;
+    if (failures.length > 0) {
+      alert(
+        `${data.message}. These could not be cancelled:\n` +
+          failures
+            .map((f) => `${new Date(f.startDate).toLocaleString()}: ${f.reason}`)
+            .join("\n")
+      );
+    }
+
+    showResponse("bookingsResponse", data);
+    loadBookings();
+  } catch (error) {
+    showResponse("bookingsResponse", { error: error.message }, true);
+  }
+}
+
+async function updateBookingStatus(bookingId, status) {
+  try {
+    // Show the refund the owner would get before confirming a cancellation
+    if (status === "cancelled") {
+      const quoteData = await makeRequest(
+        `${API_BASE}/bookings/${bookingId}/cancellation-quote`
+      );
+      const quote = quoteData.data.quote;
+
+      if (!quote.canBeCancelled) {
+        alert(
+          `This booking can no longer be cancelled (${quote.policy} policy, deadline ${new Date(
+            quote.cancellationDeadline
+          ).toLocaleString()}).`
+        );
+        return;
+      }
+
+      const confirmed = confirm(
+        `Cancellation policy: ${quote.policy}\n` +
+          `Refund: $${quote.refundAmount} of $${quote.totalPrice} (${quote.refundPercent}%)\n\n` +
+          "Cancel this booking?"
+      );
+      if (!confirmed) return;
+    }
+
+    const data = await makeRequest(`${API_BASE}/bookings/${bookingId}/status`, {
+      method: "PATCH",
+      body: JSON.stringify({ status }),
+    });
+
+    showResponse("bookingsResponse", data);
+    loadBookings();
+  } catch (error) {
+    showResponse("bookingsResponse", { error: error.message }, true);
+  }
+}
+
+// Messaging Functions
+// Conversation open in the thread view
+let openConversationId = null;
+
+function renderUnreadBadge(unread) {
+  const badgeEl = document.getElementById("unreadBadge");
+  badgeEl.innerHTML = unread
+    ? `<span style="background: #e53e3e; color: white; border-radius: 10px; padding: 1px 7px; font-size: 11px;">${unread}</span>`
+    : "";
+}
+
+async function refreshUnreadBadge() {
+  if (!authToken) return;
+
+  try {
+    const data = await makeRequest(`${API_BASE}/conversations/unread`);
+    renderUnreadBadge(data.data.unread);
+  } catch (error) {
+    console.error("💥 Unread count failed:", error); // Debug log
+  }
+}
+
+async function loadInbox() {
+  if (!authToken) {
+    showResponse("messagesResponse", { error: "Please login first" }, true);
+    return;
+  }
+
+  try {
+    const data = await makeRequest(`${API_BASE}/conversations`);
+    const listEl = document.getElementById("conversationList");
+    renderUnreadBadge(data.data.unread);
+
+    if (data.data.conversations.length === 0) {
+      listEl.innerHTML = "<p>No conversations yet.</p>";
+    } else {
+      listEl.innerHTML = data.data.conversations
+        .map((conversation) => {
+          const other =
+            currentUser.role === "owner" ? conversation.sitter : conversation.owner;
+          const topic = conversation.booking
+            ? `Booking on ${new Date(conversation.booking.startDate).toLocaleDateString()}`
+            : `Inquiry: ${conversation.service?.title || "service"}`;
+
+          return `
+            <div onclick="openConversation('${conversation._id}')"
+                 style="border: 1px solid #e2e8f0; padding: 10px; margin: 8px 0; border-radius: 8px; cursor: pointer; background: ${
+                   conversation.unreadCount ? "#ebf8ff" : "#f8fafc"
+                 };">
+              <div style="display: flex; justify-content: space-between;">
+                <strong>${escapeHtml(other?.name || "Unknown user")}</strong>
+                ${
+                  conversation.unreadCount
+                    ? `<span style="background: #3182ce; color: white; border-radius: 10px; padding: 1px 7px; font-size: 11px;">${conversation.unreadCount}</span>`
+                    : ""
+                }
+              </div>
+              <div style="font-size: 12px; color: #718096;">${escapeHtml(topic)}</div>
+              <div style="font-size: 13px; color: #4a5568; margin-top: 4px;">${escapeHtml(
+                conversation.lastMessage?.body || ""
+              )}</div>
+            </div>
+          `;
+        })
+        .join("");
+    }
+
+    showResponse("messagesResponse", data);
+  } catch (error) {
+    showResponse("messagesResponse", { error: error.message }, true);
+  }
+}
+
+async function openConversation(conversationId) {
+  openConversationId = conversationId;
+
+  try {
+    const data = await makeRequest(
+      `${API_BASE}/conversations/${conversationId}/messages?limit=50`
+    );
+    const threadEl = document.getElementById("conversationThread");
+
+    // Messages arrive newest first; show them oldest first
+    const messages = [...data.data.messages].reverse();
+    threadEl.innerHTML = messages.length
+      ? messages
+          .map((message) => {
+            const mine = message.sender === currentUser._id || message.sender === currentUser.id;
+            const receipt = mine
+              ? message.readAt
+                ? `✓✓ Read ${new Date(message.readAt).toLocaleString()}`
+                : "✓ Sent"
+              : "";
+
+            return `
+              <div style="margin: 6px 0; text-align: ${mine ? "right" : "left"};">
+                <div style="display: inline-block; max-width: 80%; padding: 8px 12px; border-radius: 12px; background: ${
+                  mine ? "#bee3f8" : "#edf2f7"
+                }; text-align: left;">
+                  ${escapeHtml(message.body)}
+                </div>
+                <div style="font-size: 11px; color: #a0aec0;">
+                  ${new Date(message.createdAt).toLocaleString()} ${receipt}
+                </div>
+              </div>
+            `;
+          })
+          .join("")
+      : "<p>No messages yet.</p>";
+    threadEl.scrollTop = threadEl.scrollHeight;
+
+    await makeRequest(`${API_BASE}/conversations/${conversationId}/read`, {
+      method: "PATCH",
+    });
+    await loadInbox();
+  } catch (error) {
+    showResponse("messagesResponse", { error: error.message }, true);
+  }
+}
+
+async function sendReply() {
+  const body = document.getElementById("replyBody").value.trim();
+
+  if (!openConversationId) {
+    showResponse("messagesResponse", { error: "Open a conversation first" }, true);
+    return;
+  }
+  if (!body) return;
+
+  try {
+    await makeRequest(`${API_BASE}/conversations/${openConversationId}/messages`, {
+      method: "POST",
+      body: JSON.stringify({ body }),
+    });
+
+    document.getElementById("replyBody").value = "";
+    await openConversation(openConversationId);
+  } catch (error) {
+    showResponse("messagesResponse", { error: error.message }, true);
+  }
+}
+
+async function startConversation() {
+  if (!authToken) {
+    showResponse("messagesResponse", { error: "Please login first" }, true);
+    return;
+  }
+
+  const booking = document.getElementById("messageBookingId").value.trim();
+  const service = document.getElementById("messageServiceId").value.trim();
+  const body = document.getElementById("newMessageBody").value.trim();
+
+  try {
+    const data = await makeRequest(`${API_BASE}/conversations`, {
+      method: "POST",
+      body: JSON.stringify({
+        ...(booking ? { booking } : { service }),
+        body,
+      }),
+    });
+
+    document.getElementById("newMessageBody").value = "";
+    showResponse("messagesResponse", data);
+    await openConversation(data.data.conversation._id);
+  } catch (error) {
+    showResponse("messagesResponse", { error: error.message }, true);
+  }
+}
+
 // Edit Pet Functions
 async function editPet(petId) {
   if (!authToken) {
@@ -1568,6 +2330,8 @@ async function editPet(petId) {
     document.getElementById("editPetBreed").value = pet.breed || "";
     document.getElementById("editPetAge").value = pet.age || "";
     document.getElementById("editPetWeight").value = pet.weight || "";
+    document.getElementById("editPetSizeOverride").value =
+      pet.sizeOverride || "";
     document.getElementById("editPetGender").value = pet.gender || "";
     document.getElementById("editPetColor").value = pet.color || "";
     document.getElementById("editPetVaccinated").checked = pet.vaccinated === true;
@@ -1625,6 +2389,10 @@ async function updatePet() {
     formData.append("breed", document.getElementById("editPetBreed").value);
     formData.append("age", document.getElementById("editPetAge").value);
     formData.append("weight", document.getElementById("editPetWeight").value);
+    formData.append(
+      "sizeOverride",
+      document.getElementById("editPetSizeOverride").value
+    );
     formData.append("gender", document.getElementById("editPetGender").value);
     formData.append("color", document.getElementById("editPetColor").value);
     formData.append("vaccinated", document.getElementById("editPetVaccinated").checked);
@@ -1649,11 +2417,8 @@ async function updatePet() {
     updateButton.disabled = true;
     updateButton.textContent = "Updating...";
 
-    const response = await fetch(`${API_BASE}/pets/${petId}`, {
+    const response = await authFetch(`${API_BASE}/pets/${petId}`, {
       method: "PUT",
-      headers: {
-        Authorization: `Bearer ${authToken}`,
-      },
       body: formData,
     });
 
@@ -1694,11 +2459,8 @@ async function removeCurrentPhoto(petId, photoIndex) {
   }
 
   try {
-    const response = await fetch(`${API_BASE}/pets/${petId}/photos/${photoIndex}`, {
+    const response = await authFetch(`${API_BASE}/pets/${petId}/photos/${photoIndex}`, {
       method: "DELETE",
-      headers: {
-        Authorization: `Bearer ${authToken}`,
-      },
     });
 
     if (!response.ok) {
@@ -1733,10 +2495,9 @@ This action can be reversed by reactivating your account.`;
 
   if (confirm(confirmMessage)) {
     try {
-      const response = await fetch(`${API_BASE}/auth/me`, {
+      const response = await authFetch(`${API_BASE}/auth/me`, {
         method: "DELETE",
         headers: {
-          Authorization: `Bearer ${authToken}`,
           "Content-Type": "application/json",
         },
       });
@@ -1794,10 +2555,9 @@ async function updatePassword() {
   }
 
   try {
-    const response = await fetch(`${API_BASE}/auth/updatePassword`, {
+    const response = await authFetch(`${API_BASE}/auth/updatePassword`, {
       method: "PUT",
       headers: {
-        Authorization: `Bearer ${authToken}`,
         "Content-Type": "application/json",
       },
       body: JSON.stringify({
@@ -1811,10 +2571,9 @@ async function updatePassword() {
     if (response.ok) {
       alert("Password updated successfully!");
       hideUpdatePasswordForm();
-      // Update token if provided
+      // Other sessions were revoked; keep this one with the new tokens
       if (data.token) {
-        authToken = data.token;
-        localStorage.setItem("authToken", authToken);
+        storeTokens(data);
       }
     } else {
       alert("Error updating password: " + data.message);
@@ -1845,7 +2604,7 @@ async function reactivateAccount() {
   }
 
   try {
-    const response = await fetch(`${API_BASE}/auth/reactivate`, {
+    const response = await authFetch(`${API_BASE}/auth/reactivate`, {
       method: "PUT",
       headers: {
         "Content-Type": "application/json",
@@ -1862,9 +2621,8 @@ async function reactivateAccount() {
       alert("Account reactivated successfully! Welcome back!");
       
       // Auto-login the user
-      authToken = data.token;
+      storeTokens(data);
       currentUser = data.data.user;
-      localStorage.setItem("authToken", authToken);
       localStorage.setItem("currentUser", JSON.stringify(currentUser));
       
       updateAuthStatus();
@@ -0,0 +1,274 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/User');
+const Service = require('../../models/Service');
+const Booking = require('../../models/Booking');
+const RefreshToken = require('../../models/RefreshToken');
+const ScheduledJob = require('../../models/ScheduledJob');
+const { MAX_LIMIT } = require('../../utils/queryBuilder');
+const jwt = require('jsonwebtoken');
+
+// Mock the models
+jest.mock('../../models/User');
+jest.mock('../../models/Service');
+jest.mock('../../models/Booking');
+jest.mock('../../models/Notification');
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/ScheduledJob');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+describe('Admin Controller', () => {
+  let authToken;
+  let mockAdmin;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockAdmin = {
+      _id: 'adminId',
+      id: 'adminId',
+      name: 'Admin',
+      email: 'admin@example.com',
+      role: 'admin',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    };
+
+    authToken = jwt.sign({ id: mockAdmin._id }, process.env.JWT_SECRET);
+    User.findById.mockImplementation(async (id) => (id === 'adminId' ? mockAdmin : null));
+  });
+
+  it('should reject non-admin users', async () => {
+    mockAdmin.role = 'owner';
+
+    const response = await request(app)
+      .get('/api/admin/stats')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Only administrators can perform this action.');
+  });
+
+  describe('GET /api/admin/users', () => {
+    beforeEach(() => {
+      User.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: 'userId', role: 'sitter' }])
+      });
+      User.countDocuments.mockResolvedValue(1);
+    });
+
+    it('should filter users', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role=sitter&isActive=true&suspended=false&email=Sam@Example.com&page=1')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.pagination.total).toBe(1);
+      expect(User.find).toHaveBeenCalledWith({
+        role: 'sitter',
+        isActive: true,
+        email: 'sam@example.com',
+        'suspension.suspendedAt': { $exists: false }
+      });
+    });
+
+    it('should reject query operators in filters', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role[$ne]=admin')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.parameter).toBe('role');
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?role=superuser')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.parameter).toBe('role');
+    });
+
+    it('should cap the page size', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?page=1&limit=100000')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.pagination.limit).toBe(MAX_LIMIT);
+    });
+  });
+
+  describe('PATCH /api/admin/users/:id/suspend', () => {
+    it('should suspend a user and revoke their sessions', async () => {
+      const target = {
+        _id: 'userId',
+        isSuspended: jest.fn().mockReturnValue(false),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      User.findById.mockImplementation(async (id) => (id === 'adminId' ? mockAdmin : target));
+
+      const response = await request(app)
+        .patch('/api/admin/users/userId/suspend')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Repeated no-shows' });
+
+      expect(response.status).toBe(200);
+      expect(target.suspension.reason).toBe('Repeated no-shows');
+      expect(target.suspension.suspendedBy).toBe('adminId');
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('userId');
+    });
+
+    it('should not let admins suspend themselves', async () => {
+      const response = await request(app)
+        .patch('/api/admin/users/adminId/suspend')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Oops' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require a reason', async () => {
+      const response = await request(app)
+        .patch('/api/admin/users/userId/suspend')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/admin/services/:id', () => {
+    it('should deactivate and unfeature a service', async () => {
+      Service.findByIdAndUpdate.mockResolvedValue({ _id: 'service1', isActive: false });
+
+      const response = await request(app)
+        .patch('/api/admin/services/service1/deactivate')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Service.findByIdAndUpdate).toHaveBeenCalledWith(
+        'service1',
+        { isActive: false, featured: false },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should feature an active service', async () => {
+      const service = { _id: 'service1', isActive: true, save: jest.fn().mockResolvedValue(true) };
+      Service.findById.mockResolvedValue(service);
+
+      const response = await request(app)
+        .patch('/api/admin/services/service1/feature')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ featured: true });
+
+      expect(response.status).toBe(200);
+      expect(service.featured).toBe(true);
+    });
+
+    it('should unfeature an inactive service when featured is sent as a string', async () => {
+      const service = { _id: 'service1', isActive: false, featured: true, save: jest.fn().mockResolvedValue(true) };
+      Service.findById.mockResolvedValue(service);
+
+      const response = await request(app)
+        .patch('/api/admin/services/service1/feature')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ featured: 'false' });
+
+      expect(response.status).toBe(200);
+      expect(service.featured).toBe(false);
+    });
+
+    it('should not feature an inactive service', async () => {
+      Service.findById.mockResolvedValue({ _id: 'service1', isActive: false, save: jest.fn() });
+
+      const response = await request(app)
+        .patch('/api/admin/services/service1/feature')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ featured: true });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PATCH /api/admin/bookings/:id/cancel', () => {
+    it('should cancel a booking with a full refund', async () => {
+      const booking = {
+        _id: 'booking1',
+        status: 'confirmed',
+        totalPrice: 105,
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Booking.findById.mockResolvedValue(booking);
+
+      const response = await request(app)
+        .patch('/api/admin/bookings/booking1/cancel')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Sitter suspended' });
+
+      expect(response.status).toBe(200);
+      expect(booking.status).toBe('cancelled');
+      expect(booking.cancellation.refundAmount).toBe(105);
+    });
+
+    it('should not cancel completed bookings', async () => {
+      Booking.findById.mockResolvedValue({ _id: 'booking1', status: 'completed' });
+
+      const response = await request(app)
+        .patch('/api/admin/bookings/booking1/cancel')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ reason: 'Too late' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/admin/stats', () => {
+    it('should combine user, service and booking statistics', async () => {
+      Booking.getPlatformStats.mockResolvedValue([
+        { _id: 'completed', count: 3, totalRevenue: 300, totalServiceFees: 15 },
+        { _id: 'pending', count: 2, totalRevenue: 200, totalServiceFees: 10 }
+      ]);
+      User.aggregate.mockResolvedValue([{ _id: 'owner', count: 4 }, { _id: 'sitter', count: 2 }]);
+      Service.aggregate.mockResolvedValue([{ _id: 'dog_walking', count: 5 }]);
+
+      const response = await request(app)
+        .get('/api/admin/stats')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totalUsers).toBe(6);
+      expect(response.body.data.totalServices).toBe(5);
+      expect(response.body.data.totalBookings).toBe(5);
+      expect(response.body.data.completedRevenue).toBe(300);
+      expect(response.body.data.platformFees).toBe(15);
+    });
+  });
+
+  describe('GET /api/admin/jobs', () => {
+    it('should list scheduled jobs by name', async () => {
+      const sort = jest.fn().mockResolvedValue([
+        { name: 'booking-reminders', lastResult: { dayBefore: 2, hourBefore: 1 } },
+        { name: 'flag-overdue-bookings', lastError: 'connection lost' }
+      ]);
+      ScheduledJob.find.mockReturnValue({ sort });
+
+      const response = await request(app)
+        .get('/api/admin/jobs')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toBe(2);
+      expect(response.body.data.jobs[1].lastError).toBe('connection lost');
+      expect(sort).toHaveBeenCalledWith({ name: 1 });
+    });
+  });
+});
@@ -2,10 +2,14 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../app');
 const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const RevokedToken = require('../../models/RevokedToken');
 const jwt = require('jsonwebtoken');
 
 // Mock the User model
 jest.mock('../../models/User');
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/RevokedToken');
 
 describe('Auth Controller', () => {
   beforeEach(() => {
@@ -194,3 +198,403 @@ describe('Auth Controller', () => {
     });
   });
 });
+
+describe('Password Reset', () => {
+  const { setTransport, flushMailQueue } = require('../../utils/mailer');
+  let sentMessages;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sentMessages = [];
+    setTransport({
+      name: 'memory',
+      send: jest.fn(async (message) => {
+        sentMessages.push(message);
+        return { accepted: [message.to] };
+      })
+    });
+  });
+
+  afterAll(() => {
+    setTransport();
+  });
+
+  describe('POST /api/auth/forgotPassword', () => {
+    it('should store a reset token and email the reset link', async () => {
+      const mockUser = {
+        _id: 'mockUserId',
+        name: 'John Doe',
+        email: 'john@example.com',
+        createPasswordResetToken: jest.fn().mockReturnValue('plainResetToken'),
+        save: jest.fn().mockResolvedValue(true)
+      };
+
+      User.findOne.mockResolvedValue(mockUser);
+
+      const response = await request(app)
+        .post('/api/auth/forgotPassword')
+        .send({ email: 'John@Example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'john@example.com', isActive: true });
+      expect(mockUser.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+      expect(sentMessages).toHaveLength(1);
+      expect(sentMessages[0].to).toBe('john@example.com');
+      expect(sentMessages[0].text).toContain('/api/auth/resetPassword/plainResetToken');
+    });
+
+    it('should respond the same way for unknown emails', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/forgotPassword')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('success');
+      expect(sentMessages).toHaveLength(0);
+    });
+
+    it('should clear the token but respond as usual when the email cannot be sent', async () => {
+      const mockUser = {
+        email: 'john@example.com',
+        createPasswordResetToken: jest.fn().mockReturnValue('plainResetToken'),
+        save: jest.fn().mockResolvedValue(true)
+      };
+
+      User.findOne.mockResolvedValue(mockUser);
+      setTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+
+      const response = await request(app)
+        .post('/api/auth/forgotPassword')
+        .send({ email: 'john@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('If an account exists for that email, a password reset link has been sent.');
+      expect(mockUser.passwordResetToken).toBeUndefined();
+      expect(mockUser.save).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('PATCH /api/auth/resetPassword/:token', () => {
+    beforeEach(() => {
+      RefreshToken.issue.mockResolvedValue({ token: 'refreshToken', session: { _id: 'sessionId' } });
+    });
+
+    it('should set the new password for a valid token', async () => {
+      const mockUser = {
+        _id: 'mockUserId',
+        passwordResetToken: 'hashed',
+        passwordResetExpires: Date.now() + 60000,
+        save: jest.fn().mockResolvedValue(true),
+        generateAuthToken: jest.fn().mockReturnValue('newToken')
+      };
+
+      User.findOne.mockResolvedValue(mockUser);
+
+      const response = await request(app)
+        .patch('/api/auth/resetPassword/plainResetToken')
+        .send({ password: 'newPassword123' });
+
+      const expectedHash = require('crypto')
+        .createHash('sha256')
+        .update('plainResetToken')
+        .digest('hex');
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBe('newToken');
+      expect(User.findOne).toHaveBeenCalledWith({
+        passwordResetToken: expectedHash,
+        passwordResetExpires: { $gt: expect.any(Number) }
+      });
+      expect(mockUser.passwordResetToken).toBeUndefined();
+      expect(mockUser.passwordResetExpires).toBeUndefined();
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('mockUserId');
+    });
+
+    it('should email the user that their password changed', async () => {
+      User.findOne.mockResolvedValue({
+        _id: 'mockUserId',
+        name: 'John Doe',
+        email: 'john@example.com',
+        save: jest.fn().mockResolvedValue(true),
+        generateAuthToken: jest.fn().mockReturnValue('newToken')
+      });
+
+      const response = await request(app)
+        .patch('/api/auth/resetPassword/plainResetToken')
+        .send({ password: 'newPassword123' });
+      await flushMailQueue();
+
+      expect(response.status).toBe(200);
+      expect(sentMessages).toHaveLength(1);
+      expect(sentMessages[0].to).toBe('john@example.com');
+      expect(sentMessages[0].subject).toBe('Your password was changed');
+    });
+
+    it('should reject invalid or expired tokens', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch('/api/auth/resetPassword/badToken')
+        .send({ password: 'newPassword123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Token is invalid or has expired');
+    });
+  });
+});
+
+describe('Sessions', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let mockUser;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = secret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockUser = {
+      _id: 'mockUserId',
+      id: 'mockUserId',
+      email: 'john@example.com',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false),
+      generateAuthToken: jest.fn().mockReturnValue('newAccessToken')
+    };
+    User.findById.mockResolvedValue(mockUser);
+    RefreshToken.hashToken.mockImplementation((token) => `hash:${token}`);
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate a valid refresh token', async () => {
+      const session = {
+        _id: 'oldSessionId',
+        user: 'mockUserId',
+        device: 'Firefox',
+        isActive: jest.fn().mockReturnValue(true),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      RefreshToken.findOne.mockResolvedValue(session);
+      RefreshToken.findOneAndUpdate.mockResolvedValue(session);
+      RefreshToken.issue.mockResolvedValue({ token: 'newRefreshToken', session: { _id: 'newSessionId' } });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBe('newAccessToken');
+      expect(response.body.refreshToken).toBe('newRefreshToken');
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: 'hash:oldRefreshToken' });
+      expect(mockUser.generateAuthToken).toHaveBeenCalledWith('newSessionId');
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'oldSessionId', revokedAt: { $exists: false } },
+        { revokedAt: expect.any(Date), lastUsedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith({ _id: 'oldSessionId' }, { replacedBy: 'newSessionId' });
+    });
+
+    it('should only let one of two concurrent requests rotate a token', async () => {
+      RefreshToken.findOne.mockResolvedValue({
+        _id: 'oldSessionId',
+        user: 'mockUserId',
+        isActive: jest.fn().mockReturnValue(true)
+      });
+      // Another request retired the token after it was read
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toContain('already been used');
+      expect(RefreshToken.issue).not.toHaveBeenCalled();
+    });
+
+    it('should revoke every session when a rotated token is reused', async () => {
+      RefreshToken.findOne.mockResolvedValue({
+        user: 'mockUserId',
+        revokedAt: new Date()
+      });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'reusedRefreshToken' });
+
+      expect(response.status).toBe(401);
+      expect(RefreshToken.revokeAllForUser).toHaveBeenCalledWith('mockUserId');
+      expect(RefreshToken.issue).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'unknown' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.status).toBe('fail');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the access token and its session', async () => {
+      const token = jwt.sign({ id: 'mockUserId', sid: 'sessionId' }, secret, { jwtid: 'token-1', expiresIn: '15m' });
+      RevokedToken.isRevoked.mockResolvedValue(false);
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(RevokedToken.revoke).toHaveBeenCalledWith(expect.objectContaining({ jti: 'token-1' }));
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'sessionId' }),
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should end the session from the refresh token when the access token has expired', async () => {
+      const token = jwt.sign({ id: 'mockUserId', sid: 'sessionId', exp: Math.floor(Date.now() / 1000) - 60 }, secret);
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken: 'plainRefreshToken' });
+
+      expect(response.status).toBe(200);
+      expect(RevokedToken.revoke).not.toHaveBeenCalled();
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+        { tokenHash: 'hash:plainRefreshToken', revokedAt: { $exists: false } },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should require an access or refresh token to log out', async () => {
+      const response = await request(app).post('/api/auth/logout');
+
+      expect(response.status).toBe(401);
+      expect(RefreshToken.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject revoked access tokens in protect', async () => {
+      const token = jwt.sign({ id: 'mockUserId' }, secret, { jwtid: 'token-2', expiresIn: '15m' });
+      RevokedToken.isRevoked.mockResolvedValue(true);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('This token has been revoked. Please log in again.');
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Email Verification', () => {
+  const { setTransport } = require('../../utils/mailer');
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let sentMessages;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = secret;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sentMessages = [];
+    setTransport({
+      name: 'memory',
+      send: jest.fn(async (message) => {
+        sentMessages.push(message);
+        return { accepted: [message.to] };
+      })
+    });
+  });
+
+  afterAll(() => {
+    setTransport();
+  });
+
+  describe('GET /api/auth/verify-email/:token', () => {
+    it('should mark the email as verified for a valid token', async () => {
+      const mockUser = {
+        emailVerified: false,
+        emailVerificationToken: 'hashed',
+        save: jest.fn().mockResolvedValue(true)
+      };
+      User.findOne.mockResolvedValue(mockUser);
+
+      const response = await request(app)
+        .get('/api/auth/verify-email/plainToken');
+
+      expect(response.status).toBe(200);
+      expect(mockUser.emailVerified).toBe(true);
+      expect(mockUser.emailVerificationToken).toBeUndefined();
+      expect(User.findOne).toHaveBeenCalledWith({
+        emailVerificationToken: require('crypto').createHash('sha256').update('plainToken').digest('hex'),
+        emailVerificationExpires: { $gt: expect.any(Number) }
+      });
+    });
+
+    it('should reject invalid or expired tokens', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/auth/verify-email/badToken');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Verification link is invalid or has expired');
+    });
+  });
+
+  describe('POST /api/auth/verify-email/resend', () => {
+    const buildUser = (overrides = {}) => ({
+      _id: 'mockUserId',
+      name: 'John Doe',
+      email: 'john@example.com',
+      isActive: true,
+      emailVerified: false,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false),
+      createEmailVerificationToken: jest.fn().mockReturnValue('freshToken'),
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides
+    });
+
+    it('should send a new verification link', async () => {
+      User.findById.mockResolvedValue(buildUser());
+      const token = jwt.sign({ id: 'mockUserId' }, secret);
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(sentMessages).toHaveLength(1);
+      expect(sentMessages[0].text).toContain('/api/auth/verify-email/freshToken');
+    });
+
+    it('should refuse when the email is already verified', async () => {
+      User.findById.mockResolvedValue(buildUser({ emailVerified: true }));
+      const token = jwt.sign({ id: 'mockUserId' }, secret);
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(sentMessages).toHaveLength(0);
+    });
+  });
+});
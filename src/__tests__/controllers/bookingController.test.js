@@ -5,10 +5,16 @@ const Booking = require('../../models/Booking');
 const Service = require('../../models/Service');
 const Pet = require('../../models/Pet');
 const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const BookingSeries = require('../../models/BookingSeries');
+const { DAYS } = require('../../utils/availability');
+const { setTransport, flushMailQueue } = require('../../utils/mailer');
 const jwt = require('jsonwebtoken');
 
 // Mock the models
 jest.mock('../../models/Booking');
+jest.mock('../../models/BookingSeries');
+jest.mock('../../models/Notification');
 jest.mock('../../models/Service');
 jest.mock('../../models/Pet');
 jest.mock('../../models/User');
@@ -353,3 +359,497 @@ describe('Booking Controller', () => {
     });
   });
 });
+
+describe('Multi-pet bookings', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+  let mockService;
+
+  const startDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  const endDate = new Date(startDate.getTime() + 2 * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue({
+      _id: 'ownerId',
+      id: 'ownerId',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    token = jwt.sign({ id: 'ownerId' }, secret);
+
+    mockService = {
+      _id: 'service1',
+      sitter: { _id: 'sitterId' },
+      petTypes: ['dog', 'cat'],
+      price: 20,
+      priceType: 'per_service',
+      maxPets: 3,
+      availability: []
+    };
+    Service.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(mockService) });
+    Pet.find.mockResolvedValue([
+      { _id: 'pet1', species: 'dog' },
+      { _id: 'pet2', species: 'cat' }
+    ]);
+    Booking.findConflicts.mockResolvedValue([]);
+    Booking.create.mockImplementation(async (data) => ({ ...data, populate: jest.fn() }));
+  });
+
+  const book = (body) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ service: 'service1', startDate, endDate, ...body });
+
+  it('should book several pets and price them per pet', async () => {
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(201);
+    expect(Pet.find).toHaveBeenCalledWith({ _id: { $in: ['pet1', 'pet2'] }, owner: 'ownerId', isActive: true });
+    expect(Booking.create).toHaveBeenCalledWith(expect.objectContaining({
+      pet: 'pet1',
+      pets: ['pet1', 'pet2'],
+      totalPrice: 42,
+      serviceFee: 2
+    }));
+  });
+
+  it('should notify the sitter of the request', async () => {
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(201);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: 'sitterId',
+      type: 'booking_requested',
+      title: 'New booking request'
+    }));
+  });
+
+  it('should email the sitter about the request', async () => {
+    const send = jest.fn().mockResolvedValue({ accepted: ['sam@example.com'] });
+    setTransport({ name: 'memory', send });
+    Booking.create.mockImplementation(async (data) => {
+      const booking = { ...data };
+      booking.populate = jest.fn(async () => {
+        booking.owner = { _id: 'ownerId', name: 'Jane Owner', email: 'jane@example.com' };
+        booking.sitter = { _id: 'sitterId', name: 'Sam Sitter', email: 'sam@example.com' };
+        booking.service = { title: 'Dog Walking' };
+      });
+      return booking;
+    });
+
+    const response = await book({ pets: ['pet1', 'pet2'] });
+    await flushMailQueue();
+    setTransport();
+
+    expect(response.status).toBe(201);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'sam@example.com',
+      subject: `New booking request: Dog Walking on ${startDate.toDateString()}`
+    }));
+  });
+
+  it('should still accept a single pet', async () => {
+    Pet.find.mockResolvedValue([{ _id: 'pet1', species: 'dog' }]);
+
+    const response = await book({ pet: 'pet1' });
+
+    expect(response.status).toBe(201);
+    expect(Booking.create).toHaveBeenCalledWith(expect.objectContaining({ pets: ['pet1'], totalPrice: 21 }));
+  });
+
+  it('should reject pets that do not belong to the owner', async () => {
+    Pet.find.mockResolvedValue([{ _id: 'pet1', species: 'dog' }]);
+
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('One or more pets not found or do not belong to you');
+  });
+
+  it('should reject more pets than the service accepts', async () => {
+    mockService.maxPets = 1;
+
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('This service accepts at most 1 pet per booking');
+  });
+
+  it('should allow overlapping bookings while the sitter has capacity', async () => {
+    Booking.findConflicts.mockResolvedValue([{ startDate, endDate, pets: ['otherPet'] }]);
+
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(201);
+  });
+
+  it('should reject bookings that exceed the sitter capacity', async () => {
+    Booking.findConflicts.mockResolvedValue([{ startDate, endDate, pets: ['a', 'b'] }]);
+
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('The sitter only has room for 1 more pet at that time');
+    expect(Booking.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject pets that do not meet the service requirements', async () => {
+    mockService.requirements = { vaccinated: true, microchipped: true };
+    Pet.find.mockResolvedValue([
+      { _id: 'pet1', name: 'Buddy', species: 'dog', vaccinated: true, microchipped: true },
+      { _id: 'pet2', name: 'Milo', species: 'cat', vaccinated: false, microchipped: false }
+    ]);
+
+    const response = await book({ pets: ['pet1', 'pet2'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("This service's requirements are not met: Milo must be vaccinated, microchipped");
+    expect(response.body.unmetRequirements).toEqual([
+      { pet: 'pet2', name: 'Milo', unmet: ['vaccinated', 'microchipped'] }
+    ]);
+    expect(Booking.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject pets outside the accepted sizes', async () => {
+    mockService.petSizes = ['small', 'medium'];
+    Pet.find.mockResolvedValue([
+      { _id: 'pet1', name: 'Rex', species: 'dog', weight: 85 }
+    ]);
+
+    const response = await book({ pet: 'pet1' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('This service only accepts small, medium pets, but Rex is large');
+    expect(Booking.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Booking list pagination', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+  let chain;
+
+  const bookings = [
+    { _id: 'b1', startDate: new Date('2026-03-03T10:00:00Z') },
+    { _id: 'b2', startDate: new Date('2026-03-02T10:00:00Z') },
+    { _id: 'b3', startDate: new Date('2026-03-01T10:00:00Z') }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue({
+      _id: 'ownerId',
+      id: 'ownerId',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    token = jwt.sign({ id: 'ownerId' }, secret);
+
+    chain = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(bookings)
+    };
+    Booking.find.mockReturnValue(chain);
+    Booking.countDocuments.mockResolvedValue(3);
+  });
+
+  const list = (query) => request(app)
+    .get('/api/bookings')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should return a next cursor without counting', async () => {
+    const response = await list({ limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.bookings.map(b => b._id)).toEqual(['b1', 'b2']);
+    expect(chain.sort).toHaveBeenCalledWith({ startDate: -1, _id: -1 });
+    expect(chain.limit).toHaveBeenCalledWith(3);
+    expect(Booking.countDocuments).not.toHaveBeenCalled();
+    expect(response.body.pagination.prevCursor).toBeNull();
+    expect(response.body.pagination.next).toBe(`/api/bookings?limit=2&cursor=${response.body.pagination.nextCursor}`);
+  });
+
+  it('should start the next page after the cursor', async () => {
+    const first = await list({ limit: 2 });
+    chain.limit.mockResolvedValue([bookings[2]]);
+
+    const response = await list({ limit: 2, cursor: first.body.pagination.nextCursor });
+
+    expect(response.status).toBe(200);
+    expect(Booking.find).toHaveBeenLastCalledWith({
+      owner: 'ownerId',
+      $and: [{
+        $or: [
+          { startDate: { $not: { $gte: bookings[1].startDate } } },
+          { startDate: bookings[1].startDate, _id: { $not: { $gte: 'b2' } } }
+        ]
+      }]
+    });
+    expect(response.body.pagination.nextCursor).toBeNull();
+    expect(response.body.pagination.prevCursor).not.toBeNull();
+  });
+
+  it('should keep numbered pages when page is given', async () => {
+    chain.limit.mockResolvedValue(bookings.slice(0, 2));
+
+    const response = await list({ page: 2, limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(chain.skip).toHaveBeenCalledWith(2);
+    expect(response.body.pagination).toEqual({ page: 2, limit: 2, pages: 2, total: 3 });
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const response = await list({ cursor: 'garbage' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.parameter).toBe('cursor');
+  });
+});
+
+describe('Recurring bookings', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+
+  // Tomorrow as a local "YYYY-MM-DD" date, so every occurrence is in the future
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const firstDay = [
+    tomorrow.getFullYear(),
+    String(tomorrow.getMonth() + 1).padStart(2, '0'),
+    String(tomorrow.getDate()).padStart(2, '0')
+  ].join('-');
+
+  const recurrence = {
+    days: [DAYS[tomorrow.getDay()]],
+    time: '08:00',
+    durationMinutes: 60,
+    startDate: firstDay,
+    weeks: 3
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue({
+      _id: 'ownerId',
+      id: 'ownerId',
+      name: 'Jane Owner',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    token = jwt.sign({ id: 'ownerId' }, secret);
+
+    BookingSeries.mockImplementation(function(data) {
+      Object.assign(this, data, { _id: 'series1' });
+      this.save = jest.fn().mockResolvedValue(this);
+    });
+  });
+
+  describe('POST /api/bookings/series', () => {
+    beforeEach(() => {
+      Service.findOne.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({
+          _id: 'service1',
+          title: 'Dog Walking',
+          sitter: { _id: 'sitterId', name: 'Sam Sitter' },
+          petTypes: ['dog'],
+          price: 20,
+          priceType: 'per_service',
+          maxPets: 2,
+          availability: []
+        })
+      });
+      Pet.find.mockResolvedValue([{ _id: 'pet1', species: 'dog' }]);
+      Booking.create.mockImplementation(async (data) => ({ _id: `booking${data.startDate.getTime()}`, ...data }));
+    });
+
+    const bookSeries = (body) => request(app)
+      .post('/api/bookings/series')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ service: 'service1', pets: ['pet1'], recurrence, ...body });
+
+    it('should book each occurrence and report the ones that conflict', async () => {
+      // The second week is already full
+      let call = 0;
+      Booking.findConflicts.mockImplementation(async (sitter, start, end) => {
+        call += 1;
+        return call === 2 ? [{ startDate: start, endDate: end, pets: ['a', 'b'] }] : [];
+      });
+
+      const response = await bookSeries();
+
+      expect(response.status).toBe(201);
+      expect(response.body.message).toBe('Booked 2 of 3 dates');
+      expect(response.body.data.bookings).toHaveLength(2);
+      expect(response.body.data.failures).toEqual([
+        expect.objectContaining({ reason: 'The requested time slot is not available' })
+      ]);
+      expect(Booking.create).toHaveBeenCalledTimes(2);
+      expect(Booking.create).toHaveBeenCalledWith(expect.objectContaining({
+        series: 'series1',
+        startTime: '08:00',
+        endTime: '09:00',
+        totalPrice: 21
+      }));
+
+      const [first, third] = Booking.create.mock.calls.map(([data]) => data.startDate);
+      expect(first.getHours()).toBe(8);
+      expect(third - first).toBeGreaterThanOrEqual(13 * 24 * 60 * 60 * 1000);
+
+      const series = BookingSeries.mock.instances[0];
+      expect(series.save).toHaveBeenCalled();
+      expect(series.failures).toHaveLength(1);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'sitterId',
+        type: 'booking_requested'
+      }));
+    });
+
+    it('should not create a series when no date can be booked', async () => {
+      Booking.findConflicts.mockImplementation(async (sitter, start, end) => [
+        { startDate: start, endDate: end, pets: ['a', 'b'] }
+      ]);
+
+      const response = await bookSeries();
+
+      expect(response.status).toBe(400);
+      expect(response.body.failures).toHaveLength(3);
+      expect(Booking.create).not.toHaveBeenCalled();
+      expect(BookingSeries.deleteOne).toHaveBeenCalledWith({ _id: 'series1' });
+    });
+
+    it('should remove the series and its bookings when a booking fails to save', async () => {
+      Booking.findConflicts.mockResolvedValue([]);
+      Booking.create
+        .mockImplementationOnce(async (data) => ({ _id: 'booking1', ...data }))
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const response = await bookSeries();
+
+      expect(response.status).toBe(500);
+      expect(BookingSeries.mock.instances[0].save).toHaveBeenCalledTimes(1);
+      expect(Booking.deleteMany).toHaveBeenCalledWith({ series: 'series1' });
+      expect(BookingSeries.deleteOne).toHaveBeenCalledWith({ _id: 'series1' });
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject series longer than the limit', async () => {
+      const response = await bookSeries({
+        recurrence: { ...recurrence, days: DAYS, weeks: 26 }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('at most 100 bookings');
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it('should validate the recurrence rule', async () => {
+      const response = await bookSeries({
+        recurrence: { ...recurrence, days: ['mon'] }
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Days must be from');
+    });
+  });
+
+  describe('PATCH /api/bookings/series/:id/cancel', () => {
+    const mockOccurrence = (id, cancellable) => ({
+      _id: id,
+      status: 'confirmed',
+      startDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+      canBeCancelled: jest.fn().mockReturnValue(cancellable),
+      getCancellationPolicy: jest.fn().mockReturnValue({ name: 'strict', cutoffHours: 48 }),
+      calculateRefund: jest.fn().mockReturnValue(10),
+      save: jest.fn().mockResolvedValue(true)
+    });
+
+    let series;
+
+    beforeEach(() => {
+      series = {
+        _id: 'series1',
+        owner: 'ownerId',
+        sitter: { _id: 'sitterId', name: 'Sam Sitter' },
+        service: { title: 'Dog Walking' },
+        status: 'active',
+        save: jest.fn().mockResolvedValue(true)
+      };
+      BookingSeries.findOne.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue(series)
+        })
+      });
+    });
+
+    it('should cancel every upcoming booking it can', async () => {
+      const occurrences = [mockOccurrence('b1', true), mockOccurrence('b2', false)];
+      Booking.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(occurrences) });
+
+      const response = await request(app)
+        .patch('/api/bookings/series/series1/cancel')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reason: 'Moving away' });
+
+      expect(response.status).toBe(200);
+      expect(BookingSeries.findOne).toHaveBeenCalledWith({ _id: 'series1', owner: 'ownerId' });
+      expect(Booking.find).toHaveBeenCalledWith({
+        series: 'series1',
+        status: { $in: ['pending', 'confirmed'] },
+        startDate: { $gt: expect.any(Date) }
+      });
+      expect(occurrences[0].status).toBe('cancelled');
+      expect(occurrences[0].cancellation).toEqual(expect.objectContaining({ reason: 'Moving away', refundAmount: 10 }));
+      expect(occurrences[1].status).toBe('confirmed');
+      expect(response.body.data.failures).toEqual([
+        expect.objectContaining({ booking: 'b2', reason: expect.stringContaining('strict policy') })
+      ]);
+      // b2 still goes ahead, so the series is not cancelled yet
+      expect(series.status).toBe('active');
+      expect(series.save).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the series once no upcoming bookings remain', async () => {
+      const occurrences = [mockOccurrence('b1', true), mockOccurrence('b2', true)];
+      Booking.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(occurrences) });
+
+      const response = await request(app)
+        .patch('/api/bookings/series/series1/cancel')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Cancelled 2 of 2 upcoming bookings');
+      expect(series.status).toBe('cancelled');
+      expect(series.cancelledAt).toBeInstanceOf(Date);
+      expect(series.save).toHaveBeenCalled();
+    });
+
+    it('should not cancel a series twice', async () => {
+      series.status = 'cancelled';
+
+      const response = await request(app)
+        .patch('/api/bookings/series/series1/cancel')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(Booking.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const app = require('../../app');
+const { streamEvents } = require('../../controllers/eventController');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const RevokedToken = require('../../models/RevokedToken');
+const { getSubscriberCount, publishBookingEvent } = require('../../utils/bookingEvents');
+
+jest.mock('../../models/User');
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/RevokedToken');
+
+describe('Event Controller', () => {
+  const createStream = (auth = {}) => {
+    const req = new EventEmitter();
+    req.user = { id: 'ownerId' };
+    req.auth = auth;
+
+    const res = {
+      chunks: [],
+      status: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      flushHeaders: jest.fn(),
+      write: jest.fn(chunk => res.chunks.push(chunk)),
+      end: jest.fn()
+    };
+
+    streamEvents(req, res);
+    return { req, res };
+  };
+
+  it('should require authentication', async () => {
+    const response = await request(app).get('/api/events');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should open an event stream', () => {
+    const { req, res } = createStream();
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform'
+    }));
+    expect(res.flushHeaders).toHaveBeenCalled();
+    expect(res.chunks).toEqual([
+      'retry: 5000\n\n',
+      'event: ready\ndata: {"user":"ownerId"}\n\n'
+    ]);
+
+    req.emit('close');
+  });
+
+  it('should relay the user\'s booking events until the connection closes', () => {
+    const { req, res } = createStream();
+    const booking = { _id: 'booking1', owner: 'ownerId', sitter: 'sitterId', status: 'in_progress' };
+
+    const event = publishBookingEvent('booking.checkin', booking);
+
+    expect(res.chunks[2]).toBe(`id: ${event.id}\nevent: booking.checkin\ndata: ${JSON.stringify(event)}\n\n`);
+
+    req.emit('close');
+    expect(getSubscriberCount('ownerId')).toBe(0);
+
+    publishBookingEvent('booking.checkout', booking);
+    expect(res.chunks).toHaveLength(3);
+  });
+
+  describe('when the login ends', () => {
+    const activeUser = (overrides = {}) => ({
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.clearAllMocks();
+      RevokedToken.isRevoked.mockResolvedValue(false);
+      User.findById.mockResolvedValue(activeUser());
+      RefreshToken.findById.mockResolvedValue({ _id: 'session1' });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Run a heartbeat and let its session check finish
+    const heartbeat = async () => {
+      jest.advanceTimersByTime(25 * 1000);
+      for (let i = 0; i < 5; i++) await Promise.resolve();
+    };
+
+    const lastChunk = (res) => res.chunks[res.chunks.length - 1];
+
+    it('should close the stream when the token expires', () => {
+      const { res } = createStream({ exp: Math.floor(Date.now() / 1000) + 10 });
+
+      jest.advanceTimersByTime(9 * 1000);
+      expect(res.end).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(lastChunk(res)).toContain('event: session_ended');
+      expect(lastChunk(res)).toContain('Your token has expired');
+      expect(res.end).toHaveBeenCalled();
+      expect(getSubscriberCount('ownerId')).toBe(0);
+    });
+
+    it('should keep the stream open while the login is still valid', async () => {
+      const { req, res } = createStream({ jti: 'jti1', sid: 'session1', iat: 1 });
+
+      await heartbeat();
+
+      expect(RevokedToken.isRevoked).toHaveBeenCalledWith('jti1');
+      expect(res.end).not.toHaveBeenCalled();
+      expect(lastChunk(res)).toBe(': heartbeat\n\n');
+
+      req.emit('close');
+    });
+
+    it('should close the stream when the user is suspended', async () => {
+      const { res } = createStream({ jti: 'jti1', iat: 1 });
+      User.findById.mockResolvedValue(activeUser({ isSuspended: jest.fn().mockReturnValue(true) }));
+
+      await heartbeat();
+
+      expect(lastChunk(res)).toContain('Your account has been suspended');
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should close the stream when the token or its session is revoked', async () => {
+      const loggedOut = createStream({ jti: 'jti1', iat: 1 });
+      RevokedToken.isRevoked.mockResolvedValue(true);
+      await heartbeat();
+      expect(loggedOut.res.end).toHaveBeenCalled();
+
+      RevokedToken.isRevoked.mockResolvedValue(false);
+      RefreshToken.findById.mockResolvedValue({ _id: 'session1', revokedAt: new Date() });
+      const revoked = createStream({ jti: 'jti2', sid: 'session1', iat: 1 });
+      await heartbeat();
+      expect(revoked.res.end).toHaveBeenCalled();
+      expect(getSubscriberCount('ownerId')).toBe(0);
+    });
+
+    it('should keep the stream open after the session was rotated', async () => {
+      RefreshToken.findById.mockResolvedValue({ _id: 'session1', revokedAt: new Date(), replacedBy: 'session2' });
+      const { req, res } = createStream({ jti: 'jti1', sid: 'session1', iat: 1 });
+
+      await heartbeat();
+
+      expect(res.end).not.toHaveBeenCalled();
+      req.emit('close');
+    });
+  });
+});
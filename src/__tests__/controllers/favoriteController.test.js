@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../../app');
+const Favorite = require('../../models/Favorite');
+const Service = require('../../models/Service');
+const User = require('../../models/User');
+const jwt = require('jsonwebtoken');
+
+// Mock the models
+jest.mock('../../models/Favorite');
+jest.mock('../../models/Service');
+jest.mock('../../models/User');
+
+describe('Favorite Controller', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+
+  const mockUser = (role) => ({
+    _id: `${role}Id`,
+    id: `${role}Id`,
+    role,
+    isActive: true,
+    isSuspended: jest.fn().mockReturnValue(false),
+    changedPasswordAfter: jest.fn().mockReturnValue(false)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue(mockUser('owner'));
+    token = jwt.sign({ id: 'ownerId' }, secret);
+  });
+
+  describe('POST /api/favorites/:serviceId', () => {
+    it('should save an active service', async () => {
+      Service.findOne.mockResolvedValue({ _id: 'service1' });
+      Favorite.findOne.mockResolvedValue(null);
+      Favorite.create.mockResolvedValue({ _id: 'fav1', owner: 'ownerId', service: 'service1' });
+
+      const response = await request(app)
+        .post('/api/favorites/service1')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(201);
+      expect(Service.findOne).toHaveBeenCalledWith({ _id: 'service1', isActive: true });
+      expect(Favorite.create).toHaveBeenCalledWith({ owner: 'ownerId', service: 'service1' });
+    });
+
+    it('should not save the same service twice', async () => {
+      Service.findOne.mockResolvedValue({ _id: 'service1' });
+      Favorite.findOne.mockResolvedValue({ _id: 'fav1' });
+
+      const response = await request(app)
+        .post('/api/favorites/service1')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(Favorite.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown services', async () => {
+      Service.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/favorites/missing')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should only allow owners', async () => {
+      User.findById.mockResolvedValue(mockUser('sitter'));
+
+      const response = await request(app)
+        .post('/api/favorites/service1')
+        .set('Authorization', `Bearer ${jwt.sign({ id: 'sitterId' }, secret)}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/favorites/:serviceId', () => {
+    it('should remove a saved service', async () => {
+      Favorite.findOneAndDelete.mockResolvedValue({ _id: 'fav1' });
+
+      const response = await request(app)
+        .delete('/api/favorites/service1')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(204);
+      expect(Favorite.findOneAndDelete).toHaveBeenCalledWith({ owner: 'ownerId', service: 'service1' });
+    });
+
+    it('should return 404 when the service was not saved', async () => {
+      Favorite.findOneAndDelete.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/api/favorites/service1')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/favorites', () => {
+    it('should list the owner\'s favorites newest first', async () => {
+      const chain = {
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: 'fav1', service: { _id: 'service1' } }])
+      };
+      Favorite.find.mockReturnValue(chain);
+
+      const response = await request(app)
+        .get('/api/favorites')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(Favorite.find).toHaveBeenCalledWith({ owner: 'ownerId' });
+      expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+      expect(response.body.data.favorites).toHaveLength(1);
+      expect(response.body.pagination.nextCursor).toBeNull();
+    });
+  });
+});
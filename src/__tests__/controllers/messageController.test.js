@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../../app');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+const Booking = require('../../models/Booking');
+const Service = require('../../models/Service');
+const User = require('../../models/User');
+const jwt = require('jsonwebtoken');
+
+// Mock the models
+jest.mock('../../models/Conversation');
+jest.mock('../../models/Message');
+jest.mock('../../models/Booking');
+jest.mock('../../models/Notification');
+jest.mock('../../models/Service');
+jest.mock('../../models/User');
+
+describe('Message Controller', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+  let conversation;
+
+  const mockUser = (id, role) => ({
+    _id: id,
+    id,
+    role,
+    isActive: true,
+    isSuspended: jest.fn().mockReturnValue(false),
+    changedPasswordAfter: jest.fn().mockReturnValue(false)
+  });
+
+  const mockConversation = (fields) => ({
+    _id: 'conv1',
+    owner: 'ownerId',
+    sitter: 'sitterId',
+    service: 'service1',
+    ...fields,
+    getRecipient: jest.fn(sender => (sender === 'ownerId' ? 'sitterId' : 'ownerId')),
+    save: jest.fn().mockResolvedValue(true),
+    toJSON() {
+      return { _id: this._id, owner: this.owner, sitter: this.sitter };
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue(mockUser('ownerId', 'owner'));
+    token = jwt.sign({ id: 'ownerId' }, secret);
+
+    conversation = mockConversation();
+    Message.create.mockImplementation(async (data) => ({ _id: 'msg1', ...data, createdAt: new Date() }));
+  });
+
+  const asOwner = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  describe('POST /api/conversations', () => {
+    it('should start a booking thread between its owner and sitter', async () => {
+      Booking.findOne.mockResolvedValue({ _id: 'booking1', owner: 'ownerId', sitter: 'sitterId', service: 'service1' });
+      Conversation.findOne.mockResolvedValue(null);
+      Conversation.create.mockResolvedValue(conversation);
+
+      const response = await asOwner(request(app).post('/api/conversations'))
+        .send({ booking: 'booking1', body: 'Does Rex need a leash?' });
+
+      expect(response.status).toBe(201);
+      expect(Booking.findOne).toHaveBeenCalledWith({
+        _id: 'booking1',
+        $or: [{ owner: 'ownerId' }, { sitter: 'ownerId' }]
+      });
+      expect(Conversation.create).toHaveBeenCalledWith({
+        owner: 'ownerId',
+        sitter: 'sitterId',
+        service: 'service1',
+        booking: 'booking1'
+      });
+      expect(Message.create).toHaveBeenCalledWith({
+        conversation: 'conv1',
+        sender: 'ownerId',
+        recipient: 'sitterId',
+        body: 'Does Rex need a leash?'
+      });
+      expect(conversation.lastMessage.body).toBe('Does Rex need a leash?');
+      expect(conversation.save).toHaveBeenCalled();
+    });
+
+    it('should reuse the existing thread for a booking', async () => {
+      Booking.findOne.mockResolvedValue({ _id: 'booking1', owner: 'ownerId', sitter: 'sitterId', service: 'service1' });
+      Conversation.findOne.mockResolvedValue(conversation);
+
+      const response = await asOwner(request(app).post('/api/conversations'))
+        .send({ booking: 'booking1', body: 'One more thing' });
+
+      expect(response.status).toBe(201);
+      expect(Conversation.create).not.toHaveBeenCalled();
+    });
+
+    it('should not open threads on other people\'s bookings', async () => {
+      Booking.findOne.mockResolvedValue(null);
+
+      const response = await asOwner(request(app).post('/api/conversations'))
+        .send({ booking: 'booking2', body: 'Hello' });
+
+      expect(response.status).toBe(404);
+      expect(Message.create).not.toHaveBeenCalled();
+    });
+
+    it('should start a service inquiry with the service\'s sitter', async () => {
+      Service.findOne.mockResolvedValue({ _id: 'service1', sitter: 'sitterId' });
+      Conversation.findOne.mockResolvedValue(null);
+      Conversation.create.mockResolvedValue(conversation);
+
+      const response = await asOwner(request(app).post('/api/conversations'))
+        .send({ service: 'service1', body: 'Do you walk large dogs?' });
+
+      expect(response.status).toBe(201);
+      expect(Conversation.create).toHaveBeenCalledWith({
+        owner: 'ownerId',
+        sitter: 'sitterId',
+        service: 'service1'
+      });
+    });
+
+    it('should only let owners send inquiries', async () => {
+      User.findById.mockResolvedValue(mockUser('sitterId', 'sitter'));
+
+      const response = await request(app)
+        .post('/api/conversations')
+        .set('Authorization', `Bearer ${jwt.sign({ id: 'sitterId' }, secret)}`)
+        .send({ service: 'service1', body: 'Hello' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/conversations', () => {
+    it('should list the user\'s threads with unread counts', async () => {
+      Conversation.find.mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([conversation, mockConversation({ _id: 'conv2' })])
+      });
+      Message.getUnreadCounts.mockResolvedValue(new Map([['conv1', 3]]));
+
+      const response = await asOwner(request(app).get('/api/conversations'));
+
+      expect(response.status).toBe(200);
+      expect(Conversation.find).toHaveBeenCalledWith({ $or: [{ owner: 'ownerId' }, { sitter: 'ownerId' }] });
+      expect(response.body.data.conversations.map(c => c.unreadCount)).toEqual([3, 0]);
+      expect(response.body.data.unread).toBe(3);
+    });
+  });
+
+  describe('conversation access', () => {
+    it('should hide threads from non-participants', async () => {
+      Conversation.findForParticipant.mockResolvedValue(null);
+
+      const response = await asOwner(request(app).post('/api/conversations/conv9/messages'))
+        .send({ body: 'Hi' });
+
+      expect(response.status).toBe(404);
+      expect(Conversation.findForParticipant).toHaveBeenCalledWith('conv9', 'ownerId');
+      expect(Message.create).not.toHaveBeenCalled();
+    });
+
+    it('should send a message to the other participant', async () => {
+      Conversation.findForParticipant.mockResolvedValue(conversation);
+
+      const response = await asOwner(request(app).post('/api/conversations/conv1/messages'))
+        .send({ body: 'See you at 8' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.message.recipient).toBe('sitterId');
+    });
+
+    it('should mark received messages as read', async () => {
+      Conversation.findForParticipant.mockResolvedValue(conversation);
+      Message.markRead.mockResolvedValue(2);
+
+      const response = await asOwner(request(app).patch('/api/conversations/conv1/read'));
+
+      expect(response.status).toBe(200);
+      expect(Message.markRead).toHaveBeenCalledWith('conv1', 'ownerId');
+      expect(response.body.data.marked).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const app = require('../../app');
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const jwt = require('jsonwebtoken');
+
+// Mock the models
+jest.mock('../../models/Notification');
+jest.mock('../../models/User');
+
+describe('Notification Controller', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+
+  const mockUser = {
+    _id: 'userId',
+    id: 'userId',
+    role: 'owner',
+    isActive: true,
+    isSuspended: jest.fn().mockReturnValue(false),
+    changedPasswordAfter: jest.fn().mockReturnValue(false)
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockImplementation(() => {
+      const query = Promise.resolve(mockUser);
+      query.select = jest.fn().mockResolvedValue({
+        notificationPreferences: { booking_update: false }
+      });
+      return query;
+    });
+    token = jwt.sign({ id: 'userId' }, secret);
+  });
+
+  describe('GET /api/notifications', () => {
+    beforeEach(() => {
+      Notification.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([{ _id: 'n1', type: 'booking_confirmed' }])
+      });
+      Notification.countDocuments.mockResolvedValue(3);
+    });
+
+    it('should list the user\'s notifications with the unread count', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.unread).toBe(3);
+      expect(Notification.find).toHaveBeenCalledWith({ user: 'userId' });
+      expect(Notification.countDocuments).toHaveBeenCalledWith({ user: 'userId', readAt: null });
+    });
+
+    it('should filter unread notifications', async () => {
+      const response = await request(app)
+        .get('/api/notifications?unread=true&type=booking_confirmed')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(Notification.find).toHaveBeenCalledWith({
+        user: 'userId',
+        type: 'booking_confirmed',
+        readAt: null
+      });
+    });
+
+    it('should reject an invalid unread flag', async () => {
+      const response = await request(app)
+        .get('/api/notifications?unread=yes')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.parameter).toBe('unread');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/notifications');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('PATCH /api/notifications/:id/read', () => {
+    it('should mark the notification as read', async () => {
+      const notification = { _id: 'n1', readAt: null, save: jest.fn().mockResolvedValue(true) };
+      Notification.findOne.mockResolvedValue(notification);
+
+      const response = await request(app)
+        .patch('/api/notifications/n1/read')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(Notification.findOne).toHaveBeenCalledWith({ _id: 'n1', user: 'userId' });
+      expect(notification.readAt).toBeInstanceOf(Date);
+      expect(notification.save).toHaveBeenCalled();
+    });
+
+    it('should not find other users\' notifications', async () => {
+      Notification.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch('/api/notifications/n2/read')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/notifications/read-all', () => {
+    it('should mark every notification as read', async () => {
+      Notification.markAllRead.mockResolvedValue(4);
+
+      const response = await request(app)
+        .patch('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.marked).toBe(4);
+      expect(Notification.markAllRead).toHaveBeenCalledWith('userId');
+    });
+  });
+
+  describe('Notification preferences', () => {
+    it('should return every type, defaulting to on', async () => {
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.preferences.booking_update).toBe(false);
+      expect(response.body.data.preferences.booking_confirmed).toBe(true);
+    });
+
+    it('should update only the given types', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          notificationPreferences: { message_received: false }
+        })
+      });
+
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message_received: false });
+
+      expect(response.status).toBe(200);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'userId',
+        { $set: { 'notificationPreferences.message_received': false } },
+        expect.any(Object)
+      );
+      expect(response.body.data.preferences.message_received).toBe(false);
+    });
+
+    it('should reject unknown or non-boolean preferences', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message_received: 'sometimes' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should accept form values such as "false"', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          notificationPreferences: { message_received: false }
+        })
+      });
+
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message_received: 'false' });
+
+      expect(response.status).toBe(200);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'userId',
+        { $set: { 'notificationPreferences.message_received': false } },
+        expect.any(Object)
+      );
+    });
+
+    it('should reject unknown notification types', async () => {
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message_received: false, messages: false });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('"messages" is not a notification type');
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const app = require('../../app');
+const Booking = require('../../models/Booking');
+const User = require('../../models/User');
+const { signPayload, setPaymentProvider } = require('../../utils/paymentProvider');
+const jwt = require('jsonwebtoken');
+
+// Mock the models
+jest.mock('../../models/Booking');
+jest.mock('../../models/User');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+describe('Payment Controller', () => {
+  let authToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setPaymentProvider();
+
+    User.findById.mockResolvedValue({
+      _id: 'ownerId',
+      id: 'ownerId',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    authToken = jwt.sign({ id: 'ownerId' }, process.env.JWT_SECRET);
+  });
+
+  afterAll(() => {
+    setPaymentProvider();
+  });
+
+  describe('POST /api/bookings/:id/pay', () => {
+    it('should start a charge for the booking', async () => {
+      const booking = {
+        _id: 'booking1',
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        totalPrice: 50,
+        save: jest.fn().mockResolvedValue(true)
+      };
+      const createCharge = jest.fn().mockResolvedValue({ id: 'ch_1', status: 'pending' });
+      Booking.findOne.mockResolvedValue(booking);
+      Booking.findOneAndUpdate.mockResolvedValue(booking);
+      setPaymentProvider({ name: 'test', createCharge });
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/pay')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentMethod: 'credit_card', source: 'tok_visa' });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.charge.id).toBe('ch_1');
+      expect(createCharge).toHaveBeenCalledWith(expect.objectContaining({ amount: 5000, source: 'tok_visa' }));
+      expect(booking.payment.chargeId).toBe('ch_1');
+      expect(Booking.findOne).toHaveBeenCalledWith({ _id: 'booking1', owner: 'ownerId' });
+    });
+
+    it('should refuse to charge a booking twice', async () => {
+      Booking.findOne.mockResolvedValue({ _id: 'booking1', status: 'confirmed', paymentStatus: 'paid' });
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/pay')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentMethod: 'credit_card', source: 'tok_visa' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Booking payment is already paid');
+    });
+
+    it('should charge only once for concurrent payment requests', async () => {
+      const booking = { _id: 'booking1', status: 'confirmed', paymentStatus: 'pending', totalPrice: 50 };
+      const createCharge = jest.fn().mockResolvedValue({ id: 'ch_1', status: 'pending' });
+      Booking.findOne.mockImplementation(async () => ({ ...booking }));
+      // Only the first claim matches, as the database would do for the atomic update
+      Booking.findOneAndUpdate.mockResolvedValueOnce(booking).mockResolvedValue(null);
+      setPaymentProvider({ name: 'test', createCharge });
+
+      const pay = () => request(app)
+        .post('/api/bookings/booking1/pay')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentMethod: 'credit_card', source: 'tok_visa' });
+      const responses = await Promise.all([pay(), pay()]);
+
+      expect(responses.map((response) => response.status).sort()).toEqual([202, 409]);
+      expect(createCharge).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse to pay for cancelled bookings', async () => {
+      Booking.findOne.mockResolvedValue({ _id: 'booking1', status: 'cancelled', paymentStatus: 'pending' });
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/pay')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentMethod: 'credit_card', source: 'tok_visa' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject cash as an online payment method', async () => {
+      const response = await request(app)
+        .post('/api/bookings/booking1/pay')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ paymentMethod: 'cash', source: 'tok_visa' });
+
+      expect(response.status).toBe(400);
+      expect(Booking.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    it('should apply signed events', async () => {
+      const booking = {
+        _id: 'booking1',
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        payment: { chargeId: 'ch_1' },
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Booking.findOne.mockResolvedValue(booking);
+
+      const payload = JSON.stringify({ id: 'evt_1', type: 'charge.succeeded', data: { chargeId: 'ch_1', amount: 5000 } });
+
+      const response = await request(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('X-Payment-Signature', signPayload(payload))
+        .send(payload);
+
+      expect(response.status).toBe(200);
+      expect(booking.paymentStatus).toBe('paid');
+    });
+
+    it('should reject events with a bad signature', async () => {
+      const response = await request(app)
+        .post('/api/payments/webhook')
+        .set('X-Payment-Signature', 'forged')
+        .send({ id: 'evt_1', type: 'charge.succeeded', data: { chargeId: 'ch_1' } });
+
+      expect(response.status).toBe(400);
+      expect(Booking.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
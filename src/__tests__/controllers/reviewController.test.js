@@ -0,0 +1,192 @@
+const request = require('supertest');
+const app = require('../../app');
+const Review = require('../../models/Review');
+const Booking = require('../../models/Booking');
+const Service = require('../../models/Service');
+const User = require('../../models/User');
+const jwt = require('jsonwebtoken');
+
+// Mock the models
+jest.mock('../../models/Review');
+jest.mock('../../models/Booking');
+jest.mock('../../models/Notification');
+jest.mock('../../models/Service');
+jest.mock('../../models/User');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_secret';
+
+describe('Review Controller', () => {
+  let authToken;
+  let mockUser;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockUser = {
+      _id: 'ownerId',
+      id: 'ownerId',
+      name: 'John Doe',
+      email: 'john@example.com',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    };
+
+    authToken = jwt.sign({ id: mockUser._id }, process.env.JWT_SECRET);
+    User.findById.mockResolvedValue(mockUser);
+  });
+
+  describe('POST /api/bookings/:id/review', () => {
+    it('should create a review and refresh the service rating', async () => {
+      const mockBooking = {
+        _id: 'booking1',
+        service: 'service1',
+        sitter: 'sitterId',
+        status: 'completed',
+        canBeReviewed: jest.fn().mockReturnValue(true),
+        save: jest.fn().mockResolvedValue(true)
+      };
+      const mockService = {
+        _id: 'service1',
+        updateRating: jest.fn().mockResolvedValue(true)
+      };
+
+      Booking.findOne.mockResolvedValue(mockBooking);
+      Review.create.mockResolvedValue({ _id: 'review1', rating: 5 });
+      Service.findById.mockResolvedValue(mockService);
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/review')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 5, comment: 'Great walk!' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.status).toBe('success');
+      expect(Booking.findOne).toHaveBeenCalledWith({ _id: 'booking1', owner: 'ownerId' });
+      expect(Review.create).toHaveBeenCalledWith({
+        booking: 'booking1',
+        service: 'service1',
+        sitter: 'sitterId',
+        owner: 'ownerId',
+        rating: 5,
+        comment: 'Great walk!'
+      });
+      expect(mockBooking.review).toBe('review1');
+      expect(mockService.updateRating).toHaveBeenCalled();
+    });
+
+    it('should reject reviews for bookings that are not completed', async () => {
+      Booking.findOne.mockResolvedValue({
+        _id: 'booking1',
+        status: 'confirmed',
+        canBeReviewed: jest.fn().mockReturnValue(false)
+      });
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/review')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 4 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Only completed bookings can be reviewed');
+      expect(Review.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second review for the same booking', async () => {
+      Booking.findOne.mockResolvedValue({
+        _id: 'booking1',
+        status: 'completed',
+        review: 'review1',
+        canBeReviewed: jest.fn().mockReturnValue(false)
+      });
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/review')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 4 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('This booking has already been reviewed');
+    });
+
+    it('should return 404 when the booking belongs to someone else', async () => {
+      Booking.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/review')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 4 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.status).toBe('fail');
+    });
+
+    it('should validate the rating range', async () => {
+      const response = await request(app)
+        .post('/api/bookings/booking1/review')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 6 });
+
+      expect(response.status).toBe(400);
+      expect(Booking.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/bookings/:id/review/reply', () => {
+    it('should let the sitter reply to a review', async () => {
+      mockUser.role = 'sitter';
+      mockUser.id = 'sitterId';
+
+      const mockReview = {
+        _id: 'review1',
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Review.findOne.mockResolvedValue(mockReview);
+
+      const response = await request(app)
+        .post('/api/bookings/booking1/review/reply')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ comment: 'Thanks, Buddy was a joy!' });
+
+      expect(response.status).toBe(200);
+      expect(Review.findOne).toHaveBeenCalledWith({ booking: 'booking1', sitter: 'sitterId' });
+      expect(mockReview.reply.comment).toBe('Thanks, Buddy was a joy!');
+      expect(mockReview.save).toHaveBeenCalled();
+    });
+
+    it('should not let owners reply', async () => {
+      const response = await request(app)
+        .post('/api/bookings/booking1/review/reply')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ comment: 'Replying to myself' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/services/:id/reviews', () => {
+    it('should list reviews for a service', async () => {
+      const mockReviews = [{ _id: 'review1', rating: 5 }];
+
+      Review.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          sort: jest.fn().mockReturnValue({
+            skip: jest.fn().mockReturnValue({
+              limit: jest.fn().mockResolvedValue(mockReviews)
+            })
+          })
+        })
+      });
+      Review.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/services/service1/reviews');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.reviews).toHaveLength(1);
+      expect(response.body.pagination.total).toBe(1);
+      expect(Review.find).toHaveBeenCalledWith({ service: 'service1' });
+    });
+  });
+});
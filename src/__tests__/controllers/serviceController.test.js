@@ -2,11 +2,17 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../app');
 const Service = require('../../models/Service');
+const Booking = require('../../models/Booking');
+const Pet = require('../../models/Pet');
+const Favorite = require('../../models/Favorite');
 const User = require('../../models/User');
 const jwt = require('jsonwebtoken');
 
 // Mock the models
 jest.mock('../../models/Service');
+jest.mock('../../models/Booking');
+jest.mock('../../models/Pet');
+jest.mock('../../models/Favorite');
 jest.mock('../../models/User');
 
 describe('Service Controller', () => {
@@ -346,3 +352,481 @@ describe('Service Controller', () => {
     });
   });
 });
+
+describe('Service publishing with email verification required', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = secret;
+    process.env.REQUIRE_EMAIL_VERIFICATION_FOR_SERVICES = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION_FOR_SERVICES;
+  });
+
+  it('should block sitters with an unverified email from creating services', async () => {
+    User.findById.mockResolvedValue({
+      _id: 'sitterId',
+      id: 'sitterId',
+      role: 'sitter',
+      isActive: true,
+      emailVerified: false,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    const token = jwt.sign({ id: 'sitterId' }, secret);
+
+    const response = await request(app)
+      .post('/api/services/my')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        serviceType: 'dog_walking',
+        title: 'Morning walks',
+        description: 'Daily morning walks around the park',
+        price: 20,
+        location: { address: '1 Main St', city: 'Austin', state: 'TX', zipCode: '78701' },
+        petTypes: ['dog']
+      });
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Please verify your email address before publishing services.');
+    expect(Service.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/services/:id/slots', () => {
+  const mockService = {
+    _id: 'service1',
+    sitter: 'sitterId',
+    duration: 60,
+    maxPets: 1,
+    availability: [{ day: 'monday', startTime: '09:00', endTime: '12:00' }]
+  };
+
+  // Monday 7 January 2030, in local time
+  const from = new Date(2030, 0, 7);
+  const to = new Date(2030, 0, 8);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return free slots around existing bookings', async () => {
+    Service.findOne.mockResolvedValue(mockService);
+    Booking.findConflicts.mockResolvedValue([
+      { startDate: new Date(2030, 0, 7, 10), endDate: new Date(2030, 0, 7, 11) }
+    ]);
+
+    const response = await request(app)
+      .get('/api/services/service1/slots')
+      .query({ from: from.toISOString(), to: to.toISOString() });
+
+    expect(response.status).toBe(200);
+    expect(Booking.findConflicts).toHaveBeenCalledWith('sitterId', from, to);
+    expect(response.body.data.slots).toEqual([
+      { startDate: new Date(2030, 0, 7, 9).toISOString(), endDate: new Date(2030, 0, 7, 10).toISOString(), remaining: 1 },
+      { startDate: new Date(2030, 0, 7, 11).toISOString(), endDate: new Date(2030, 0, 7, 12).toISOString(), remaining: 1 }
+    ]);
+  });
+
+  it('should reject an invalid range', async () => {
+    const response = await request(app)
+      .get('/api/services/service1/slots')
+      .query({ from: to.toISOString(), to: from.toISOString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('to must be after from');
+    expect(Service.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown service', async () => {
+    Service.findOne.mockResolvedValue(null);
+
+    const response = await request(app)
+      .get('/api/services/missing/slots')
+      .query({ from: from.toISOString(), to: to.toISOString() });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('GET /api/services/search with petId', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue({
+      _id: 'ownerId',
+      id: 'ownerId',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    token = jwt.sign({ id: 'ownerId' }, secret);
+
+    Service.find.mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          skip: jest.fn().mockReturnValue({
+            limit: jest.fn().mockResolvedValue([])
+          })
+        })
+      })
+    });
+    Service.countDocuments.mockResolvedValue(0);
+    Favorite.getFavoriteIds.mockResolvedValue([]);
+  });
+
+  it('should only match services the pet qualifies for', async () => {
+    Pet.findOne.mockResolvedValue({
+      _id: 'pet1',
+      species: 'dog',
+      weight: 30,
+      vaccinated: true,
+      spayedNeutered: false,
+      microchipped: false
+    });
+
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ petId: 'pet1' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(Pet.findOne).toHaveBeenCalledWith({ _id: 'pet1', owner: 'ownerId', isActive: true });
+    expect(Service.find).toHaveBeenCalledWith({
+      isActive: true,
+      petTypes: 'dog',
+      'requirements.spayedNeutered': { $ne: true },
+      'requirements.microchipped': { $ne: true },
+      $or: [{ petSizes: 'medium' }, { petSizes: { $size: 0 } }]
+    });
+  });
+
+  it('should apply an explicit petSize as well as the pet\'s own size', async () => {
+    Pet.findOne.mockResolvedValue({
+      _id: 'pet1',
+      species: 'dog',
+      weight: 30,
+      vaccinated: true,
+      spayedNeutered: true,
+      microchipped: true
+    });
+
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ petId: 'pet1', petSize: 'large' })
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(Service.find).toHaveBeenCalledWith({
+      isActive: true,
+      petTypes: 'dog',
+      $and: [
+        { $or: [{ petSizes: 'large' }, { petSizes: { $size: 0 } }] },
+        { $or: [{ petSizes: 'medium' }, { petSizes: { $size: 0 } }] }
+      ]
+    });
+  });
+
+  it('should require login to search by pet', async () => {
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ petId: 'pet1' });
+
+    expect(response.status).toBe(401);
+    expect(Service.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/services/search with lat/lng', () => {
+  let chain;
+
+  const mockService = (id, coordinates) => ({
+    _id: id,
+    location: { coordinates },
+    toJSON() {
+      return { _id: id, location: { coordinates } };
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    chain = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([
+        mockService('near', { lat: 30.2672, lng: -97.7431 }),
+        mockService('far', { lat: 30.5083, lng: -97.6789 })
+      ])
+    };
+    Service.find.mockReturnValue(chain);
+    Service.countDocuments.mockResolvedValue(2);
+  });
+
+  it('should filter by radius and include the distance in miles', async () => {
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ lat: 30.2672, lng: -97.7431, radius: 20 });
+
+    expect(response.status).toBe(200);
+    expect(Service.find).toHaveBeenCalledWith(expect.objectContaining({
+      'location.point': { $geoWithin: { $centerSphere: [[-97.7431, 30.2672], 20 / 3958.8] } }
+    }));
+    expect(response.body.data.services.map(s => s.distance)).toEqual([0, 17.1]);
+  });
+
+  it('should return facets computed over the same filter', async () => {
+    const facets = { serviceType: [{ value: 'dog_walking', count: 2 }] };
+    Service.getFacets.mockResolvedValue(facets);
+
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ lat: 30.2672, lng: -97.7431, serviceType: 'dog_walking' });
+
+    expect(response.status).toBe(200);
+    expect(Service.getFacets).toHaveBeenCalledWith(Service.find.mock.calls[0][0]);
+    expect(response.body.data.facets).toEqual(facets);
+  });
+
+  it('should sort by distance with $nearSphere', async () => {
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ lat: 30.2672, lng: -97.7431, sort: 'distance' });
+
+    expect(response.status).toBe(200);
+    expect(Service.find).toHaveBeenCalledWith(expect.objectContaining({
+      'location.point': {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [-97.7431, 30.2672] },
+          $maxDistance: 25 * 1609.344
+        }
+      }
+    }));
+    expect(chain.sort).toHaveBeenCalledWith({});
+  });
+
+  it('should reject invalid coordinates', async () => {
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ lat: 120, lng: -97.7 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('lat and lng must both be valid coordinates');
+  });
+
+  it('should require coordinates to sort by distance', async () => {
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ sort: 'distance' });
+
+    expect(response.status).toBe(400);
+    expect(Service.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('Service geocoding', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+  let token;
+
+  const serviceData = (zipCode, coordinates) => ({
+    serviceType: 'dog_walking',
+    title: 'Morning walks',
+    description: 'Daily morning walks around the park',
+    price: 20,
+    location: { address: '1 Congress Ave', city: 'Austin', state: 'TX', zipCode, coordinates },
+    petTypes: ['dog']
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue({
+      _id: 'sitterId',
+      id: 'sitterId',
+      role: 'sitter',
+      isActive: true,
+      emailVerified: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+    token = jwt.sign({ id: 'sitterId' }, secret);
+
+    Service.create.mockImplementation(async (data) => ({ ...data, populate: jest.fn() }));
+  });
+
+  it('should fill in coordinates from the zip code', async () => {
+    const response = await request(app)
+      .post('/api/services/my')
+      .set('Authorization', `Bearer ${token}`)
+      .send(serviceData('78701'));
+
+    expect(response.status).toBe(201);
+    expect(Service.create).toHaveBeenCalledWith(expect.objectContaining({
+      location: expect.objectContaining({ coordinates: { lat: 30.2713, lng: -97.7426 } })
+    }));
+    expect(response.body.data.geocoding).toEqual({
+      resolved: true,
+      coordinates: { lat: 30.2713, lng: -97.7426 },
+      precision: 'zip'
+    });
+  });
+
+  it('should keep coordinates the sitter provided', async () => {
+    const response = await request(app)
+      .post('/api/services/my')
+      .set('Authorization', `Bearer ${token}`)
+      .send(serviceData('78701', { lat: 30.25, lng: -97.75 }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.geocoding).toEqual({ resolved: true, precision: 'provided' });
+    expect(Service.create.mock.calls[0][0].location.coordinates).toEqual({ lat: 30.25, lng: -97.75 });
+  });
+
+  it('should report addresses that cannot be resolved', async () => {
+    const response = await request(app)
+      .post('/api/services/my')
+      .set('Authorization', `Bearer ${token}`)
+      .send(serviceData('00000'));
+
+    expect(response.status).toBe(201);
+    expect(response.body.message).toBe('Service created, but its address could not be located: Zip code 00000 was not found');
+    expect(response.body.data.geocoding).toEqual({ resolved: false, reason: 'Zip code 00000 was not found' });
+  });
+
+  describe('when updating', () => {
+    const austin = { lat: 30.2713, lng: -97.7426 };
+
+    beforeEach(() => {
+      Service.findOne.mockResolvedValue({
+        _id: 'service1',
+        location: { address: '1 Congress Ave', city: 'Austin', state: 'TX', zipCode: '78701', coordinates: austin }
+      });
+      Service.findByIdAndUpdate.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ _id: 'service1' })
+      });
+    });
+
+    const updateService = (data) => request(app)
+      .put('/api/services/service1/manage')
+      .set('Authorization', `Bearer ${token}`)
+      .send(data);
+
+    it('should geocode a new zip code instead of keeping the old coordinates', async () => {
+      const response = await updateService(serviceData('78702', austin));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.geocoding.coordinates).toEqual({ lat: 30.2638, lng: -97.7166 });
+      expect(Service.findByIdAndUpdate.mock.calls[0][1].location.coordinates).toEqual({ lat: 30.2638, lng: -97.7166 });
+    });
+
+    it('should keep the stored coordinates while the address is unchanged', async () => {
+      const response = await updateService(serviceData('78701'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.geocoding).toEqual({ resolved: true, precision: 'provided' });
+      expect(Service.findByIdAndUpdate.mock.calls[0][1].location.coordinates).toEqual(austin);
+    });
+
+    it('should keep coordinates the sitter pinned with a new address', async () => {
+      const pinned = { lat: 30.26, lng: -97.72 };
+      const response = await updateService(serviceData('78702', pinned));
+
+      expect(response.status).toBe(200);
+      expect(Service.findByIdAndUpdate.mock.calls[0][1].location.coordinates).toEqual(pinned);
+    });
+  });
+});
+
+describe('Service listing parameters', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should reject sorting on fields that are not whitelisted', async () => {
+    const response = await request(app)
+      .get('/api/services')
+      .query({ sort: '-sitter' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.parameter).toBe('sort');
+    expect(Service.find).not.toHaveBeenCalled();
+  });
+
+  it('should treat city as plain text rather than a pattern', async () => {
+    Service.find.mockReturnValue({
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([])
+    });
+    Service.countDocuments.mockResolvedValue(0);
+
+    const response = await request(app)
+      .get('/api/services/search')
+      .query({ city: '(a+)+$' });
+
+    expect(response.status).toBe(200);
+    expect(Service.find.mock.calls[0][0]['location.city']).toEqual(/\(a\+\)\+\$/i);
+  });
+});
+
+describe('Favorite flags on service listings', () => {
+  const secret = process.env.JWT_SECRET || 'test_secret';
+
+  const mockService = (id) => ({
+    _id: id,
+    title: `Service ${id}`,
+    toJSON() {
+      return { _id: id, title: `Service ${id}` };
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.JWT_SECRET = secret;
+
+    User.findById.mockResolvedValue({
+      _id: 'ownerId',
+      id: 'ownerId',
+      role: 'owner',
+      isActive: true,
+      isSuspended: jest.fn().mockReturnValue(false),
+      changedPasswordAfter: jest.fn().mockReturnValue(false)
+    });
+
+    Service.find.mockReturnValue({
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([mockService('s1'), mockService('s2')])
+    });
+    Favorite.getFavoriteIds.mockResolvedValue(['s2']);
+  });
+
+  it('should flag saved services for a signed-in user', async () => {
+    const response = await request(app)
+      .get('/api/services')
+      .set('Authorization', `Bearer ${jwt.sign({ id: 'ownerId' }, secret)}`);
+
+    expect(response.status).toBe(200);
+    expect(Favorite.getFavoriteIds).toHaveBeenCalledWith('ownerId', ['s1', 's2']);
+    expect(response.body.data.services.map(s => s.isFavorite)).toEqual([false, true]);
+  });
+
+  it('should leave anonymous listings unflagged', async () => {
+    const response = await request(app).get('/api/services/search');
+
+    expect(response.status).toBe(200);
+    expect(Favorite.getFavoriteIds).not.toHaveBeenCalled();
+    expect(response.body.data.services[0]).not.toHaveProperty('isFavorite');
+  });
+});
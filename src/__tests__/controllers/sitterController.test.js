@@ -0,0 +1,91 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/User');
+const Service = require('../../models/Service');
+const Booking = require('../../models/Booking');
+
+// Mock the models
+jest.mock('../../models/User');
+jest.mock('../../models/Service');
+jest.mock('../../models/Booking');
+
+describe('Sitter Controller', () => {
+  const mockSitter = (overrides = {}) => ({
+    _id: 'sitterId',
+    name: 'Sam Sitter',
+    bio: 'Dog person',
+    experience: '5 years of walking dogs',
+    certifications: ['Pet First Aid'],
+    hourlyRate: 25,
+    address: { city: 'Austin', state: 'TX', street: '1 Private Rd' },
+    createdAt: '2025-01-01T00:00:00.000Z',
+    isSuspended: jest.fn().mockReturnValue(false),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Service.find.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockResolvedValue([{ _id: 'service1', title: 'Morning walks' }])
+    });
+    Service.getSitterRating.mockResolvedValue({ average: 4.6, count: 12 });
+    Booking.getSitterStats.mockResolvedValue({
+      completedBookings: 20,
+      clients: 8,
+      repeatClientRate: 0.5,
+      responseTime: { averageMinutes: 42, responses: 25 }
+    });
+  });
+
+  describe('GET /api/sitters/:id', () => {
+    it('should return the public profile with aggregated reputation', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(mockSitter()) });
+
+      const response = await request(app).get('/api/sitters/sitterId');
+
+      expect(response.status).toBe(200);
+      expect(User.findOne).toHaveBeenCalledWith({ _id: 'sitterId', role: 'sitter', isActive: true });
+      expect(Service.find).toHaveBeenCalledWith({ sitter: 'sitterId', isActive: true });
+      expect(response.body.data.sitter).toEqual({
+        _id: 'sitterId',
+        name: 'Sam Sitter',
+        bio: 'Dog person',
+        experience: '5 years of walking dogs',
+        certifications: ['Pet First Aid'],
+        hourlyRate: 25,
+        city: 'Austin',
+        state: 'TX',
+        memberSince: '2025-01-01T00:00:00.000Z'
+      });
+      expect(response.body.data.services).toHaveLength(1);
+      expect(response.body.data.reputation).toEqual({
+        rating: { average: 4.6, count: 12 },
+        completedBookings: 20,
+        clients: 8,
+        repeatClientRate: 0.5,
+        responseTime: { averageMinutes: 42, responses: 25 }
+      });
+    });
+
+    it('should return 404 for unknown sitters', async () => {
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app).get('/api/sitters/unknown');
+
+      expect(response.status).toBe(404);
+      expect(Booking.getSitterStats).not.toHaveBeenCalled();
+    });
+
+    it('should hide suspended sitters', async () => {
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(mockSitter({ isSuspended: jest.fn().mockReturnValue(true) }))
+      });
+
+      const response = await request(app).get('/api/sitters/sitterId');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const { checkAvailability, splitIntoDays, getPeakPets, getFreeSlots } = require('../../utils/availability');
+
+// Monday 5 January 2026, in local time
+const monday = (hours = 0, minutes = 0, plusDays = 0) => new Date(2026, 0, 5 + plusDays, hours, minutes);
+
+const weekdays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].map(day => ({
+  day,
+  startTime: '9:00',
+  endTime: '17:00'
+}));
+
+describe('Availability', () => {
+  describe('splitIntoDays', () => {
+    it('should split a range into one segment per calendar day', () => {
+      const segments = splitIntoDays(monday(15), monday(10, 0, 2));
+
+      expect(segments).toHaveLength(3);
+      expect(segments[0]).toMatchObject({ from: 15 * 60, to: 24 * 60 });
+      expect(segments[1]).toMatchObject({ from: 0, to: 24 * 60 });
+      expect(segments[2]).toMatchObject({ from: 0, to: 10 * 60 });
+    });
+
+    it('should treat a booking ending at midnight as ending the previous day', () => {
+      const segments = splitIntoDays(monday(20), monday(0, 0, 1));
+
+      expect(segments).toHaveLength(1);
+      expect(segments[0]).toMatchObject({ from: 20 * 60, to: 24 * 60 });
+    });
+  });
+
+  describe('checkAvailability', () => {
+    const walking = { serviceType: 'dog_walking', availability: weekdays };
+
+    it('should accept anything when the service has no availability set', () => {
+      const result = checkAvailability({ availability: [] }, monday(2), monday(3, 0, 6));
+
+      expect(result.available).toBe(true);
+    });
+
+    it('should accept a same-day booking within working hours', () => {
+      expect(checkAvailability(walking, monday(9), monday(10)).available).toBe(true);
+      expect(checkAvailability(walking, monday(16), monday(17)).available).toBe(true);
+    });
+
+    it('should reject a same-day booking outside working hours', () => {
+      const result = checkAvailability(walking, monday(16, 30), monday(17, 30));
+
+      expect(result.available).toBe(false);
+      expect(result.message).toBe("The requested time on Monday, January 5 is outside the sitter's hours (9:00-17:00)");
+    });
+
+    it('should name the day the sitter does not work', () => {
+      const result = checkAvailability(walking, monday(10, 0, 6), monday(11, 0, 6));
+
+      expect(result.available).toBe(false);
+      expect(result.date).toEqual(monday(0, 0, 6));
+      expect(result.message).toBe('The sitter does not work on Sunday, January 11');
+    });
+
+    it('should accept a booking fitting any of several windows on a day', () => {
+      const split = {
+        availability: [
+          { day: 'monday', startTime: '07:00', endTime: '09:00' },
+          { day: 'monday', startTime: '17:00', endTime: '20:00' }
+        ]
+      };
+
+      expect(checkAvailability(split, monday(18), monday(19)).available).toBe(true);
+      expect(checkAvailability(split, monday(8), monday(18)).available).toBe(false);
+    });
+
+    it('should reject a multi-day booking that runs outside working hours', () => {
+      const sitting = { serviceType: 'pet_sitting', availability: weekdays };
+      const result = checkAvailability(sitting, monday(9), monday(17, 0, 1));
+
+      expect(result.available).toBe(false);
+      expect(result.message).toBe("The booking on Monday, January 5 is outside the sitter's hours (9:00-17:00)");
+    });
+
+    it('should accept a multi-day booking covered every day, overnight included', () => {
+      const roundTheClock = weekdays.map(window => ({ ...window, startTime: '0:00', endTime: '23:59' }));
+      const sitting = { serviceType: 'pet_sitting', availability: roundTheClock };
+
+      expect(checkAvailability(sitting, monday(9), monday(17, 0, 4)).available).toBe(true);
+
+      const result = checkAvailability(sitting, monday(9, 0, 4), monday(17, 0, 7));
+      expect(result.available).toBe(false);
+      expect(result.message).toBe('The sitter does not work on Saturday, January 10');
+    });
+
+    it('should check the hours of every day of a multi-day booking', () => {
+      const sitting = {
+        serviceType: 'pet_sitting',
+        availability: [
+          { day: 'monday', startTime: '0:00', endTime: '12:00' },
+          { day: 'monday', startTime: '12:00', endTime: '23:59' },
+          { day: 'tuesday', startTime: '0:00', endTime: '12:00' }
+        ]
+      };
+
+      expect(checkAvailability(sitting, monday(9), monday(11, 0, 1)).available).toBe(true);
+
+      const result = checkAvailability(sitting, monday(9), monday(19, 0, 1));
+      expect(result.available).toBe(false);
+      expect(result.message).toBe("The booking on Tuesday, January 6 is outside the sitter's hours (0:00-12:00)");
+    });
+
+    describe('boarding', () => {
+      const boarding = { serviceType: 'boarding', availability: weekdays };
+
+      it('should only check drop-off and pick-up days', () => {
+        // Friday to Monday over a weekend the sitter does not work
+        const result = checkAvailability(boarding, monday(16, 0, 4), monday(10, 0, 7));
+
+        expect(result.available).toBe(true);
+      });
+
+      it('should reject a drop-off outside working hours', () => {
+        const result = checkAvailability(boarding, monday(18, 0, 4), monday(10, 0, 7));
+
+        expect(result.available).toBe(false);
+        expect(result.message).toBe("Drop-off on Friday, January 9 is outside the sitter's hours (9:00-17:00)");
+      });
+
+      it('should reject a pick-up on a day the sitter does not work', () => {
+        const result = checkAvailability(boarding, monday(10, 0, 4), monday(10, 0, 6));
+
+        expect(result.available).toBe(false);
+        expect(result.message).toBe('The sitter does not work on Sunday, January 11');
+      });
+    });
+  });
+
+  describe('getPeakPets', () => {
+    const bookings = [
+      { startDate: monday(9), endDate: monday(11) },
+      { startDate: monday(10), endDate: monday(12) },
+      { startDate: monday(12), endDate: monday(13) }
+    ];
+
+    it('should count the most pets booked at the same time', () => {
+      expect(getPeakPets(bookings, monday(9), monday(13))).toBe(2);
+      expect(getPeakPets(bookings, monday(11), monday(13))).toBe(1);
+    });
+
+    it('should count every pet on multi-pet bookings', () => {
+      const multiPet = [...bookings, { startDate: monday(10), endDate: monday(11), pets: ['a', 'b'] }];
+
+      expect(getPeakPets(multiPet, monday(9), monday(13))).toBe(4);
+    });
+
+    it('should not count bookings that only touch the range', () => {
+      expect(getPeakPets(bookings, monday(13), monday(14))).toBe(0);
+    });
+  });
+
+  describe('getFreeSlots', () => {
+    const service = {
+      duration: 60,
+      maxPets: 2,
+      availability: [
+        { day: 'monday', startTime: '09:00', endTime: '12:00' },
+        { day: 'tuesday', startTime: '14:00', endTime: '15:30' }
+      ]
+    };
+    const before = monday(0, 0, -1);
+
+    it('should build slots from the availability windows and duration', () => {
+      const slots = getFreeSlots(service, [], monday(), monday(0, 0, 7), before);
+
+      expect(slots.map(slot => slot.startDate)).toEqual([
+        monday(9), monday(10), monday(11), monday(14, 0, 1)
+      ]);
+      expect(slots[0]).toEqual({ startDate: monday(9), endDate: monday(10), remaining: 2 });
+    });
+
+    it('should reduce capacity by overlapping bookings and drop full slots', () => {
+      const bookings = [
+        { startDate: monday(9), endDate: monday(11) },
+        { startDate: monday(10), endDate: monday(11) }
+      ];
+      const slots = getFreeSlots(service, bookings, monday(), monday(23), before);
+
+      expect(slots).toEqual([
+        { startDate: monday(9), endDate: monday(10), remaining: 1 },
+        { startDate: monday(11), endDate: monday(12), remaining: 2 }
+      ]);
+    });
+
+    it('should skip slots that have already started', () => {
+      const slots = getFreeSlots(service, [], monday(), monday(23), monday(9, 30));
+
+      expect(slots.map(slot => slot.startDate)).toEqual([monday(10), monday(11)]);
+    });
+  });
+});
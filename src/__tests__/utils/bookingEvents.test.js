@@ -0,0 +1,76 @@
+const {
+  BOOKING_EVENTS,
+  subscribe,
+  getSubscriberCount,
+  publishBookingEvent,
+  formatSseEvent
+} = require('../../utils/bookingEvents');
+
+describe('Booking Events', () => {
+  const booking = {
+    _id: 'booking1',
+    owner: { _id: 'ownerId', name: 'Olive' },
+    sitter: 'sitterId',
+    status: 'confirmed',
+    startDate: '2026-05-01T08:00:00.000Z',
+    endDate: '2026-05-01T09:00:00.000Z'
+  };
+
+  it('should deliver events to the booking\'s owner and sitter', () => {
+    const ownerListener = jest.fn();
+    const sitterListener = jest.fn();
+    const otherListener = jest.fn();
+    const unsubscribers = [
+      subscribe('ownerId', ownerListener),
+      subscribe('sitterId', sitterListener),
+      subscribe('someoneElse', otherListener)
+    ];
+
+    const event = publishBookingEvent(BOOKING_EVENTS.STATUS, booking, { changedBy: 'sitter' });
+
+    expect(event).toMatchObject({
+      type: 'booking.status',
+      booking: { _id: 'booking1', status: 'confirmed' },
+      data: { changedBy: 'sitter' }
+    });
+    expect(ownerListener).toHaveBeenCalledWith(event);
+    expect(sitterListener).toHaveBeenCalledWith(event);
+    expect(otherListener).not.toHaveBeenCalled();
+
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+
+  it('should stop delivering after unsubscribing', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribe('ownerId', listener);
+
+    expect(getSubscriberCount('ownerId')).toBe(1);
+    unsubscribe();
+    expect(getSubscriberCount('ownerId')).toBe(0);
+
+    publishBookingEvent(BOOKING_EVENTS.UPDATE, booking);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should not let a failing listener break publishing', () => {
+    const unsubscribe = subscribe('ownerId', () => {
+      throw new Error('socket closed');
+    });
+    const sitterListener = jest.fn();
+    const unsubscribeSitter = subscribe('sitterId', sitterListener);
+
+    expect(() => publishBookingEvent(BOOKING_EVENTS.CHECK_IN, booking)).not.toThrow();
+    expect(sitterListener).toHaveBeenCalled();
+
+    unsubscribe();
+    unsubscribeSitter();
+  });
+
+  it('should number events and format them for SSE', () => {
+    const first = publishBookingEvent(BOOKING_EVENTS.CREATED, booking);
+    const second = publishBookingEvent(BOOKING_EVENTS.CREATED, booking);
+
+    expect(second.id).toBe(first.id + 1);
+    expect(formatSseEvent(first)).toBe(`id: ${first.id}\nevent: booking.created\ndata: ${JSON.stringify(first)}\n\n`);
+  });
+});
@@ -0,0 +1,159 @@
+const Booking = require('../../models/Booking');
+const logger = require('../../config/logger');
+const { notifyBooking } = require('../../utils/notifier');
+const { queueMail } = require('../../utils/mailer');
+const { refundBooking } = require('../../utils/paymentService');
+const {
+  BOOKING_JOBS,
+  sendBookingReminders,
+  declineIgnoredBookings,
+  flagOverdueBookings
+} = require('../../utils/bookingJobs');
+
+jest.mock('../../models/Booking');
+jest.mock('../../utils/notifier');
+jest.mock('../../utils/mailer');
+jest.mock('../../utils/paymentService');
+
+describe('Booking Jobs', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date('2031-06-01T12:00:00Z');
+  const owner = { _id: 'ownerId', name: 'Jane', email: 'jane@example.com' };
+  const sitter = { _id: 'sitterId', name: 'Sam', email: 'sam@example.com' };
+
+  // Booking.find(...).populate(...) resolving to `bookings`
+  const mockFind = (...results) => {
+    results.forEach(bookings => {
+      Booking.find.mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(bookings) });
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    Booking.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sendBookingReminders', () => {
+    it('should look for bookings in the 24 hour and 1 hour windows', async () => {
+      mockFind([], []);
+
+      await sendBookingReminders(now);
+
+      expect(Booking.find).toHaveBeenNthCalledWith(1, {
+        status: 'confirmed',
+        startDate: { $gt: new Date(now.getTime() + HOUR), $lte: new Date(now.getTime() + 24 * HOUR) },
+        'reminders.dayBeforeSentAt': null
+      });
+      expect(Booking.find).toHaveBeenNthCalledWith(2, {
+        status: 'confirmed',
+        startDate: { $gt: now, $lte: new Date(now.getTime() + HOUR) },
+        'reminders.hourBeforeSentAt': null
+      });
+    });
+
+    it('should remind both sides once and record it', async () => {
+      const booking = { _id: 'booking1', owner, sitter, startDate: new Date(now.getTime() + 24 * HOUR - 10 * 60 * 1000) };
+      mockFind([booking], []);
+
+      const result = await sendBookingReminders(now);
+
+      expect(result).toEqual({ dayBefore: 1, hourBefore: 0 });
+      expect(Booking.updateOne).toHaveBeenCalledWith(
+        { _id: 'booking1', 'reminders.dayBeforeSentAt': null },
+        { 'reminders.dayBeforeSentAt': now }
+      );
+      expect(notifyBooking).toHaveBeenCalledWith(owner, 'booking_reminder', booking, 'Starts in 24 hours');
+      expect(notifyBooking).toHaveBeenCalledWith(sitter, 'booking_reminder', booking, 'Starts in 24 hours');
+      expect(queueMail).toHaveBeenCalledWith(sitter, 'booking_reminder', { booking, startsIn: '24 hours' });
+    });
+
+    it('should say how far off the start is for bookings made less than a day ahead', async () => {
+      const booking = { _id: 'booking1', owner, sitter, startDate: new Date(now.getTime() + 5 * HOUR) };
+      const soon = { _id: 'booking2', owner, sitter, startDate: new Date(now.getTime() + 40 * 60 * 1000) };
+      mockFind([booking], [soon]);
+
+      await sendBookingReminders(now);
+
+      expect(notifyBooking).toHaveBeenCalledWith(owner, 'booking_reminder', booking, 'Starts in 5 hours');
+      expect(queueMail).toHaveBeenCalledWith(owner, 'booking_reminder', { booking, startsIn: '5 hours' });
+      expect(notifyBooking).toHaveBeenCalledWith(owner, 'booking_reminder', soon, 'Starts in 40 minutes');
+    });
+
+    it('should not remind bookings another run already claimed', async () => {
+      Booking.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      mockFind([], [{ _id: 'booking1', owner, sitter }]);
+
+      const result = await sendBookingReminders(now);
+
+      expect(result).toEqual({ dayBefore: 0, hourBefore: 0 });
+      expect(notifyBooking).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('declineIgnoredBookings', () => {
+    it('should decline unanswered requests and refund them', async () => {
+      const booking = { _id: 'booking1', owner, sitter, status: 'pending', totalPrice: 42 };
+      mockFind([booking]);
+
+      const result = await declineIgnoredBookings(now);
+
+      expect(result).toEqual({ declined: 1 });
+      expect(Booking.find).toHaveBeenCalledWith({
+        status: 'pending',
+        $or: [
+          { createdAt: { $lte: new Date(now.getTime() - 48 * HOUR) } },
+          { startDate: { $lte: now } }
+        ]
+      });
+      expect(Booking.updateOne).toHaveBeenCalledWith(
+        { _id: 'booking1', status: 'pending' },
+        { status: 'declined', autoDeclinedAt: now }
+      );
+      expect(booking.status).toBe('declined');
+      expect(refundBooking).toHaveBeenCalledWith(booking, 42);
+      expect(notifyBooking).toHaveBeenCalledWith(owner, 'booking_declined', booking, 'The sitter did not respond in time');
+      expect(queueMail).toHaveBeenCalledWith(owner, 'booking_declined', { booking });
+    });
+
+    it('should leave requests the sitter answered in the meantime', async () => {
+      Booking.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      mockFind([{ _id: 'booking1', owner, sitter, status: 'pending' }]);
+
+      expect(await declineIgnoredBookings(now)).toEqual({ declined: 0 });
+      expect(refundBooking).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('flagOverdueBookings', () => {
+    it('should flag bookings past their end without a check-out', async () => {
+      const booking = { _id: 'booking1', owner, sitter, status: 'in_progress' };
+      mockFind([booking]);
+
+      const result = await flagOverdueBookings(now);
+
+      expect(result).toEqual({ flagged: 1 });
+      expect(Booking.find).toHaveBeenCalledWith({
+        status: { $in: ['confirmed', 'in_progress'] },
+        endDate: { $lte: new Date(now.getTime() - HOUR) },
+        'checkOut.time': null,
+        overdueAt: null
+      });
+      expect(booking.overdueAt).toBe(now);
+      expect(notifyBooking).toHaveBeenCalledWith(sitter, 'booking_overdue', booking, expect.any(String));
+    });
+  });
+
+  it('should export a job for each task', () => {
+    expect(BOOKING_JOBS.map(job => job.name)).toEqual([
+      'booking-reminders',
+      'decline-ignored-bookings',
+      'flag-overdue-bookings'
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const Booking = require('../../models/Booking');
+const {
+  getPolicySnapshot,
+  getRefundPercent,
+  canCancel
+} = require('../../utils/cancellationPolicy');
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+const buildBooking = (policyName, hoursUntilStart, overrides = {}) => new Booking({
+  owner: '507f1f77bcf86cd799439011',
+  sitter: '507f1f77bcf86cd799439012',
+  service: '507f1f77bcf86cd799439013',
+  pet: '507f1f77bcf86cd799439014',
+  startDate: hoursFromNow(hoursUntilStart),
+  endDate: hoursFromNow(hoursUntilStart + 2),
+  totalPrice: 100,
+  status: 'confirmed',
+  cancellationPolicy: policyName ? getPolicySnapshot(policyName) : undefined,
+  ...overrides
+});
+
+describe('Cancellation Policy Utils', () => {
+  describe('getPolicySnapshot', () => {
+    it('should copy the named policy', () => {
+      const snapshot = getPolicySnapshot('strict');
+
+      expect(snapshot.name).toBe('strict');
+      expect(snapshot.cutoffHours).toBe(48);
+      expect(snapshot.tiers[0]).toEqual({ hoursBefore: 168, refundPercent: 100 });
+    });
+
+    it('should fall back to the moderate policy', () => {
+      expect(getPolicySnapshot().name).toBe('moderate');
+      expect(getPolicySnapshot('unknown').name).toBe('moderate');
+    });
+  });
+
+  describe('getRefundPercent', () => {
+    it('should pick the first tier the cancellation falls into', () => {
+      const moderate = getPolicySnapshot('moderate');
+
+      expect(getRefundPercent(moderate, 72)).toBe(100);
+      expect(getRefundPercent(moderate, 30)).toBe(50);
+      expect(getRefundPercent(moderate, 10)).toBe(0);
+    });
+
+    it('should refund half of flexible bookings until the start', () => {
+      const flexible = getPolicySnapshot('flexible');
+
+      expect(getRefundPercent(flexible, 25)).toBe(100);
+      expect(getRefundPercent(flexible, 1)).toBe(50);
+      expect(canCancel(flexible, 1)).toBe(true);
+      expect(canCancel(flexible, -1)).toBe(false);
+    });
+  });
+
+  describe('Booking cancellation methods', () => {
+    it('should use the snapshotted policy for refunds', () => {
+      expect(buildBooking('flexible', 30).calculateRefund()).toBe(100);
+      expect(buildBooking('moderate', 30).calculateRefund()).toBe(50);
+      expect(buildBooking('strict', 30).calculateRefund()).toBe(0);
+    });
+
+    it('should use the policy cutoff to decide if cancellation is allowed', () => {
+      expect(buildBooking('flexible', 12).canBeCancelled()).toBe(true);
+      expect(buildBooking('moderate', 12).canBeCancelled()).toBe(false);
+      expect(buildBooking('strict', 40).canBeCancelled()).toBe(false);
+    });
+
+    it('should default to the moderate policy for older bookings', () => {
+      const booking = buildBooking(null, 30);
+
+      expect(booking.getCancellationPolicy().name).toBe('moderate');
+      expect(booking.calculateRefund()).toBe(50);
+    });
+
+    it('should not allow cancelling finished bookings', () => {
+      expect(buildBooking('flexible', 30, { status: 'completed' }).canBeCancelled()).toBe(false);
+      expect(buildBooking('flexible', 30, { status: 'declined' }).canBeCancelled()).toBe(false);
+    });
+
+    it('should build a cancellation quote', () => {
+      const quote = buildBooking('strict', 100).getCancellationQuote();
+
+      expect(quote.policy).toBe('strict');
+      expect(quote.canBeCancelled).toBe(true);
+      expect(quote.refundPercent).toBe(50);
+      expect(quote.refundAmount).toBe(50);
+      expect(quote.refundDropsAt.getTime()).toBeCloseTo(hoursFromNow(28).getTime(), -4);
+    });
+
+    it('should quote no refund when cancellation is no longer possible', () => {
+      const quote = buildBooking('moderate', 10).getCancellationQuote();
+
+      expect(quote.canBeCancelled).toBe(false);
+      expect(quote.refundAmount).toBe(0);
+      expect(quote.refundDropsAt).toBeNull();
+    });
+  });
+});
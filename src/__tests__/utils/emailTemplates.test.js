@@ -0,0 +1,81 @@
+const { TEMPLATE_NAMES, renderTemplate } = require('../../utils/emailTemplates');
+
+describe('Email Templates', () => {
+  const booking = {
+    owner: { name: 'Jane Owner' },
+    sitter: { name: 'Sam Sitter' },
+    service: { title: 'Dog Walking' },
+    startDate: new Date('2031-06-02T09:00:00Z'),
+    status: 'pending',
+    totalPrice: 42
+  };
+
+  it('should render every template with a greeting and both bodies', () => {
+    TEMPLATE_NAMES.forEach(name => {
+      const email = renderTemplate(name, {
+        recipientName: 'Alex',
+        booking,
+        verifyURL: 'http://localhost/verify',
+        resetURL: 'http://localhost/reset',
+        cancelledBy: 'Jane Owner',
+        startsIn: '1 hour',
+        ownerName: 'Jane Owner',
+        service: booking.service,
+        schedule: 'Every monday at 08:00 for 8 weeks',
+        bookings: [booking]
+      });
+
+      expect(email.subject).toEqual(expect.any(String));
+      expect(email.text).toMatch(/^Hi Alex,/);
+      expect(email.html).toContain('<p>Hi Alex,</p>');
+    });
+  });
+
+  it('should put links after the paragraph that introduces them', () => {
+    const email = renderTemplate('password_reset', { recipientName: 'Alex', resetURL: 'http://localhost/reset/abc' });
+
+    expect(email.text).toContain('new password to:\nhttp://localhost/reset/abc');
+    expect(email.html).toContain('<a href="http://localhost/reset/abc">');
+  });
+
+  it('should describe the booking', () => {
+    const email = renderTemplate('booking_declined', { booking, notes: 'Away that week' });
+
+    expect(email.subject).toBe(`Booking declined: Dog Walking on ${booking.startDate.toDateString()}`);
+    expect(email.text).toContain('Sam Sitter declined');
+    expect(email.text).toContain('Their note: Away that week');
+  });
+
+  it('should leave out empty paragraphs', () => {
+    const email = renderTemplate('booking_cancelled', { booking, cancelledBy: 'Sam Sitter' });
+
+    expect(email.text).not.toContain('Reason');
+    expect(email.text).not.toContain('undefined');
+    expect(email.text).not.toContain('false');
+  });
+
+  it('should escape HTML', () => {
+    const email = renderTemplate('booking_declined', { booking, notes: '<script>alert(1)</script>' });
+
+    expect(email.html).toContain('&lt;script&gt;');
+    expect(email.html).not.toContain('<script>');
+  });
+
+  it('should reject unknown templates', () => {
+    expect(() => renderTemplate('nope')).toThrow('Unknown email template: nope');
+  });
+
+  it('should summarise a recurring request', () => {
+    const email = renderTemplate('booking_series_requested', {
+      ownerName: 'Jane Owner',
+      service: booking.service,
+      schedule: 'Every monday at 08:00 for 8 weeks',
+      bookings: [booking, booking],
+      failures: [{ reason: 'The requested time slot is not available' }]
+    });
+
+    expect(email.subject).toBe('New recurring booking request: Dog Walking');
+    expect(email.text).toContain('2 dates were booked');
+    expect(email.text).toContain('1 date could not be booked.');
+  });
+});
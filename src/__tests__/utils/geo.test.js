@@ -0,0 +1,81 @@
+const {
+  isValidCoordinates,
+  toGeoPoint,
+  updatesOneCoordinate,
+  syncGeoPointUpdate,
+  distanceInMiles,
+  buildWithinFilter,
+  buildNearFilter
+} = require('../../utils/geo');
+
+describe('Geo', () => {
+  const austin = { lat: 30.2672, lng: -97.7431 };
+  const dallas = { lat: 32.7767, lng: -96.797 };
+
+  it('should validate coordinate ranges', () => {
+    expect(isValidCoordinates(30.2, -97.7)).toBe(true);
+    expect(isValidCoordinates(91, 0)).toBe(false);
+    expect(isValidCoordinates(0, -181)).toBe(false);
+    expect(isValidCoordinates(NaN, 0)).toBe(false);
+  });
+
+  it('should convert lat/lng to a GeoJSON point', () => {
+    expect(toGeoPoint(austin)).toEqual({ type: 'Point', coordinates: [-97.7431, 30.2672] });
+    expect(toGeoPoint({ lat: 30.2 })).toBeUndefined();
+    expect(toGeoPoint(undefined)).toBeUndefined();
+  });
+
+  describe('syncGeoPointUpdate', () => {
+    const austinPoint = { type: 'Point', coordinates: [-97.7431, 30.2672] };
+
+    it('should set the point inside a whole location', () => {
+      const update = syncGeoPointUpdate({ $set: { location: { city: 'Austin', coordinates: austin } } });
+
+      expect(update.$set.location.point).toEqual(austinPoint);
+    });
+
+    it('should set the point for dotted coordinate paths', () => {
+      expect(syncGeoPointUpdate({ $set: { 'location.coordinates': austin } }).$set['location.point'])
+        .toEqual(austinPoint);
+      expect(syncGeoPointUpdate({ 'location.coordinates.lat': 30.2672, 'location.coordinates.lng': -97.7431 }).$set)
+        .toEqual({ 'location.point': austinPoint });
+    });
+
+    it('should fill in the half of the coordinates that is not updated', () => {
+      const update = { $set: { 'location.coordinates.lat': 30.2672 } };
+
+      expect(updatesOneCoordinate(update)).toBe(true);
+      expect(syncGeoPointUpdate(update, { lat: 1, lng: -97.7431 }).$set['location.point']).toEqual(austinPoint);
+    });
+
+    it('should remove the point when the coordinates are cleared', () => {
+      const update = syncGeoPointUpdate({ $set: { 'location.coordinates': null } });
+
+      expect(update.$unset).toEqual({ 'location.point': 1 });
+    });
+
+    it('should leave updates that do not touch the coordinates alone', () => {
+      const update = { $set: { price: 30, 'location.city': 'Austin' } };
+
+      expect(updatesOneCoordinate(update)).toBe(false);
+      expect(syncGeoPointUpdate(update)).toEqual({ $set: { price: 30, 'location.city': 'Austin' } });
+    });
+  });
+
+  it('should calculate distances in miles', () => {
+    expect(distanceInMiles(austin, austin)).toBe(0);
+    expect(distanceInMiles(austin, dallas)).toBeCloseTo(182, 0);
+  });
+
+  it('should build radius filters', () => {
+    expect(buildWithinFilter(austin, 10)).toEqual({
+      $geoWithin: { $centerSphere: [[-97.7431, 30.2672], 10 / 3958.8] }
+    });
+    expect(buildNearFilter(austin, 10)).toEqual({
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates: [-97.7431, 30.2672] },
+        $maxDistance: 16093.44
+      }
+    });
+  });
+});
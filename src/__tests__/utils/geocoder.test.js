@@ -0,0 +1,85 @@
+const {
+  createZipCentroidGeocoder,
+  normalizeZip,
+  normalizeState,
+  setGeocoder,
+  geocodeLocation
+} = require('../../utils/geocoder');
+
+describe('Geocoder', () => {
+  afterEach(() => {
+    setGeocoder();
+  });
+
+  describe('normalizeZip', () => {
+    it('should accept 5-digit and ZIP+4 codes', () => {
+      expect(normalizeZip('78701')).toBe('78701');
+      expect(normalizeZip(' 78701-1234 ')).toBe('78701');
+      expect(normalizeZip('7870')).toBeNull();
+      expect(normalizeZip(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizeState', () => {
+    it('should accept codes and full names in any case', () => {
+      expect(normalizeState('tx')).toBe('TX');
+      expect(normalizeState(' Texas ')).toBe('TX');
+      expect(normalizeState('new  YORK')).toBe('NY');
+      expect(normalizeState('Washington D.C.')).toBe('DC');
+      expect(normalizeState('Atlantis')).toBe('ATLANTIS');
+    });
+  });
+
+  describe('zip centroid geocoder', () => {
+    const geocoder = createZipCentroidGeocoder();
+
+    it('should resolve a zip code from the bundled dataset', async () => {
+      const result = await geocoder.geocode({ city: 'Austin', state: 'TX', zipCode: '78701' });
+
+      expect(result).toEqual({ lat: 30.2713, lng: -97.7426, precision: 'zip' });
+    });
+
+    it('should match a full state name against the zip code', async () => {
+      const result = await geocoder.geocode({ state: 'texas', zipCode: '78701' });
+
+      expect(result).toEqual({ lat: 30.2713, lng: -97.7426, precision: 'zip' });
+    });
+
+    it('should explain why an address cannot be resolved', async () => {
+      expect(await geocoder.geocode({ state: 'TX', zipCode: 'abc' }))
+        .toEqual({ reason: '"abc" is not a valid 5-digit zip code' });
+      expect(await geocoder.geocode({ state: 'TX', zipCode: '00000' }))
+        .toEqual({ reason: 'Zip code 00000 was not found' });
+      expect(await geocoder.geocode({ state: 'CA', zipCode: '78701' }))
+        .toEqual({ reason: 'Zip code 78701 is in TX, not CA' });
+    });
+  });
+
+  describe('geocodeLocation', () => {
+    it('should report resolved coordinates', async () => {
+      const result = await geocodeLocation({ state: 'tx', zipCode: '78701' });
+
+      expect(result).toEqual({
+        resolved: true,
+        coordinates: { lat: 30.2713, lng: -97.7426 },
+        precision: 'zip'
+      });
+    });
+
+    it('should use a custom geocoder', async () => {
+      setGeocoder({ name: 'test', geocode: jest.fn().mockResolvedValue({ lat: 1, lng: 2, precision: 'rooftop' }) });
+
+      const result = await geocodeLocation({ address: '1 Main St' });
+
+      expect(result.coordinates).toEqual({ lat: 1, lng: 2 });
+    });
+
+    it('should report failures instead of throwing', async () => {
+      setGeocoder({ name: 'test', geocode: jest.fn().mockRejectedValue(new Error('timeout')) });
+
+      const result = await geocodeLocation({ zipCode: '78701' });
+
+      expect(result).toEqual({ resolved: false, reason: 'Geocoding is currently unavailable' });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const logger = require('../../config/logger');
+const { createMailQueue } = require('../../utils/mailQueue');
+
+describe('Mail Queue', () => {
+  const message = { to: 'jane@example.com', subject: 'Hello' };
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send queued messages in order', async () => {
+    const sent = [];
+    const queue = createMailQueue({ send: async (m) => sent.push(m.subject), retryDelay: 0 });
+
+    queue.enqueue({ ...message, subject: 'First' });
+    queue.enqueue({ ...message, subject: 'Second' });
+    await queue.idle();
+
+    expect(sent).toEqual(['First', 'Second']);
+    expect(queue.size()).toBe(0);
+  });
+
+  it('should retry failed sends until one succeeds', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('connection refused'))
+      .mockRejectedValueOnce(new Error('connection refused'))
+      .mockResolvedValue({ accepted: ['jane@example.com'] });
+    const queue = createMailQueue({ send, maxAttempts: 3, retryDelay: 1 });
+
+    queue.enqueue(message);
+    await queue.idle();
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  it('should give up after the last attempt', async () => {
+    const send = jest.fn().mockRejectedValue(new Error('mailbox unavailable'));
+    const queue = createMailQueue({ send, maxAttempts: 2, retryDelay: 1 });
+
+    queue.enqueue(message);
+    await queue.idle();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('after 2 attempts'));
+  });
+
+  it('should back off exponentially between attempts', async () => {
+    jest.useFakeTimers();
+    const send = jest.fn().mockRejectedValue(new Error('timeout'));
+    const queue = createMailQueue({ send, maxAttempts: 3, retryDelay: 100 });
+
+    queue.enqueue(message);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(99);
+    expect(send).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(199);
+    expect(send).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(send).toHaveBeenCalledTimes(3);
+
+    jest.useRealTimers();
+  });
+});
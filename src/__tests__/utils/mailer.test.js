@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  sendMail,
+  sendTemplate,
+  queueMail,
+  flushMailQueue,
+  setTransport,
+  getTransport,
+  createFileTransport,
+  createSmtpTransport
+} = require('../../utils/mailer');
+
+describe('Mailer Utils', () => {
+  afterEach(() => {
+    setTransport();
+  });
+
+  it('should send messages through the active transport', async () => {
+    const send = jest.fn().mockResolvedValue({ accepted: ['jane@example.com'] });
+    setTransport({ name: 'memory', send });
+
+    await sendMail({ to: 'jane@example.com', subject: 'Hello', text: 'Hi Jane' });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      subject: 'Hello',
+      text: 'Hi Jane',
+      from: expect.any(String)
+    }));
+  });
+
+  it('should require a recipient and a subject', async () => {
+    await expect(sendMail({ subject: 'No recipient' })).rejects.toThrow('recipient');
+  });
+
+  it('should fall back to the default transport when reset', () => {
+    setTransport({ name: 'memory', send: jest.fn() });
+    setTransport();
+
+    expect(getTransport().name).toBe('console');
+  });
+
+  it('should write messages to the outbox with the file transport', async () => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    setTransport(createFileTransport(outboxDir));
+
+    const result = await sendMail({ to: 'jane@example.com', subject: 'Reset', text: 'Token' });
+    const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+
+    expect(saved.to).toBe('jane@example.com');
+    expect(saved.subject).toBe('Reset');
+
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  it('should render templates for a user', async () => {
+    const send = jest.fn().mockResolvedValue({ accepted: ['jane@example.com'] });
+    setTransport({ name: 'memory', send });
+
+    await sendTemplate({ email: 'jane@example.com', name: 'Jane' }, 'password_changed');
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      subject: 'Your password was changed',
+      text: expect.stringContaining('Hi Jane,'),
+      html: expect.stringContaining('<p>Hi Jane,</p>')
+    }));
+  });
+
+  it('should send queued messages in the background', async () => {
+    const send = jest.fn().mockResolvedValue({ accepted: ['jane@example.com'] });
+    setTransport({ name: 'memory', send });
+
+    expect(queueMail({ email: 'jane@example.com', name: 'Jane' }, 'password_changed')).toBe(true);
+    await flushMailQueue();
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      from: expect.any(String)
+    }));
+  });
+
+  it('should skip recipients without an email address', () => {
+    const send = jest.fn();
+    setTransport({ name: 'memory', send });
+
+    expect(queueMail('userId', 'password_changed')).toBe(false);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should require a host for the smtp transport', () => {
+    expect(() => createSmtpTransport({ host: '' })).toThrow('EMAIL_HOST');
+    expect(createSmtpTransport({ host: 'smtp.example.com', port: '465' }).name).toBe('smtp');
+  });
+});
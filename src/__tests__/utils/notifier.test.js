@@ -0,0 +1,62 @@
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const logger = require('../../config/logger');
+const { notify, notifyBooking } = require('../../utils/notifier');
+
+jest.mock('../../models/Notification');
+jest.mock('../../models/User');
+
+describe('notifier', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.exists.mockResolvedValue(null);
+    Notification.create.mockImplementation(async (data) => data);
+  });
+
+  it('should create a notification with the type title', async () => {
+    const notification = await notify({ _id: 'user1' }, 'review_received', {
+      review: { _id: 'review1' },
+      message: 'Jane rated your service 5/5'
+    });
+
+    expect(User.exists).toHaveBeenCalledWith({
+      _id: 'user1',
+      'notificationPreferences.review_received': false
+    });
+    expect(notification).toEqual(expect.objectContaining({
+      user: 'user1',
+      type: 'review_received',
+      title: 'You received a new review',
+      review: 'review1',
+      message: 'Jane rated your service 5/5'
+    }));
+  });
+
+  it('should skip types the user turned off', async () => {
+    User.exists.mockResolvedValue({ _id: 'user1' });
+
+    const notification = await notify('user1', 'message_received');
+
+    expect(notification).toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('should log instead of throwing when saving fails', async () => {
+    const spy = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    Notification.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(notify('user1', 'booking_update')).resolves.toBeNull();
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('connection lost'));
+
+    spy.mockRestore();
+  });
+
+  it('should name bookings by their start date', async () => {
+    const booking = { _id: 'booking1', startDate: new Date('2030-05-01T10:00:00Z') };
+
+    const notification = await notifyBooking('owner1', 'booking_declined', booking, 'Fully booked');
+
+    expect(notification.booking).toBe('booking1');
+    expect(notification.message).toBe(`Booking on ${booking.startDate.toDateString()}: Fully booked`);
+  });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { buildListQuery } = require('../../utils/queryBuilder');
+const { createPager, decodeCursor, encodeCursor, buildKeysetFilter } = require('../../utils/pagination');
+
+describe('Pagination', () => {
+  const spec = { sortable: ['price', 'createdAt'], defaultSort: { price: 1 } };
+  const pagerFor = (params, options) => createPager(buildListQuery(params, spec), options);
+
+  const docs = [
+    { _id: 'a', price: 10 },
+    { _id: 'b', price: 20 },
+    { _id: 'c', price: 30 }
+  ];
+
+  describe('cursor mode', () => {
+    it('should fetch one extra document and link to the next page', () => {
+      const pager = pagerFor({ limit: '2' }, { url: '/api/services?limit=2' });
+
+      expect(pager.usePages).toBe(false);
+      expect(pager.sort).toEqual({ price: 1, _id: 1 });
+      expect(pager.limit).toBe(3);
+      expect(pager.applyTo({ isActive: true })).toEqual({ isActive: true });
+
+      const { items, pagination } = pager.page(docs);
+
+      expect(items).toEqual(docs.slice(0, 2));
+      expect(pagination.prevCursor).toBeNull();
+      expect(decodeCursor(pagination.nextCursor)).toEqual({ s: 'price,_id', d: 'next', v: { price: 20, _id: 'b' } });
+      expect(pagination.next).toBe(`/api/services?limit=2&cursor=${pagination.nextCursor}`);
+    });
+
+    it('should continue after the cursor', () => {
+      const cursor = encodeCursor({ s: 'price,_id', d: 'next', v: { price: 20, _id: 'b' } });
+      const pager = pagerFor({ limit: '2', cursor });
+
+      expect(pager.applyTo({ isActive: true })).toEqual({
+        isActive: true,
+        $and: [{ $or: [{ price: { $gt: 20 } }, { price: 20, _id: { $gt: 'b' } }] }]
+      });
+
+      const { items, pagination } = pager.page([docs[2]]);
+
+      expect(items).toEqual([docs[2]]);
+      expect(pagination.nextCursor).toBeNull();
+      expect(decodeCursor(pagination.prevCursor)).toEqual({ s: 'price,_id', d: 'prev', v: { price: 30, _id: 'c' } });
+    });
+
+    it('should page backwards and restore the order', () => {
+      const cursor = encodeCursor({ s: 'price,_id', d: 'prev', v: { price: 30, _id: 'c' } });
+      const pager = pagerFor({ limit: '2', cursor });
+
+      expect(pager.sort).toEqual({ price: -1, _id: -1 });
+
+      // Fetched nearest first, with a third document showing there is more
+      const { items, pagination } = pager.page([docs[1], docs[0], { _id: 'z', price: 5 }]);
+
+      expect(items).toEqual([docs[0], docs[1]]);
+      expect(pagination.nextCursor).not.toBeNull();
+      expect(pagination.prevCursor).not.toBeNull();
+    });
+
+    it('should reject cursors from a different sort', () => {
+      const cursor = encodeCursor({ s: 'price,_id', d: 'next', v: { price: 20, _id: 'b' } });
+
+      expect(() => pagerFor({ sort: '-createdAt', cursor })).toThrow('Invalid cursor: it does not match the current sort');
+      expect(() => pagerFor({ cursor: 'not-a-cursor' })).toThrow('Invalid cursor');
+    });
+
+    it('should round-trip dates and ObjectIds', () => {
+      const id = new mongoose.Types.ObjectId();
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      const pager = pagerFor({ sort: '-createdAt', limit: '1' });
+      const { pagination } = pager.page([{ _id: id, createdAt }, { _id: 'next', createdAt }]);
+
+      const next = createPager(buildListQuery({ sort: '-createdAt', cursor: pagination.nextCursor }, spec));
+      const [clause] = next.applyTo({}).$and;
+
+      expect(clause.$or[0].createdAt.$not.$gte).toEqual(createdAt);
+      expect(clause.$or[1]._id.$not.$gte).toEqual(id);
+    });
+  });
+
+  describe('keyset filter', () => {
+    it('should treat nulls as first ascending and last descending', () => {
+      expect(buildKeysetFilter({ rating: 1, _id: 1 }, { rating: null, _id: 'a' })).toEqual({
+        $or: [{ rating: { $ne: null } }, { rating: null, _id: { $gt: 'a' } }]
+      });
+      expect(buildKeysetFilter({ rating: -1, _id: -1 }, { rating: null, _id: 'a' })).toEqual({
+        $or: [{ rating: null, _id: { $not: { $gte: 'a' } } }]
+      });
+    });
+  });
+
+  describe('offset mode', () => {
+    it('should page by offset', () => {
+      const cursor = encodeCursor({ o: 2 });
+      const pager = pagerFor({ limit: '2', cursor }, { offset: true });
+
+      expect(pager.skip).toBe(2);
+      expect(pager.limit).toBe(3);
+
+      const { pagination } = pager.page(docs);
+
+      expect(decodeCursor(pagination.nextCursor)).toEqual({ o: 4 });
+      expect(decodeCursor(pagination.prevCursor)).toEqual({ o: 0 });
+    });
+  });
+
+  describe('page mode', () => {
+    it('should keep numbered pages with totals', () => {
+      const pager = pagerFor({ page: '2', limit: '2' });
+
+      expect(pager.usePages).toBe(true);
+      expect(pager.skip).toBe(2);
+      expect(pager.limit).toBe(2);
+      expect(pager.page(docs.slice(0, 2), 5).pagination).toEqual({ page: 2, limit: 2, pages: 3, total: 5 });
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const Booking = require('../../models/Booking');
+const {
+  createFakeProvider,
+  setPaymentProvider,
+  onPaymentEvent,
+  signPayload,
+  verifySignature,
+  getWebhookSecret
+} = require('../../utils/paymentProvider');
+const { chargeBooking, refundBooking, applyPaymentEvent } = require('../../utils/paymentService');
+
+jest.mock('../../models/Booking');
+
+const buildBooking = (overrides = {}) => ({
+  _id: 'booking1',
+  status: 'confirmed',
+  totalPrice: 52.5,
+  paymentStatus: 'pending',
+  payment: {},
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('Payment Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setPaymentProvider(createFakeProvider());
+  });
+
+  afterAll(() => {
+    setPaymentProvider();
+    onPaymentEvent(applyPaymentEvent);
+  });
+
+  describe('fake provider', () => {
+    it('should deliver a charge.succeeded event for a charge', async () => {
+      const events = [];
+      onPaymentEvent((event) => events.push(event));
+
+      const charge = await createFakeProvider().createCharge({ amount: 5250, currency: 'usd', source: 'tok_visa' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(charge.status).toBe('pending');
+      expect(events).toHaveLength(1);
+      expect(events[0].type).toBe('charge.succeeded');
+      expect(events[0].data.chargeId).toBe(charge.id);
+
+      onPaymentEvent(applyPaymentEvent);
+    });
+
+    it('should deliver a charge.failed event for the failing test token', async () => {
+      const events = [];
+      onPaymentEvent((event) => events.push(event));
+
+      await createFakeProvider().createCharge({ amount: 5250, currency: 'usd', source: 'tok_fail' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(events[0].type).toBe('charge.failed');
+      expect(events[0].data.failureReason).toBeDefined();
+
+      onPaymentEvent(applyPaymentEvent);
+    });
+
+    it('should verify webhook signatures', () => {
+      const payload = JSON.stringify({ id: 'evt_1', type: 'charge.succeeded' });
+      const provider = createFakeProvider();
+
+      expect(verifySignature(payload, signPayload(payload))).toBe(true);
+      expect(verifySignature(payload, 'forged')).toBe(false);
+      expect(provider.verifyWebhook(payload, signPayload(payload)).id).toBe('evt_1');
+      expect(() => provider.verifyWebhook(payload, 'forged')).toThrow('Invalid webhook signature');
+    });
+
+    it('should reject every webhook when no secret is configured outside tests', () => {
+      const payload = JSON.stringify({ id: 'evt_1', type: 'charge.succeeded' });
+      const signature = signPayload(payload);
+      const { NODE_ENV, PAYMENT_WEBHOOK_SECRET } = process.env;
+      process.env.NODE_ENV = 'production';
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+      try {
+        expect(verifySignature(payload, signature)).toBe(false);
+        expect(() => signPayload(payload)).toThrow('PAYMENT_WEBHOOK_SECRET is not set');
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (PAYMENT_WEBHOOK_SECRET !== undefined) process.env.PAYMENT_WEBHOOK_SECRET = PAYMENT_WEBHOOK_SECRET;
+      }
+    });
+
+    it('should generate a secret for the fake provider in development', () => {
+      const payload = JSON.stringify({ id: 'evt_1', type: 'charge.succeeded' });
+      const { NODE_ENV, PAYMENT_PROVIDER, PAYMENT_WEBHOOK_SECRET } = process.env;
+      process.env.NODE_ENV = 'development';
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+      try {
+        delete process.env.PAYMENT_PROVIDER;
+        const secret = getWebhookSecret();
+        expect(secret).toHaveLength(64);
+        expect(getWebhookSecret()).toBe(secret);
+        expect(verifySignature(payload, signPayload(payload))).toBe(true);
+
+        process.env.PAYMENT_PROVIDER = 'stripe';
+        expect(getWebhookSecret()).toBeNull();
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (PAYMENT_PROVIDER !== undefined) process.env.PAYMENT_PROVIDER = PAYMENT_PROVIDER;
+        else delete process.env.PAYMENT_PROVIDER;
+        if (PAYMENT_WEBHOOK_SECRET !== undefined) process.env.PAYMENT_WEBHOOK_SECRET = PAYMENT_WEBHOOK_SECRET;
+      }
+    });
+  });
+
+  describe('chargeBooking', () => {
+    beforeEach(() => {
+      Booking.findOneAndUpdate.mockImplementation(async () => buildBooking());
+    });
+
+    it('should record the charge on the booking in cents', async () => {
+      const createCharge = jest.fn().mockResolvedValue({ id: 'ch_1', status: 'pending' });
+      setPaymentProvider({ name: 'test', createCharge });
+      const booking = buildBooking();
+
+      await chargeBooking(booking, { paymentMethod: 'paypal', source: 'tok_visa' });
+
+      expect(createCharge).toHaveBeenCalledWith(expect.objectContaining({ amount: 5250, source: 'tok_visa' }));
+      expect(booking.paymentMethod).toBe('paypal');
+      expect(booking.payment).toEqual({ provider: 'test', chargeId: 'ch_1' });
+    });
+
+    it('should claim the payment before the charge can report back', async () => {
+      const booking = buildBooking();
+      const createCharge = jest.fn().mockImplementation(async () => {
+        expect(Booking.findOneAndUpdate).toHaveBeenCalledWith(
+          expect.objectContaining({ _id: 'booking1' }),
+          { $set: { paymentMethod: 'paypal', paymentStatus: 'pending', payment: { provider: 'test' } } },
+          { new: true }
+        );
+        return { id: 'ch_1', status: 'pending' };
+      });
+      setPaymentProvider({ name: 'test', createCharge });
+
+      await chargeBooking(booking, { paymentMethod: 'paypal', source: 'tok_visa' });
+
+      expect(createCharge).toHaveBeenCalled();
+      expect(Booking.updateOne).toHaveBeenCalledWith(
+        { _id: 'booking1' },
+        { $set: { 'payment.chargeId': 'ch_1' } }
+      );
+    });
+
+    it('should not charge when the payment is already claimed', async () => {
+      Booking.findOneAndUpdate.mockResolvedValue(null);
+      const createCharge = jest.fn();
+      setPaymentProvider({ name: 'test', createCharge });
+
+      const charge = await chargeBooking(buildBooking(), { paymentMethod: 'paypal', source: 'tok_visa' });
+
+      expect(charge).toBeNull();
+      expect(createCharge).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the charge cannot be created', async () => {
+      const createCharge = jest.fn().mockRejectedValue(new Error('Card declined'));
+      setPaymentProvider({ name: 'test', createCharge });
+
+      await expect(chargeBooking(buildBooking(), { paymentMethod: 'paypal', source: 'tok_visa' }))
+        .rejects.toThrow('Card declined');
+
+      expect(Booking.updateOne).toHaveBeenCalledWith(
+        { _id: 'booking1', paymentStatus: 'pending', 'payment.chargeId': null },
+        { $set: { paymentStatus: 'failed', 'payment.failureReason': 'Card declined' } }
+      );
+    });
+  });
+
+  describe('applyPaymentEvent', () => {
+    it('should mark the booking as paid', async () => {
+      const booking = buildBooking({ payment: { chargeId: 'ch_1' } });
+      Booking.findOne.mockResolvedValue(booking);
+
+      await applyPaymentEvent({ id: 'evt_1', type: 'charge.succeeded', data: { chargeId: 'ch_1', amount: 5250 } });
+
+      expect(Booking.findOne).toHaveBeenCalledWith({ 'payment.chargeId': 'ch_1' });
+      expect(booking.paymentStatus).toBe('paid');
+      expect(booking.payment.amountPaid).toBe(52.5);
+    });
+
+    it('should match an event that arrives before the charge id is stored', async () => {
+      const booking = buildBooking({ payment: { provider: 'fake' } });
+      Booking.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(booking);
+
+      await applyPaymentEvent({
+        id: 'evt_1',
+        type: 'charge.succeeded',
+        data: { chargeId: 'ch_1', amount: 5250, metadata: { bookingId: 'booking1' } }
+      });
+
+      expect(Booking.findOne).toHaveBeenLastCalledWith({
+        _id: 'booking1',
+        paymentStatus: 'pending',
+        'payment.chargeId': null
+      });
+      expect(booking.payment.chargeId).toBe('ch_1');
+      expect(booking.paymentStatus).toBe('paid');
+      expect(booking.save).toHaveBeenCalled();
+    });
+
+    it('should mark the booking as failed', async () => {
+      const booking = buildBooking({ payment: { chargeId: 'ch_1' } });
+      Booking.findOne.mockResolvedValue(booking);
+
+      await applyPaymentEvent({ id: 'evt_2', type: 'charge.failed', data: { chargeId: 'ch_1', failureReason: 'Declined' } });
+
+      expect(booking.paymentStatus).toBe('failed');
+      expect(booking.payment.failureReason).toBe('Declined');
+    });
+
+    it('should ignore duplicate deliveries', async () => {
+      const booking = buildBooking({ paymentStatus: 'paid', payment: { chargeId: 'ch_1', amountPaid: 52.5 } });
+      Booking.findOne.mockResolvedValue(booking);
+
+      await applyPaymentEvent({ id: 'evt_1', type: 'charge.succeeded', data: { chargeId: 'ch_1', amount: 5250 } });
+
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it('should refund a booking that was cancelled while the charge was processing', async () => {
+      const booking = buildBooking({
+        status: 'cancelled',
+        cancellation: { refundAmount: 26.25 },
+        payment: { chargeId: 'ch_1' }
+      });
+      Booking.findOne.mockResolvedValue(booking);
+
+      await applyPaymentEvent({ id: 'evt_1', type: 'charge.succeeded', data: { chargeId: 'ch_1', amount: 5250 } });
+
+      expect(booking.paymentStatus).toBe('refunded');
+      expect(booking.payment.amountRefunded).toBe(26.25);
+    });
+  });
+
+  describe('refundBooking', () => {
+    it('should refund the cancellation amount and mark the booking refunded', async () => {
+      const refund = jest.fn().mockResolvedValue({ id: 're_1', status: 'succeeded' });
+      setPaymentProvider({ name: 'test', refund });
+      const booking = buildBooking({
+        paymentStatus: 'paid',
+        cancellation: { refundAmount: 26.25 },
+        payment: { chargeId: 'ch_1', amountPaid: 52.5 }
+      });
+
+      await refundBooking(booking);
+
+      expect(refund).toHaveBeenCalledWith({ chargeId: 'ch_1', amount: 2625 });
+      expect(booking.paymentStatus).toBe('refunded');
+      expect(booking.payment.refundId).toBe('re_1');
+    });
+
+    it('should skip unpaid bookings and zero refunds', async () => {
+      const refund = jest.fn();
+      setPaymentProvider({ name: 'test', refund });
+
+      await refundBooking(buildBooking({ cancellation: { refundAmount: 10 } }));
+      await refundBooking(buildBooking({ paymentStatus: 'paid', payment: { chargeId: 'ch_1' }, cancellation: { refundAmount: 0 } }));
+
+      expect(refund).not.toHaveBeenCalled();
+    });
+  });
+});
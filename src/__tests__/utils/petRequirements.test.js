@@ -0,0 +1,53 @@
+const {
+  getUnmetRequirements,
+  checkPetRequirements,
+  formatUnmetRequirements,
+  buildRequirementsFilter
+} = require('../../utils/petRequirements');
+
+describe('Pet Requirements', () => {
+  const requirements = { vaccinated: true, spayedNeutered: false, microchipped: true };
+
+  describe('getUnmetRequirements', () => {
+    it('should list required fields the pet is missing', () => {
+      const pet = { vaccinated: false, spayedNeutered: false, microchipped: false };
+
+      expect(getUnmetRequirements(requirements, pet)).toEqual(['vaccinated', 'microchipped']);
+    });
+
+    it('should ignore fields the service does not require', () => {
+      const pet = { vaccinated: true, spayedNeutered: false, microchipped: true };
+
+      expect(getUnmetRequirements(requirements, pet)).toEqual([]);
+    });
+
+    it('should treat missing requirements as not required', () => {
+      expect(getUnmetRequirements(undefined, {})).toEqual([]);
+    });
+  });
+
+  describe('checkPetRequirements', () => {
+    it('should report only the pets that fall short', () => {
+      const pets = [
+        { _id: 'pet1', name: 'Buddy', vaccinated: true, microchipped: true },
+        { _id: 'pet2', name: 'Milo', vaccinated: false, microchipped: true }
+      ];
+
+      const results = checkPetRequirements(requirements, pets);
+
+      expect(results).toEqual([{ pet: 'pet2', name: 'Milo', unmet: ['vaccinated'] }]);
+      expect(formatUnmetRequirements(results)).toBe('Milo must be vaccinated');
+    });
+  });
+
+  describe('buildRequirementsFilter', () => {
+    it('should exclude services requiring anything the pet lacks', () => {
+      const pet = { vaccinated: true, spayedNeutered: false, microchipped: false };
+
+      expect(buildRequirementsFilter(pet)).toEqual({
+        'requirements.spayedNeutered': { $ne: true },
+        'requirements.microchipped': { $ne: true }
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { classifyPetSize, getPetSize, checkPetSize, buildPetSizeFilter } = require('../../utils/petSize');
+
+describe('Pet Size', () => {
+  describe('classifyPetSize', () => {
+    it('should classify dogs by weight', () => {
+      expect(classifyPetSize('dog', 15)).toBe('small');
+      expect(classifyPetSize('dog', 20)).toBe('small');
+      expect(classifyPetSize('dog', 45)).toBe('medium');
+      expect(classifyPetSize('dog', 70)).toBe('large');
+      expect(classifyPetSize('dog', 120)).toBe('extra_large');
+    });
+
+    it('should use species-specific thresholds', () => {
+      expect(classifyPetSize('cat', 10)).toBe('medium');
+      expect(classifyPetSize('rabbit', 10)).toBe('large');
+    });
+
+    it('should treat small species as small regardless of weight', () => {
+      expect(classifyPetSize('hamster')).toBe('small');
+      expect(classifyPetSize('bird', 3)).toBe('small');
+    });
+
+    it('should return null when the weight is unknown', () => {
+      expect(classifyPetSize('dog')).toBeNull();
+    });
+  });
+
+  describe('getPetSize', () => {
+    it('should prefer the owner override', () => {
+      expect(getPetSize({ species: 'dog', weight: 15, sizeOverride: 'medium' })).toBe('medium');
+      expect(getPetSize({ species: 'dog', weight: 15 })).toBe('small');
+    });
+  });
+
+  describe('checkPetSize', () => {
+    it('should accept any size when the service lists none', () => {
+      expect(checkPetSize([], { name: 'Rex', species: 'dog' })).toBeNull();
+    });
+
+    it('should explain why a pet is rejected', () => {
+      expect(checkPetSize(['small'], { name: 'Rex', species: 'dog', weight: 80 }))
+        .toBe('This service only accepts small pets, but Rex is large');
+      expect(checkPetSize(['small', 'medium'], { name: 'Rex', species: 'dog' }))
+        .toBe("Rex's size is unknown; add a weight or set a size to book a service for small, medium pets");
+    });
+  });
+
+  describe('buildPetSizeFilter', () => {
+    it('should match services accepting the size or any size', () => {
+      expect(buildPetSizeFilter('large')).toEqual({
+        $or: [{ petSizes: 'large' }, { petSizes: { $size: 0 } }]
+      });
+      expect(buildPetSizeFilter(null)).toEqual({ petSizes: { $size: 0 } });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { buildListQuery, escapeRegex } = require('../../utils/queryBuilder');
+
+describe('Query Builder', () => {
+  const spec = {
+    filters: {
+      serviceType: { field: 'serviceType', type: 'enum', values: ['dog_walking', 'grooming'] },
+      city: { field: 'location.city', type: 'regex' },
+      minPrice: { field: 'price', type: 'number', op: '$gte' },
+      maxPrice: { field: 'price', type: 'number', op: '$lte' },
+      instantBooking: { field: 'instantBooking', type: 'boolean' },
+      from: { field: 'startDate', type: 'date', op: '$gte' },
+      search: { type: 'text' }
+    },
+    sortable: ['price', 'createdAt'],
+    defaultSort: { createdAt: -1 },
+    allowed: ['lat'],
+    baseFilter: { isActive: true }
+  };
+
+  const expectQueryError = (params, parameter, message) => {
+    try {
+      buildListQuery(params, spec);
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.parameter).toBe(parameter);
+      expect(error.message).toBe(message);
+      return;
+    }
+    throw new Error('Expected a query error');
+  };
+
+  it('should build filters, sort and pagination', () => {
+    const result = buildListQuery({
+      serviceType: 'grooming',
+      minPrice: '10',
+      maxPrice: '50',
+      instantBooking: 'false',
+      search: 'walks',
+      sort: '-price,createdAt',
+      page: '2',
+      limit: '5'
+    }, spec);
+
+    expect(result).toEqual({
+      filter: {
+        isActive: true,
+        serviceType: 'grooming',
+        price: { $gte: 10, $lte: 50 },
+        instantBooking: false,
+        $text: { $search: 'walks' }
+      },
+      sort: { price: -1, createdAt: 1 },
+      page: 2,
+      limit: 5,
+      skip: 5,
+      usePages: true,
+      cursor: null
+    });
+  });
+
+  it('should fall back to defaults', () => {
+    const result = buildListQuery({}, spec);
+
+    expect(result.filter).toEqual({ isActive: true });
+    expect(result.sort).toEqual({ createdAt: -1 });
+    expect(result.page).toBe(1);
+    expect(result.limit).toBe(10);
+    expect(result.usePages).toBe(false);
+  });
+
+  it('should escape regex input', () => {
+    const { filter } = buildListQuery({ city: 'St. Louis (MO)*' }, spec);
+
+    expect(filter['location.city']).toEqual(/St\. Louis \(MO\)\*/i);
+    expect(escapeRegex('a+b')).toBe('a\\+b');
+  });
+
+  it('should cap the limit', () => {
+    expect(buildListQuery({ limit: '5000' }, spec).limit).toBe(100);
+  });
+
+  it('should reject fields that are not sortable', () => {
+    expectQueryError({ sort: '-password' }, 'sort', 'Invalid sort: "password" is not sortable (allowed: price, createdAt)');
+  });
+
+  it('should reject unknown parameters', () => {
+    expectQueryError({ owner: 'someone' }, 'owner', 'Unknown query parameter: owner');
+    expect(() => buildListQuery({ lat: '30.2' }, spec)).not.toThrow();
+  });
+
+  it('should reject operator injection through nested values', () => {
+    expectQueryError({ city: { $ne: 'x' } }, 'city', 'Invalid city: must be a single value');
+  });
+
+  it('should name the parameter with an invalid value', () => {
+    expectQueryError({ serviceType: 'surfing' }, 'serviceType', 'Invalid serviceType: must be one of dog_walking, grooming');
+    expectQueryError({ minPrice: 'cheap' }, 'minPrice', 'Invalid minPrice: must be a number');
+    expectQueryError({ instantBooking: 'yes' }, 'instantBooking', 'Invalid instantBooking: must be true or false');
+    expectQueryError({ from: 'tomorrow' }, 'from', 'Invalid from: must be a valid date');
+    expectQueryError({ page: '0' }, 'page', 'Invalid page: must be a positive integer');
+    expectQueryError({ page: '2', cursor: 'abc' }, 'cursor', 'Invalid cursor: cannot be combined with page');
+  });
+});
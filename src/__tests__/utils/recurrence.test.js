@@ -0,0 +1,47 @@
+const {
+  formatTime,
+  parseLocalDate,
+  expandRecurrence,
+  describeRecurrence
+} = require('../../utils/recurrence');
+
+describe('Recurrence Utils', () => {
+  // Monday 2 June 2031
+  const rule = {
+    days: ['monday', 'wednesday', 'friday'],
+    time: '08:00',
+    durationMinutes: 45,
+    startDate: '2031-06-02',
+    weeks: 8
+  };
+
+  it('should expand weekly days into occurrences', () => {
+    const occurrences = expandRecurrence(rule);
+
+    expect(occurrences).toHaveLength(24);
+    expect(occurrences[0].startDate).toEqual(new Date(2031, 5, 2, 8, 0));
+    expect(occurrences[0].endDate).toEqual(new Date(2031, 5, 2, 8, 45));
+    expect(occurrences[1].startDate).toEqual(new Date(2031, 5, 4, 8, 0));
+    expect(occurrences[23].startDate).toEqual(new Date(2031, 6, 25, 8, 0));
+  });
+
+  it('should start counting weeks from the start date', () => {
+    // Starting on a Thursday skips that week's Monday and Wednesday
+    const occurrences = expandRecurrence({ ...rule, startDate: '2031-06-05', weeks: 1 });
+
+    expect(occurrences.map(o => o.startDate.getDay())).toEqual([5, 1, 3]);
+  });
+
+  it('should read date-only strings as local days', () => {
+    expect(parseLocalDate('2031-06-02')).toEqual(new Date(2031, 5, 2));
+  });
+
+  it('should format local times', () => {
+    expect(formatTime(new Date(2031, 5, 2, 7, 5))).toBe('07:05');
+  });
+
+  it('should describe a rule', () => {
+    expect(describeRecurrence(rule)).toBe('Every monday, wednesday and friday at 08:00 for 8 weeks');
+    expect(describeRecurrence({ ...rule, days: ['sunday'], weeks: 1 })).toBe('Every sunday at 08:00 for 1 week');
+  });
+});
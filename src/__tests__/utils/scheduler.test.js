@@ -0,0 +1,82 @@
+const ScheduledJob = require('../../models/ScheduledJob');
+const logger = require('../../config/logger');
+const { createScheduler } = require('../../utils/scheduler');
+
+jest.mock('../../models/ScheduledJob');
+
+describe('Scheduler', () => {
+  const now = new Date('2031-06-01T12:00:00Z');
+  const claimed = (name) => ({ _id: `${name}Id`, name, interval: 60000, lockedBy: 'test' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    ScheduledJob.claim.mockImplementation(async (name) => claimed(name));
+    ScheduledJob.release.mockResolvedValue({ modifiedCount: 1 });
+    ScheduledJob.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run due jobs and release them with their result', async () => {
+    const run = jest.fn().mockResolvedValue({ reminded: 2 });
+    const scheduler = createScheduler([{ name: 'reminders', interval: 60000, run }], { instanceId: 'test' });
+
+    const results = await scheduler.tick(now);
+
+    expect(ScheduledJob.claim).toHaveBeenCalledWith('reminders', 'test', expect.any(Number), now);
+    expect(run).toHaveBeenCalledWith(now);
+    expect(ScheduledJob.release).toHaveBeenCalledWith(claimed('reminders'), { result: { reminded: 2 } });
+    expect(results).toEqual({ reminders: { reminded: 2 } });
+  });
+
+  it('should skip jobs that are not due or locked elsewhere', async () => {
+    ScheduledJob.claim.mockResolvedValue(null);
+    const run = jest.fn();
+    const scheduler = createScheduler([{ name: 'reminders', interval: 60000, run }]);
+
+    expect(await scheduler.tick(now)).toEqual({});
+    expect(run).not.toHaveBeenCalled();
+    expect(ScheduledJob.release).not.toHaveBeenCalled();
+  });
+
+  it('should record failures and keep running other jobs', async () => {
+    const failing = jest.fn().mockRejectedValue(new Error('boom'));
+    const working = jest.fn().mockResolvedValue({ flagged: 0 });
+    const scheduler = createScheduler([
+      { name: 'failing', interval: 60000, run: failing },
+      { name: 'working', interval: 60000, run: working }
+    ]);
+
+    const results = await scheduler.tick(now);
+
+    expect(ScheduledJob.release).toHaveBeenCalledWith(claimed('failing'), { error: expect.any(Error) });
+    expect(working).toHaveBeenCalled();
+    expect(results).toEqual({ working: { flagged: 0 } });
+  });
+
+  it('should survive the database being unavailable', async () => {
+    ScheduledJob.claim.mockRejectedValue(new Error('not connected'));
+    const scheduler = createScheduler([{ name: 'reminders', interval: 60000, run: jest.fn() }]);
+
+    await expect(scheduler.tick(now)).resolves.toEqual({});
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('not connected'));
+  });
+
+  it('should register jobs without resetting existing schedules', async () => {
+    ScheduledJob.claim.mockResolvedValue(null);
+    const scheduler = createScheduler([{ name: 'reminders', interval: 300000, run: jest.fn() }], { tickMs: 60000 });
+
+    await scheduler.start();
+    await scheduler.stop();
+
+    expect(ScheduledJob.updateOne).toHaveBeenCalledWith(
+      { name: 'reminders' },
+      { $set: { interval: 300000 }, $setOnInsert: { nextRunAt: expect.any(Date) } },
+      { upsert: true }
+    );
+  });
+});
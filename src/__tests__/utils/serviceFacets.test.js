@@ -0,0 +1,52 @@
+const { buildFacetPipeline, formatFacets } = require('../../utils/serviceFacets');
+
+describe('Service Facets', () => {
+  it('should compute every facet in one aggregation over the filter', () => {
+    const filter = { isActive: true, serviceType: 'dog_walking' };
+    const pipeline = buildFacetPipeline(filter);
+
+    expect(pipeline).toHaveLength(2);
+    expect(pipeline[0]).toEqual({ $match: filter });
+    expect(Object.keys(pipeline[1].$facet)).toEqual([
+      'serviceType', 'petTypes', 'price', 'rating', 'city', 'instantBooking'
+    ]);
+  });
+
+  it('should format the aggregation result into value counts and ranges', () => {
+    const facets = formatFacets([{
+      serviceType: [{ _id: 'dog_walking', count: 3 }, { _id: 'grooming', count: 1 }],
+      petTypes: [{ _id: 'dog', count: 4 }],
+      price: [{ _id: 0, count: 1 }, { _id: 100, count: 2 }, { _id: 'over', count: 1 }],
+      rating: [{ _id: 0, count: 1 }, { _id: 4.5, count: 3 }],
+      city: [{ _id: 'Austin', count: 4 }],
+      instantBooking: [{ _id: true, count: 1 }, { _id: false, count: 3 }]
+    }]);
+
+    expect(facets).toEqual({
+      serviceType: [{ value: 'dog_walking', count: 3 }, { value: 'grooming', count: 1 }],
+      petTypes: [{ value: 'dog', count: 4 }],
+      price: [
+        { min: 0, max: 25, count: 1 },
+        { min: 100, max: 200, count: 2 },
+        { min: 200, max: null, count: 1 }
+      ],
+      rating: [
+        { min: 0, max: 3, count: 1 },
+        { min: 4.5, max: 5, count: 3 }
+      ],
+      city: [{ value: 'Austin', count: 4 }],
+      instantBooking: [{ value: true, count: 1 }, { value: false, count: 3 }]
+    });
+  });
+
+  it('should return empty facets when nothing matches', () => {
+    expect(formatFacets([])).toEqual({
+      serviceType: [],
+      petTypes: [],
+      price: [],
+      rating: [],
+      city: [],
+      instantBooking: []
+    });
+  });
+});
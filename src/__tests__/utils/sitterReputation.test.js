@@ -0,0 +1,61 @@
+const {
+  buildRatingPipeline,
+  formatRating,
+  buildBookingStatsPipeline,
+  formatBookingStats
+} = require('../../utils/sitterReputation');
+
+describe('Sitter Reputation', () => {
+  describe('rating', () => {
+    it('should only aggregate the sitter\'s active, reviewed services', () => {
+      expect(buildRatingPipeline('sitterId')[0]).toEqual({
+        $match: { sitter: 'sitterId', isActive: true, 'rating.count': { $gt: 0 } }
+      });
+    });
+
+    it('should weight each service by its number of reviews', () => {
+      // 4.0 over 3 reviews and 5.0 over 1 review
+      expect(formatRating([{ weightedSum: 17, count: 4 }])).toEqual({ average: 4.3, count: 4 });
+    });
+
+    it('should report no rating without reviews', () => {
+      expect(formatRating([])).toEqual({ average: 0, count: 0 });
+    });
+  });
+
+  describe('booking stats', () => {
+    it('should match the sitter\'s bookings', () => {
+      const pipeline = buildBookingStatsPipeline('sitterId');
+
+      expect(pipeline[0]).toEqual({ $match: { sitter: 'sitterId' } });
+      expect(Object.keys(pipeline[1].$facet)).toEqual(['clients', 'responses']);
+    });
+
+    it('should compute completed bookings, repeat clients and response time', () => {
+      const stats = formatBookingStats([{
+        clients: [
+          { _id: 'owner1', bookings: 3 },
+          { _id: 'owner2', bookings: 1 },
+          { _id: 'owner3', bookings: 1 }
+        ],
+        responses: [{ _id: null, averageMs: 95 * 60000, count: 4 }]
+      }]);
+
+      expect(stats).toEqual({
+        completedBookings: 5,
+        clients: 3,
+        repeatClientRate: 0.33,
+        responseTime: { averageMinutes: 95, responses: 4 }
+      });
+    });
+
+    it('should handle sitters without bookings', () => {
+      expect(formatBookingStats([{ clients: [], responses: [] }])).toEqual({
+        completedBookings: 0,
+        clients: 0,
+        repeatClientRate: null,
+        responseTime: { averageMinutes: null, responses: 0 }
+      });
+    });
+  });
+});
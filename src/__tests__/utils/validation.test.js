@@ -289,6 +289,60 @@ describe('Validation Utils', () => {
     });
   });
 
+  describe('conversationSchema', () => {
+    it('should accept a booking or a service thread', () => {
+      expect(schemas.conversation.validate({ booking: 'booking1', body: 'Hi!' }).error).toBeUndefined();
+      expect(schemas.conversation.validate({ service: 'service1', body: 'Hi!' }).error).toBeUndefined();
+    });
+
+    it('should require exactly one of booking and service', () => {
+      const { error: missing } = schemas.conversation.validate({ body: 'Hi!' });
+      const { error: both } = schemas.conversation.validate({ booking: 'b1', service: 's1', body: 'Hi!' });
+
+      expect(missing.details[0].message).toBe('Either a booking or a service is required');
+      expect(both.details[0].message).toBe('A conversation is about either a booking or a service, not both');
+    });
+
+    it('should reject empty messages', () => {
+      const { error } = schemas.message.validate({ body: '   ' });
+
+      expect(error.details[0].message).toBe('Message cannot be empty');
+    });
+  });
+
+  describe('bookingSeriesSchema', () => {
+    const series = {
+      service: 'service1',
+      pet: 'pet1',
+      recurrence: {
+        days: ['monday', 'wednesday', 'friday'],
+        time: '08:00',
+        durationMinutes: 60,
+        startDate: '2031-06-02',
+        weeks: 8
+      }
+    };
+
+    it('should accept a weekly rule', () => {
+      expect(schemas.bookingSeries.validate(series).error).toBeUndefined();
+    });
+
+    it('should take dates from the rule rather than the booking', () => {
+      const { error } = schemas.bookingSeries.validate({ ...series, startDate: '2031-06-02' });
+
+      expect(error.details[0].message).toBe('"startDate" is not allowed');
+    });
+
+    it('should limit the number of weeks', () => {
+      const { error } = schemas.bookingSeries.validate({
+        ...series,
+        recurrence: { ...series.recurrence, weeks: 27 }
+      });
+
+      expect(error.details[0].message).toBe('A series can run for at most 26 weeks');
+    });
+  });
+
   describe('validate middleware', () => {
     it('should create validation middleware', () => {
       const middleware = validate(schemas.register);
@@ -62,7 +62,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['owner', 'sitter'],
+              enum: ['owner', 'sitter', 'admin'],
               description: 'The user role'
             },
             phone: {
@@ -0,0 +1,355 @@
+const User = require('../models/User');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const RefreshToken = require('../models/RefreshToken');
+const ScheduledJob = require('../models/ScheduledJob');
+const logger = require('../config/logger');
+const { refundBooking } = require('../utils/paymentService');
+const { BOOKING_EVENTS, publishBookingEvent } = require('../utils/bookingEvents');
+const { notifyBooking } = require('../utils/notifier');
+const { buildListQuery, queryError } = require('../utils/queryBuilder');
+const { createPager } = require('../utils/pagination');
+const { schemas } = require('../utils/validation');
+
+// @desc    List users
+// @route   GET /api/admin/users
+// @access  Private (Admin only)
+const getUsers = async (req, res, next) => {
+  try {
+    const listing = buildListQuery(req.query, {
+      filters: {
+        role: { field: 'role', type: 'enum', values: ['owner', 'sitter', 'admin'] },
+        isActive: { field: 'isActive', type: 'boolean' },
+        email: { field: 'email', type: 'string' }
+      },
+      sortable: ['createdAt', 'name', 'email'],
+      defaultSort: { createdAt: -1 },
+      allowed: ['suspended']
+    });
+    const { filter: query } = listing;
+
+    // Emails are stored lowercase
+    if (query.email) {
+      query.email = query.email.toLowerCase();
+    }
+
+    const { suspended } = req.query;
+    if (suspended !== undefined && suspended !== 'true' && suspended !== 'false') {
+      throw queryError('suspended', 'Invalid suspended: must be true or false');
+    }
+    if (suspended !== undefined) {
+      query['suspension.suspendedAt'] = { $exists: suspended === 'true' };
+    }
+
+    const pager = createPager(listing, { url: req.originalUrl });
+
+    const docs = await User.find(pager.applyTo(query))
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
+
+    const total = pager.usePages ? await User.countDocuments(query) : undefined;
+    const { items: users, pagination } = pager.page(docs, total);
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      pagination,
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suspend a user
+// @route   PATCH /api/admin/users/:id/suspend
+// @access  Private (Admin only)
+const suspendUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No user found with that ID'
+      });
+    }
+
+    if (user.isSuspended()) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'User is already suspended'
+      });
+    }
+
+    user.suspension = {
+      suspendedAt: new Date(),
+      suspendedBy: req.user.id,
+      reason: req.body.reason
+    };
+    await user.save({ validateBeforeSave: false });
+
+    // Sign the user out everywhere
+    await RefreshToken.revokeAllForUser(user._id);
+
+    logger.warn(`User ${user._id} suspended by admin ${req.user.id}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   PATCH /api/admin/users/:id/unsuspend
+// @access  Private (Admin only)
+const unsuspendUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No user found with that ID'
+      });
+    }
+
+    user.suspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Activate or deactivate a service
+// @route   PATCH /api/admin/services/:id/activate
+// @route   PATCH /api/admin/services/:id/deactivate
+// @access  Private (Admin only)
+const setServiceActive = async (req, res, next) => {
+  try {
+    const isActive = req.path.endsWith('/activate');
+
+    // Deactivated services can no longer be featured
+    const update = isActive ? { isActive } : { isActive, featured: false };
+
+    const service = await Service.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No service found with that ID'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        service
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Feature or unfeature a service
+// @route   PATCH /api/admin/services/:id/feature
+// @access  Private (Admin only)
+const featureService = async (req, res, next) => {
+  try {
+    // validate() has checked the body but leaves it unconverted ("false")
+    const { value: { featured } } = schemas.featureService.validate(req.body);
+
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No service found with that ID'
+      });
+    }
+
+    if (featured && !service.isActive) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Inactive services cannot be featured'
+      });
+    }
+
+    service.featured = featured;
+    await service.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        service
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a booking on behalf of the platform
+// @route   PATCH /api/admin/bookings/:id/cancel
+// @access  Private (Admin only)
+const cancelBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No booking found with that ID'
+      });
+    }
+
+    if (['completed', 'cancelled', 'declined'].includes(booking.status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Cannot cancel a booking that is ${booking.status}`
+      });
+    }
+
+    // Platform cancellations are always refunded in full
+    booking.cancellation = {
+      cancelledBy: req.user.id,
+      cancelledAt: new Date(),
+      reason: req.body.reason,
+      refundAmount: booking.totalPrice
+    };
+    booking.status = 'cancelled';
+    await booking.save();
+
+    logger.warn(`Booking ${booking._id} cancelled by admin ${req.user.id}`);
+
+    try {
+      await refundBooking(booking);
+    } catch (refundError) {
+      logger.error(`Refund failed for booking ${booking._id}: ${refundError.message}`);
+    }
+
+    publishBookingEvent(BOOKING_EVENTS.STATUS, booking, { changedBy: 'admin' });
+    for (const recipient of [booking.owner, booking.sitter]) {
+      await notifyBooking(recipient, 'booking_cancelled', booking, 'Cancelled by the platform with a full refund');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        booking
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get platform-wide statistics
+// @route   GET /api/admin/stats
+// @access  Private (Admin only)
+const getPlatformStats = async (req, res, next) => {
+  try {
+    const bookingStats = await Booking.getPlatformStats();
+
+    const userStats = await User.aggregate([
+      {
+        $group: {
+          _id: '$role',
+          count: { $sum: 1 },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } },
+          suspended: { $sum: { $cond: [{ $ifNull: ['$suspension.suspendedAt', false] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const serviceStats = await Service.aggregate([
+      {
+        $group: {
+          _id: '$serviceType',
+          count: { $sum: 1 },
+          active: { $sum: { $cond: ['$isActive', 1, 0] } },
+          featured: { $sum: { $cond: ['$featured', 1, 0] } },
+          avgPrice: { $avg: '$price' }
+        }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ]);
+
+    const totalBookings = bookingStats.reduce((sum, stat) => sum + stat.count, 0);
+    const completed = bookingStats.find(stat => stat._id === 'completed');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        totalUsers: userStats.reduce((sum, stat) => sum + stat.count, 0),
+        totalServices: serviceStats.reduce((sum, stat) => sum + stat.count, 0),
+        totalBookings,
+        completedRevenue: completed ? completed.totalRevenue : 0,
+        platformFees: completed ? completed.totalServiceFees : 0,
+        userBreakdown: userStats,
+        serviceBreakdown: serviceStats,
+        bookingBreakdown: bookingStats
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List scheduled background jobs with their last run
+// @route   GET /api/admin/jobs
+// @access  Private (Admin only)
+const getScheduledJobs = async (req, res, next) => {
+  try {
+    const jobs = await ScheduledJob.find().sort({ name: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: jobs.length,
+      data: {
+        jobs
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  suspendUser,
+  unsuspendUser,
+  setServiceActive,
+  featureService,
+  cancelBooking,
+  getPlatformStats,
+  getScheduledJobs
+};
@@ -1,9 +1,18 @@
+const crypto = require('crypto');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
 const jwt = require('jsonwebtoken');
+const { sendTemplate, queueMail } = require('../utils/mailer');
+const logger = require('../config/logger');
 
-// Helper function to create and send token
-const createSendToken = (user, statusCode, res, message) => {
-  const token = user.generateAuthToken();
+// Helper function to start a device session and send its tokens
+const createSendToken = async (user, statusCode, req, res, message) => {
+  const { token: refreshToken, session } = await RefreshToken.issue(user._id, {
+    device: req.get('User-Agent'),
+    ip: req.ip
+  });
+  const token = user.generateAuthToken(session._id);
   
   // Remove password from output
   user.password = undefined;
@@ -11,6 +20,7 @@ const createSendToken = (user, statusCode, res, message) => {
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
     message,
     data: {
       user
@@ -18,6 +28,16 @@ const createSendToken = (user, statusCode, res, message) => {
   });
 };
 
+// Helper function to email an account verification link
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyURL = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
+
+  await sendTemplate(user, 'email_verification', { verifyURL });
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -44,7 +64,14 @@ const register = async (req, res, next) => {
       bio
     });
     
-    createSendToken(newUser, 201, res);
+    // A failed email should not block registration; the user can request a new link
+    try {
+      await sendVerificationEmail(newUser, req);
+    } catch (mailError) {
+      logger.error(`Failed to send verification email: ${mailError.message}`);
+    }
+    
+    await createSendToken(newUser, 201, req, res);
   } catch (error) {
     next(error);
   }
@@ -64,7 +91,7 @@ const login = async (req, res, next) => {
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
     
-    createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
   } catch (error) {
     return res.status(401).json({
       status: 'fail',
@@ -168,7 +195,12 @@ const updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
     
-    createSendToken(user, 200, res);
+    // End every existing session; older access tokens fail the passwordChangedAt check
+    await RefreshToken.revokeAllForUser(user._id);
+    
+    queueMail(user, 'password_changed');
+    
+    await createSendToken(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -190,20 +222,219 @@ const deleteMe = async (req, res, next) => {
   }
 };
 
-// @desc    Forgot password (placeholder)
+// @desc    Forgot password - send a reset token by email
 // @route   POST /api/auth/forgotPassword
 // @access  Public
 const forgotPassword = async (req, res, next) => {
+  // Same response whether or not the email exists, so accounts cannot be enumerated
+  const genericResponse = {
+    status: 'success',
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  };
+
   try {
-    // This is a placeholder for future implementation
-    // In a real application, you would:
-    // 1. Generate a random reset token
-    // 2. Save it to the user document (with expiration)
-    // 3. Send email with reset link
+    const user = await User.findOne({ email: req.body.email.toLowerCase(), isActive: true });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetURL = `${req.protocol}://${req.get('host')}/api/auth/resetPassword/${resetToken}`;
+
+    try {
+      await sendTemplate(user, 'password_reset', { resetURL });
+    } catch (mailError) {
+      // Still the generic response: an error here would reveal the account exists
+      logger.error(`Failed to send password reset email to user ${user._id}: ${mailError.message}`);
+
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with a token
+// @route   PATCH /api/auth/resetPassword/:token
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Token is invalid or has expired'
+      });
+    }
+
+    // Setting the password also updates passwordChangedAt, invalidating older tokens
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    queueMail(user, 'password_changed');
+
+    await createSendToken(user, 200, req, res, 'Password reset successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address with a token
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    try {
+      await sendVerificationEmail(req.user, req);
+    } catch (mailError) {
+      logger.error(`Failed to send verification email: ${mailError.message}`);
+
+      return res.status(500).json({
+        status: 'error',
+        message: 'There was an error sending the email. Please try again later.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
+const refresh = async (req, res, next) => {
+  try {
+    const session = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(req.body.refreshToken)
+    });
+    
+    if (!session) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid refresh token. Please log in again.'
+      });
+    }
+    
+    // A rotated token being used again means it leaked - end every session
+    if (session.revokedAt) {
+      logger.warn(`Refresh token reuse detected for user ${session.user}`);
+      await RefreshToken.revokeAllForUser(session.user);
+      
+      return res.status(401).json({
+        status: 'fail',
+        message: 'This session has been revoked. Please log in again.'
+      });
+    }
+    
+    if (!session.isActive()) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your session has expired. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'The user belonging to this session no longer exists.'
+      });
+    }
+    
+    // Rotate: retire the presented token first, only while it is still
+    // unrevoked, so concurrent requests with the same token can't both rotate it
+    const now = new Date();
+    const retired = await RefreshToken.findOneAndUpdate(
+      { _id: session._id, revokedAt: { $exists: false } },
+      { revokedAt: now, lastUsedAt: now }
+    );
+    
+    if (!retired) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'This refresh token has already been used. Please log in again.'
+      });
+    }
+    
+    const { token: refreshToken, session: newSession } = await RefreshToken.issue(user._id, {
+      device: session.device,
+      ip: req.ip
+    });
+    
+    await RefreshToken.updateOne({ _id: session._id }, { replacedBy: newSession._id });
     
     res.status(200).json({
       status: 'success',
-      message: 'Password reset functionality will be implemented soon. Please contact support for assistance.'
+      token: user.generateAuthToken(newSession._id),
+      refreshToken
     });
   } catch (error) {
     next(error);
@@ -212,14 +443,35 @@ const forgotPassword = async (req, res, next) => {
 
 // @desc    Logout user
 // @route   POST /api/auth/logout
-// @access  Private
+// @access  Public (requires an access token or the session's refresh token)
 const logout = async (req, res, next) => {
   try {
-    // Since we're using JWT, we can't really "logout" server-side
-    // In a real application, you might:
-    // 1. Blacklist the token
-    // 2. Set a short expiration time
-    // 3. Use refresh tokens
+    const { refreshToken } = req.body;
+    
+    if (!req.auth && !refreshToken) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'You are not logged in! Please log in to get access.'
+      });
+    }
+    
+    // Revoke the access token used for this request
+    if (req.auth) {
+      await RevokedToken.revoke(req.auth);
+    }
+    
+    // End the device session, found through the refresh token when the access
+    // token has already expired
+    const sessionFilter = refreshToken
+      ? { tokenHash: RefreshToken.hashToken(refreshToken) }
+      : req.auth.sid && { _id: req.auth.sid, user: req.user._id };
+    
+    if (sessionFilter) {
+      await RefreshToken.updateOne(
+        { ...sessionFilter, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+      );
+    }
     
     res.status(200).json({
       status: 'success',
@@ -325,7 +577,7 @@ const reactivateAccount = async (req, res, next) => {
     
     // Generate new token for the reactivated user
     const reactivatedUser = await User.findById(user._id);
-    createSendToken(reactivatedUser, 200, res, 'Account reactivated successfully! Welcome back.');
+    await createSendToken(reactivatedUser, 200, req, res, 'Account reactivated successfully! Welcome back.');
     
   } catch (error) {
     next(error);
@@ -340,6 +592,10 @@ module.exports = {
   updatePassword,
   deleteMe,
   forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refresh,
   logout,
   reactivateAccount
 };
@@ -1,64 +1,78 @@
 const Booking = require('../models/Booking');
 const Service = require('../models/Service');
 const Pet = require('../models/Pet');
+const BookingSeries = require('../models/BookingSeries');
+const logger = require('../config/logger');
+const { refundBooking } = require('../utils/paymentService');
+const { getPolicySnapshot } = require('../utils/cancellationPolicy');
+const { checkAvailability, getPeakPets } = require('../utils/availability');
+const { checkPetRequirements, formatUnmetRequirements } = require('../utils/petRequirements');
+const { checkPetSize } = require('../utils/petSize');
+const { buildListQuery } = require('../utils/queryBuilder');
+const { createPager } = require('../utils/pagination');
+const { BOOKING_EVENTS, publishBookingEvent } = require('../utils/bookingEvents');
+const { notify, notifyBooking } = require('../utils/notifier');
+const { queueMail } = require('../utils/mailer');
+const {
+  MAX_OCCURRENCES,
+  expandRecurrence,
+  describeRecurrence,
+  formatTime,
+  parseLocalDate
+} = require('../utils/recurrence');
+const { STATUS_NOTIFICATIONS } = require('../utils/notificationTypes');
+
+const BOOKING_FILTERS = {
+  status: {
+    field: 'status',
+    type: 'enum',
+    values: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'declined']
+  },
+  startDate: { field: 'startDate', type: 'date', op: '$gte' },
+  endDate: { field: 'startDate', type: 'date', op: '$lte' }
+};
 
 // @desc    Get all bookings for authenticated user
 // @route   GET /api/bookings
 // @access  Private
 const getBookings = async (req, res, next) => {
   try {
-    let query = {};
-    
     // Filter based on user role
+    const roleFilter = {};
     if (req.user.role === 'owner') {
-      query.owner = req.user.id;
+      roleFilter.owner = req.user.id;
     } else if (req.user.role === 'sitter') {
-      query.sitter = req.user.id;
-    }
-    
-    // Filter by status if provided
-    if (req.query.status) {
-      query.status = req.query.status;
+      roleFilter.sitter = req.user.id;
     }
     
-    // Date range filters
-    if (req.query.startDate) {
-      query.startDate = { $gte: new Date(req.query.startDate) };
-    }
-    
-    if (req.query.endDate) {
-      if (query.startDate) {
-        query.startDate.$lte = new Date(req.query.endDate);
-      } else {
-        query.startDate = { $lte: new Date(req.query.endDate) };
-      }
-    }
-    
-    // Pagination
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    // Status and date range filters, sorting and pagination
+    const listing = buildListQuery(req.query, {
+      filters: BOOKING_FILTERS,
+      sortable: ['startDate', 'endDate', 'createdAt', 'totalPrice', 'status'],
+      defaultSort: { startDate: -1 },
+      baseFilter: roleFilter
+    });
+    const { filter: query } = listing;
+    const pager = createPager(listing, { url: req.originalUrl });
     
-    const bookings = await Booking.find(query)
+    const docs = await Booking.find(pager.applyTo(query))
       .populate('owner', 'name email phone avatar')
       .populate('sitter', 'name email phone avatar')
       .populate('service', 'title serviceType price priceType location')
       .populate('pet', 'name species breed age photos')
-      .sort({ startDate: -1 })
-      .skip(skip)
-      .limit(limit);
+      .populate('pets', 'name species breed age photos')
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
     
-    const total = await Booking.countDocuments(query);
+    // Totals are only counted for numbered pages
+    const total = pager.usePages ? await Booking.countDocuments(query) : undefined;
+    const { items: bookings, pagination } = pager.page(docs, total);
     
     res.status(200).json({
       status: 'success',
       results: bookings.length,
-      pagination: {
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        total
-      },
+      pagination,
       data: {
         bookings
       }
@@ -87,6 +101,7 @@ const getBooking = async (req, res, next) => {
       .populate('sitter', 'name email phone avatar address')
       .populate('service', 'title serviceType description price priceType location amenities')
       .populate('pet', 'name species breed age weight photos specialNeeds medications allergies vetInfo')
+      .populate('pets', 'name species breed age weight photos specialNeeds medications allergies vetInfo')
       .populate('updates.author', 'name avatar');
     
     if (!booking) {
@@ -107,90 +122,174 @@ const getBooking = async (req, res, next) => {
   }
 };
 
+// Look up the service and check the owner's pets can be booked on it.
+// Resolves to { service, bookedPets }, or { error } with the response to send.
+const prepareBooking = async (ownerId, serviceId, petIds) => {
+  // Verify service exists and is active
+  const service = await Service.findOne({ _id: serviceId, isActive: true })
+    .populate('sitter', 'name email');
+  
+  if (!service) {
+    return { error: { statusCode: 404, message: 'Service not found or not available' } };
+  }
+  
+  if (petIds.length > service.maxPets) {
+    return {
+      error: {
+        statusCode: 400,
+        message: `This service accepts at most ${service.maxPets} pet${service.maxPets !== 1 ? 's' : ''} per booking`
+      }
+    };
+  }
+  
+  // Verify pets belong to the owner
+  const bookedPets = await Pet.find({ _id: { $in: petIds }, owner: ownerId, isActive: true });
+  
+  if (bookedPets.length !== petIds.length) {
+    return {
+      error: {
+        statusCode: 404,
+        message: petIds.length === 1
+          ? 'Pet not found or does not belong to you'
+          : 'One or more pets not found or do not belong to you'
+      }
+    };
+  }
+  
+  // Check if pet types are supported by the service
+  const unsupported = bookedPets.find(p => !service.petTypes.includes(p.species));
+  
+  if (unsupported) {
+    return { error: { statusCode: 400, message: `This service does not support ${unsupported.species}s` } };
+  }
+  
+  // Check every pet is a size the service accepts
+  const sizeProblem = bookedPets.map(p => checkPetSize(service.petSizes, p)).find(Boolean);
+  
+  if (sizeProblem) {
+    return { error: { statusCode: 400, message: sizeProblem } };
+  }
+  
+  // Check every pet meets the service's requirements
+  const unmetRequirements = checkPetRequirements(service.requirements, bookedPets);
+  
+  if (unmetRequirements.length > 0) {
+    return {
+      error: {
+        statusCode: 400,
+        message: `This service's requirements are not met: ${formatUnmetRequirements(unmetRequirements)}`,
+        unmetRequirements
+      }
+    };
+  }
+  
+  return { service, bookedPets };
+};
+
+// Check a time slot against the sitter's hours and remaining capacity.
+// Resolves to a message explaining why it can't be booked, or null.
+const checkSlot = async (service, petCount, start, end) => {
+  // Check the booking falls within the sitter's weekly availability
+  const availability = checkAvailability(service, start, end);
+  
+  if (!availability.available) {
+    return availability.message;
+  }
+  
+  // Check for conflicting bookings
+  const conflicts = await Booking.findConflicts(service.sitter._id, start, end);
+  
+  // Overlapping bookings are fine while the sitter has room for more pets
+  const bookedAtTheTime = getPeakPets(conflicts, start, end);
+  
+  if (bookedAtTheTime + petCount > service.maxPets) {
+    const remaining = Math.max(service.maxPets - bookedAtTheTime, 0);
+    return remaining > 0
+      ? `The sitter only has room for ${remaining} more pet${remaining !== 1 ? 's' : ''} at that time`
+      : 'The requested time slot is not available';
+  }
+  
+  return null;
+};
+
+// Price a booking, including the 5% service fee
+const calculatePrice = (service, start, end, petCount) => {
+  let totalPrice = 0;
+  
+  if (service.priceType === 'hourly') {
+    const hours = Math.abs(end - start) / 36e5; // 36e5 = 3.6 * 10^6 ms in hour
+    totalPrice = service.price * Math.ceil(hours);
+  } else if (service.priceType === 'daily') {
+    const days = Math.ceil(Math.abs(end - start) / (1000 * 60 * 60 * 24));
+    totalPrice = service.price * days;
+  } else if (service.priceType === 'weekly') {
+    const weeks = Math.ceil(Math.abs(end - start) / (1000 * 60 * 60 * 24 * 7));
+    totalPrice = service.price * weeks;
+  } else {
+    totalPrice = service.price;
+  }
+  
+  // Services are priced per pet
+  totalPrice *= petCount;
+  
+  // Add service fee (5% of total price)
+  const serviceFee = totalPrice * 0.05;
+  
+  return { totalPrice: totalPrice + serviceFee, serviceFee };
+};
+
+const sendFail = (res, { statusCode, ...body }) => res.status(statusCode).json({
+  status: 'fail',
+  ...body
+});
+
+// Remove a series that could not be completed, with any bookings made for it,
+// so they don't hold the sitter's slots
+const discardSeries = async (series) => {
+  try {
+    await Booking.deleteMany({ series: series._id });
+    await BookingSeries.deleteOne({ _id: series._id });
+  } catch (cleanupError) {
+    logger.error(`Could not remove incomplete booking series ${series._id}: ${cleanupError.message}`);
+  }
+};
+
 // @desc    Create new booking
 // @route   POST /api/bookings
 // @access  Private (Owner only)
 const createBooking = async (req, res, next) => {
   try {
-    const { service: serviceId, pet: petId, startDate, endDate, startTime, endTime, notes, emergencyContact } = req.body;
+    const { service: serviceId, pet, pets, startDate, endDate, startTime, endTime, notes, emergencyContact } = req.body;
+    const petIds = pets || [pet];
     
-    // Verify service exists and is active
-    const service = await Service.findOne({ _id: serviceId, isActive: true })
-      .populate('sitter', 'name email');
+    const { service, error } = await prepareBooking(req.user.id, serviceId, petIds);
     
-    if (!service) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Service not found or not available'
-      });
+    if (error) {
+      return sendFail(res, error);
     }
     
-    // Verify pet belongs to the owner
-    const pet = await Pet.findOne({ _id: petId, owner: req.user.id, isActive: true });
-    
-    if (!pet) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Pet not found or does not belong to you'
-      });
-    }
-    
-    // Check if pet type is supported by the service
-    if (!service.petTypes.includes(pet.species)) {
-      return res.status(400).json({
-        status: 'fail',
-        message: `This service does not support ${pet.species}s`
-      });
-    }
-    
-    // Check for conflicting bookings
-    const conflicts = await Booking.findConflicts(
-      service.sitter._id,
-      new Date(startDate),
-      new Date(endDate)
-    );
-    
-    if (conflicts.length > 0) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'The requested time slot is not available'
-      });
-    }
-    
-    // Calculate total price
     const start = new Date(startDate);
     const end = new Date(endDate);
-    let totalPrice = 0;
-    
-    if (service.priceType === 'hourly') {
-      const hours = Math.abs(end - start) / 36e5; // 36e5 = 3.6 * 10^6 ms in hour
-      totalPrice = service.price * Math.ceil(hours);
-    } else if (service.priceType === 'daily') {
-      const days = Math.ceil(Math.abs(end - start) / (1000 * 60 * 60 * 24));
-      totalPrice = service.price * days;
-    } else if (service.priceType === 'weekly') {
-      const weeks = Math.ceil(Math.abs(end - start) / (1000 * 60 * 60 * 24 * 7));
-      totalPrice = service.price * weeks;
-    } else {
-      totalPrice = service.price;
-    }
+    const slotProblem = await checkSlot(service, petIds.length, start, end);
     
-    // Add service fee (5% of total price)
-    const serviceFee = totalPrice * 0.05;
+    if (slotProblem) {
+      return sendFail(res, { statusCode: 400, message: slotProblem });
+    }
     
     const bookingData = {
       owner: req.user.id,
       sitter: service.sitter._id,
       service: serviceId,
-      pet: petId,
+      pet: petIds[0],
+      pets: petIds,
       startDate: start,
       endDate: end,
       startTime,
       endTime,
-      totalPrice: totalPrice + serviceFee,
-      serviceFee,
+      ...calculatePrice(service, start, end, petIds.length),
       notes,
       emergencyContact,
+      cancellationPolicy: getPolicySnapshot(service.cancellationPolicy),
       status: service.instantBooking ? 'confirmed' : 'pending'
     };
     
@@ -201,9 +300,18 @@ const createBooking = async (req, res, next) => {
       { path: 'owner', select: 'name email phone' },
       { path: 'sitter', select: 'name email phone' },
       { path: 'service', select: 'title serviceType price priceType' },
-      { path: 'pet', select: 'name species breed age' }
+      { path: 'pet', select: 'name species breed age' },
+      { path: 'pets', select: 'name species breed age' }
     ]);
     
+    publishBookingEvent(BOOKING_EVENTS.CREATED, booking);
+    await notifyBooking(booking.sitter, 'booking_requested', booking, `${req.user.name} sent a booking request`);
+    
+    queueMail(booking.sitter, 'booking_requested', { booking });
+    if (booking.status === 'confirmed') {
+      queueMail(booking.owner, 'booking_confirmed', { booking });
+    }
+    
     res.status(201).json({
       status: 'success',
       data: {
@@ -215,6 +323,294 @@ const createBooking = async (req, res, next) => {
   }
 };
 
+// @desc    Book a recurring slot, e.g. weekly on Mon/Wed/Fri at 08:00 for 8 weeks
+// @route   POST /api/bookings/series
+// @access  Private (Owner only)
+const createBookingSeries = async (req, res, next) => {
+  try {
+    const { service: serviceId, pet, pets, recurrence, notes, emergencyContact } = req.body;
+    const petIds = pets || [pet];
+    
+    const occurrences = expandRecurrence(recurrence);
+    
+    if (occurrences.length === 0) {
+      return sendFail(res, { statusCode: 400, message: 'The recurrence does not include any dates' });
+    }
+    
+    if (occurrences.length > MAX_OCCURRENCES) {
+      return sendFail(res, {
+        statusCode: 400,
+        message: `A series can have at most ${MAX_OCCURRENCES} bookings (this one has ${occurrences.length})`
+      });
+    }
+    
+    const { service, error } = await prepareBooking(req.user.id, serviceId, petIds);
+    
+    if (error) {
+      return sendFail(res, error);
+    }
+    
+    const series = new BookingSeries({
+      owner: req.user.id,
+      sitter: service.sitter._id,
+      service: serviceId,
+      pets: petIds,
+      recurrence: { ...recurrence, startDate: parseLocalDate(recurrence.startDate) }
+    });
+    
+    // Saved before its bookings so none of them points at a missing series;
+    // removed again, bookings included, if the series can't be completed
+    await series.save();
+    
+    const now = new Date();
+    const bookings = [];
+    const failures = [];
+    
+    try {
+      // One at a time, so each conflict check sees the occurrences booked before it
+      for (const { startDate, endDate } of occurrences) {
+        const problem = startDate <= now
+          ? 'This date is in the past'
+          : await checkSlot(service, petIds.length, startDate, endDate);
+        
+        if (problem) {
+          failures.push({ startDate, endDate, reason: problem });
+          continue;
+        }
+        
+        bookings.push(await Booking.create({
+          owner: req.user.id,
+          sitter: service.sitter._id,
+          service: serviceId,
+          pet: petIds[0],
+          pets: petIds,
+          startDate,
+          endDate,
+          startTime: recurrence.time,
+          endTime: formatTime(endDate),
+          ...calculatePrice(service, startDate, endDate, petIds.length),
+          notes,
+          emergencyContact,
+          cancellationPolicy: getPolicySnapshot(service.cancellationPolicy),
+          status: service.instantBooking ? 'confirmed' : 'pending',
+          series: series._id
+        }));
+      }
+      
+      if (bookings.length > 0) {
+        series.failures = failures;
+        await series.save();
+      }
+    } catch (createError) {
+      await discardSeries(series);
+      throw createError;
+    }
+    
+    if (bookings.length === 0) {
+      await discardSeries(series);
+      return sendFail(res, {
+        statusCode: 400,
+        message: 'None of the dates in the series could be booked',
+        failures
+      });
+    }
+    
+    bookings.forEach(booking => publishBookingEvent(BOOKING_EVENTS.CREATED, booking));
+    
+    // One request for the whole series rather than one per date
+    const schedule = describeRecurrence(recurrence);
+    await notify(service.sitter, 'booking_requested', {
+      booking: bookings[0],
+      message: `${req.user.name} requested ${bookings.length} recurring bookings: ${schedule}`
+    });
+    queueMail(service.sitter, 'booking_series_requested', {
+      ownerName: req.user.name,
+      service,
+      schedule,
+      bookings,
+      failures
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      message: `Booked ${bookings.length} of ${occurrences.length} dates`,
+      data: {
+        series,
+        bookings,
+        failures
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a booking series with its bookings
+// @route   GET /api/bookings/series/:id
+// @access  Private (Owner or sitter of the series)
+const getBookingSeries = async (req, res, next) => {
+  try {
+    const series = await BookingSeries.findOne({
+      _id: req.params.id,
+      $or: [{ owner: req.user.id }, { sitter: req.user.id }]
+    })
+      .populate('owner', 'name email phone avatar')
+      .populate('sitter', 'name email phone avatar')
+      .populate('service', 'title serviceType price priceType')
+      .populate('pets', 'name species breed');
+    
+    if (!series) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No booking series found with that ID'
+      });
+    }
+    
+    const bookings = await Booking.find({ series: series._id }).sort({ startDate: 1 });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        series,
+        bookings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel every upcoming booking in a series
+// @route   PATCH /api/bookings/series/:id/cancel
+// @access  Private (Owner only)
+const cancelBookingSeries = async (req, res, next) => {
+  try {
+    const series = await BookingSeries.findOne({ _id: req.params.id, owner: req.user.id })
+      .populate('sitter', 'name email')
+      .populate('service', 'title');
+    
+    if (!series) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No booking series found with that ID'
+      });
+    }
+    
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This booking series is already cancelled'
+      });
+    }
+    
+    const upcoming = await Booking.find({
+      series: series._id,
+      status: { $in: ['pending', 'confirmed'] },
+      startDate: { $gt: new Date() }
+    }).sort({ startDate: 1 });
+    
+    const cancelled = [];
+    const failures = [];
+    
+    // Each booking follows its own cancellation policy, as when cancelled alone
+    for (const booking of upcoming) {
+      if (!booking.canBeCancelled()) {
+        const policy = booking.getCancellationPolicy();
+        failures.push({
+          booking: booking._id,
+          startDate: booking.startDate,
+          reason: `Under the ${policy.name} policy, cancellations must be made more than ${policy.cutoffHours} hours before the start`
+        });
+        continue;
+      }
+      
+      booking.cancellation = {
+        cancelledBy: req.user.id,
+        cancelledAt: new Date(),
+        reason: req.body.reason,
+        refundAmount: booking.calculateRefund()
+      };
+      booking.status = 'cancelled';
+      await booking.save();
+      
+      try {
+        await refundBooking(booking);
+      } catch (refundError) {
+        logger.error(`Refund failed for booking ${booking._id}: ${refundError.message}`);
+      }
+      
+      publishBookingEvent(BOOKING_EVENTS.STATUS, booking, { changedBy: req.user.role });
+      cancelled.push(booking);
+    }
+    
+    // Bookings inside their cutoff still go ahead, so the series stays active
+    // until none of its upcoming bookings are left
+    if (failures.length === 0) {
+      series.status = 'cancelled';
+      series.cancelledAt = new Date();
+      await series.save();
+    }
+    
+    if (cancelled.length > 0) {
+      await notify(series.sitter, 'booking_cancelled', {
+        booking: cancelled[0],
+        message: `${req.user.name} cancelled ${cancelled.length} recurring booking${cancelled.length !== 1 ? 's' : ''}${req.body.reason ? `: ${req.body.reason}` : ''}`
+      });
+      queueMail(series.sitter, 'booking_series_cancelled', {
+        ownerName: req.user.name,
+        service: series.service,
+        bookings: cancelled,
+        notes: req.body.reason
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      message: `Cancelled ${cancelled.length} of ${upcoming.length} upcoming bookings`,
+      data: {
+        series,
+        cancelled,
+        failures
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview the refund for cancelling a booking now
+// @route   GET /api/bookings/:id/cancellation-quote
+// @access  Private
+const getCancellationQuote = async (req, res, next) => {
+  try {
+    let query = { _id: req.params.id };
+    
+    if (req.user.role === 'owner') {
+      query.owner = req.user.id;
+    } else if (req.user.role === 'sitter') {
+      query.sitter = req.user.id;
+    }
+    
+    const booking = await Booking.findOne(query);
+    
+    if (!booking) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No booking found with that ID'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote: booking.getCancellationQuote()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update booking status
 // @route   PATCH /api/bookings/:id/status
 // @access  Private
@@ -247,6 +643,13 @@ const updateBookingStatus = async (req, res, next) => {
         });
       }
     }
+    // Administrators moderate bookings through the admin API
+    else {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Administrators must use /api/admin to manage bookings'
+      });
+    }
     
     const booking = await Booking.findOne(query);
     
@@ -277,9 +680,10 @@ const updateBookingStatus = async (req, res, next) => {
     // Handle cancellation
     if (status === 'cancelled') {
       if (!booking.canBeCancelled()) {
+        const policy = booking.getCancellationPolicy();
         return res.status(400).json({
           status: 'fail',
-          message: 'Booking cannot be cancelled at this time'
+          message: `Booking cannot be cancelled at this time. Under the ${policy.name} policy, cancellations must be made more than ${policy.cutoffHours} hours before the start.`
         });
       }
       
@@ -291,6 +695,11 @@ const updateBookingStatus = async (req, res, next) => {
       };
     }
     
+    // Sitter response times feed their public profile
+    if (booking.status === 'pending' && (status === 'confirmed' || status === 'declined')) {
+      booking.respondedAt = new Date();
+    }
+    
     booking.status = status;
     
     // Add notes based on user role
@@ -309,6 +718,15 @@ const updateBookingStatus = async (req, res, next) => {
       });
     }
     
+    // Refund paid bookings: the cancellation amount, or everything when declined
+    if (status === 'cancelled' || status === 'declined') {
+      try {
+        await refundBooking(booking, status === 'declined' ? booking.totalPrice : undefined);
+      } catch (refundError) {
+        logger.error(`Refund failed for booking ${booking._id}: ${refundError.message}`);
+      }
+    }
+    
     await booking.populate([
       { path: 'owner', select: 'name email phone' },
       { path: 'sitter', select: 'name email phone' },
@@ -316,6 +734,20 @@ const updateBookingStatus = async (req, res, next) => {
       { path: 'pet', select: 'name species' }
     ]);
     
+    publishBookingEvent(BOOKING_EVENTS.STATUS, booking, { changedBy: req.user.role });
+    
+    // Tell the other side of the booking
+    const recipient = req.user.role === 'owner' ? booking.sitter : booking.owner;
+    await notifyBooking(recipient, STATUS_NOTIFICATIONS[status], booking, notes);
+    
+    if (status === 'confirmed') {
+      queueMail(booking.owner, 'booking_confirmed', { booking });
+    } else if (status === 'declined') {
+      queueMail(booking.owner, 'booking_declined', { booking, notes });
+    } else if (status === 'cancelled') {
+      queueMail(recipient, 'booking_cancelled', { booking, cancelledBy: req.user.name, notes });
+    }
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -359,6 +791,11 @@ const addBookingUpdate = async (req, res, next) => {
     
     await booking.populate('updates.author', 'name avatar');
     
+    publishBookingEvent(BOOKING_EVENTS.UPDATE, booking, {
+      update: booking.updates[booking.updates.length - 1]
+    });
+    await notifyBooking(booking.owner, 'booking_update', booking, message);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -426,6 +863,11 @@ const checkInOut = async (req, res, next) => {
     
     await booking.save();
     
+    publishBookingEvent(isCheckIn ? BOOKING_EVENTS.CHECK_IN : BOOKING_EVENTS.CHECK_OUT, booking, {
+      [isCheckIn ? 'checkIn' : 'checkOut']: checkData
+    });
+    await notifyBooking(booking.owner, isCheckIn ? 'booking_started' : 'booking_completed', booking, notes);
+    
     res.status(200).json({
       status: 'success',
       data: {
@@ -473,6 +915,10 @@ module.exports = {
   getBookings,
   getBooking,
   createBooking,
+  createBookingSeries,
+  getBookingSeries,
+  cancelBookingSeries,
+  getCancellationQuote,
   updateBookingStatus,
   addBookingUpdate,
   checkInOut,
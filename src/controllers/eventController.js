@@ -0,0 +1,119 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const logger = require('../config/logger');
+const { subscribe, formatSseEvent } = require('../utils/bookingEvents');
+
+// Comment lines keep proxies from closing idle connections
+const HEARTBEAT_MS = 25 * 1000;
+// How long browsers wait before reconnecting
+const RETRY_MS = 5 * 1000;
+// Longest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const EXPIRED_MESSAGE = 'Your token has expired! Please log in again.';
+
+// Why the login a stream was opened with is no longer valid, or null while it
+// still is. Mirrors the checks in protect, which only run when the stream opens.
+const getSessionEndReason = async ({ id, jti, sid, iat, exp }) => {
+  if (exp && exp * 1000 <= Date.now()) {
+    return EXPIRED_MESSAGE;
+  }
+
+  if (jti && await RevokedToken.isRevoked(jti)) {
+    return 'Your session has ended. Please log in again.';
+  }
+
+  const user = await User.findById(id);
+  if (!user || !user.isActive) {
+    return 'Your account is no longer active.';
+  }
+  if (user.isSuspended()) {
+    return 'Your account has been suspended. Please contact support.';
+  }
+  if (user.changedPasswordAfter(iat)) {
+    return 'Your password was changed recently. Please log in again.';
+  }
+
+  // A session that was rotated lives on in its replacement; any other
+  // revocation (logout, password reset, token reuse) ends it
+  if (sid) {
+    const session = await RefreshToken.findById(sid);
+    if (!session || (session.revokedAt && !session.replacedBy)) {
+      return 'Your session has ended. Please log in again.';
+    }
+  }
+
+  return null;
+};
+
+// @desc    Stream booking events for the authenticated user (Server-Sent Events)
+// @route   GET /api/events
+// @access  Private
+const streamEvents = (req, res) => {
+  const auth = req.auth || {};
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    // no-transform also keeps compression from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  const send = (chunk) => {
+    if (closed) return;
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  send(`retry: ${RETRY_MS}\n\n`);
+  send(`event: ready\ndata: ${JSON.stringify({ user: String(req.user.id) })}\n\n`);
+
+  const unsubscribe = subscribe(req.user.id, event => send(formatSseEvent(event)));
+  let heartbeat = null;
+  let expiry = null;
+
+  const cleanUp = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  };
+
+  // Tell the client why before closing; it reconnects with a fresh token
+  const endStream = (message) => {
+    if (closed) return;
+    send(`event: session_ended\ndata: ${JSON.stringify({ message })}\n\n`);
+    cleanUp();
+    res.end();
+  };
+
+  heartbeat = setInterval(async () => {
+    send(': heartbeat\n\n');
+
+    try {
+      const reason = await getSessionEndReason({ id: req.user.id, ...auth });
+      if (reason) endStream(reason);
+    } catch (error) {
+      // e.g. the database is unreachable; check again on the next heartbeat
+      logger.error(`Could not check event stream session for user ${req.user.id}: ${error.message}`);
+    }
+  }, HEARTBEAT_MS);
+
+  // Close as soon as the token expires; the heartbeat catches tokens that
+  // outlive the longest timeout
+  const remaining = auth.exp ? Math.max(auth.exp * 1000 - Date.now(), 0) : Infinity;
+  if (remaining <= MAX_TIMEOUT_MS) {
+    expiry = setTimeout(() => endStream(EXPIRED_MESSAGE), remaining);
+  }
+
+  req.on('close', cleanUp);
+};
+
+module.exports = {
+  streamEvents
+};
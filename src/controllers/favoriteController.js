@@ -0,0 +1,122 @@
+const Favorite = require('../models/Favorite');
+const Service = require('../models/Service');
+const { buildListQuery } = require('../utils/queryBuilder');
+const { createPager } = require('../utils/pagination');
+
+// @desc    Get the authenticated owner's saved services
+// @route   GET /api/favorites
+// @access  Private (Owner only)
+const getFavorites = async (req, res, next) => {
+  try {
+    const listing = buildListQuery(req.query, {
+      sortable: ['createdAt'],
+      defaultSort: { createdAt: -1 },
+      baseFilter: { owner: req.user.id }
+    });
+    const { filter: query } = listing;
+    const pager = createPager(listing, { url: req.originalUrl });
+
+    const docs = await Favorite.find(pager.applyTo(query))
+      .populate({
+        path: 'service',
+        select: 'title serviceType price priceType location.city location.state rating images isActive sitter',
+        populate: { path: 'sitter', select: 'name avatar' }
+      })
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
+
+    const total = pager.usePages ? await Favorite.countDocuments(query) : undefined;
+    const { items: favorites, pagination } = pager.page(docs, total);
+
+    res.status(200).json({
+      status: 'success',
+      results: favorites.length,
+      pagination,
+      data: {
+        favorites
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save a service to favorites
+// @route   POST /api/favorites/:serviceId
+// @access  Private (Owner only)
+const addFavorite = async (req, res, next) => {
+  try {
+    const service = await Service.findOne({
+      _id: req.params.serviceId,
+      isActive: true
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No service found with that ID'
+      });
+    }
+
+    // Saving twice is harmless
+    const existing = await Favorite.findOne({ owner: req.user.id, service: service._id });
+
+    if (existing) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Service is already in your favorites',
+        data: {
+          favorite: existing
+        }
+      });
+    }
+
+    const favorite = await Favorite.create({
+      owner: req.user.id,
+      service: service._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Service added to favorites',
+      data: {
+        favorite
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a service from favorites
+// @route   DELETE /api/favorites/:serviceId
+// @access  Private (Owner only)
+const removeFavorite = async (req, res, next) => {
+  try {
+    const favorite = await Favorite.findOneAndDelete({
+      owner: req.user.id,
+      service: req.params.serviceId
+    });
+
+    if (!favorite) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'That service is not in your favorites'
+      });
+    }
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFavorites,
+  addFavorite,
+  removeFavorite
+};
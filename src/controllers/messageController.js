@@ -0,0 +1,323 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const { buildListQuery } = require('../utils/queryBuilder');
+const { createPager } = require('../utils/pagination');
+const { notify } = require('../utils/notifier');
+
+const PREVIEW_LENGTH = 200;
+
+const CONVERSATION_POPULATE = [
+  { path: 'owner', select: 'name avatar' },
+  { path: 'sitter', select: 'name avatar' },
+  { path: 'service', select: 'title serviceType' },
+  { path: 'booking', select: 'startDate endDate status' }
+];
+
+// Store a message and bump the conversation in both inboxes
+const postMessage = async (conversation, senderId, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    recipient: conversation.getRecipient(senderId),
+    body
+  });
+
+  conversation.lastMessage = {
+    body: message.body.slice(0, PREVIEW_LENGTH),
+    sender: senderId,
+    sentAt: message.createdAt
+  };
+  conversation.lastMessageAt = message.createdAt;
+  await conversation.save();
+
+  await notify(message.recipient, 'message_received', {
+    conversation: conversation._id,
+    booking: conversation.booking,
+    message: message.body.slice(0, PREVIEW_LENGTH)
+  });
+
+  return message;
+};
+
+// @desc    Get the authenticated user's conversations with unread counts
+// @route   GET /api/conversations
+// @access  Private
+const getConversations = async (req, res, next) => {
+  try {
+    const listing = buildListQuery(req.query, {
+      sortable: ['lastMessageAt'],
+      defaultSort: { lastMessageAt: -1 },
+      baseFilter: { $or: [{ owner: req.user.id }, { sitter: req.user.id }] }
+    });
+    const { filter: query } = listing;
+    const pager = createPager(listing, { url: req.originalUrl });
+
+    const docs = await Conversation.find(pager.applyTo(query))
+      .populate(CONVERSATION_POPULATE)
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
+
+    const total = pager.usePages ? await Conversation.countDocuments(query) : undefined;
+    const { items, pagination } = pager.page(docs, total);
+    const unreadCounts = await Message.getUnreadCounts(req.user.id);
+
+    const conversations = items.map(conversation => ({
+      ...conversation.toJSON(),
+      unreadCount: unreadCounts.get(String(conversation._id)) || 0
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      results: conversations.length,
+      pagination,
+      data: {
+        conversations,
+        unread: [...unreadCounts.values()].reduce((sum, count) => sum + count, 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the number of unread messages
+// @route   GET /api/conversations/unread
+// @access  Private
+const getUnreadCount = async (req, res, next) => {
+  try {
+    const unread = await Message.countDocuments({ recipient: req.user.id, readAt: null });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        unread
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Message the other side of a booking, or ask a sitter about a service
+// @route   POST /api/conversations
+// @access  Private
+const startConversation = async (req, res, next) => {
+  try {
+    const { booking: bookingId, service: serviceId, body } = req.body;
+    let conversation;
+
+    if (bookingId) {
+      const booking = await Booking.findOne({
+        _id: bookingId,
+        $or: [{ owner: req.user.id }, { sitter: req.user.id }]
+      });
+
+      if (!booking) {
+        return res.status(404).json({
+          status: 'fail',
+          message: 'No booking found with that ID'
+        });
+      }
+
+      // Booking threads are shared, so reuse one if it exists
+      conversation = await Conversation.findOne({ booking: booking._id });
+
+      if (!conversation) {
+        conversation = await Conversation.create({
+          owner: booking.owner,
+          sitter: booking.sitter,
+          service: booking.service,
+          booking: booking._id
+        });
+      }
+    } else {
+      if (req.user.role !== 'owner') {
+        return res.status(403).json({
+          status: 'fail',
+          message: 'Only pet owners can send service inquiries'
+        });
+      }
+
+      const service = await Service.findOne({ _id: serviceId, isActive: true });
+
+      if (!service) {
+        return res.status(404).json({
+          status: 'fail',
+          message: 'No service found with that ID'
+        });
+      }
+
+      conversation = await Conversation.findOne({
+        owner: req.user.id,
+        service: service._id,
+        booking: { $exists: false }
+      });
+
+      if (!conversation) {
+        conversation = await Conversation.create({
+          owner: req.user.id,
+          sitter: service.sitter,
+          service: service._id
+        });
+      }
+    }
+
+    const message = await postMessage(conversation, req.user.id, body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Message sent',
+      data: {
+        conversation,
+        message
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a conversation
+// @route   GET /api/conversations/:id
+// @access  Private (Participants only)
+const getConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findForParticipant(req.params.id, req.user.id)
+      .populate(CONVERSATION_POPULATE);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No conversation found with that ID'
+      });
+    }
+
+    const unreadCount = await Message.countDocuments({
+      conversation: conversation._id,
+      recipient: req.user.id,
+      readAt: null
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        conversation: {
+          ...conversation.toJSON(),
+          unreadCount
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get messages in a conversation, newest first
+// @route   GET /api/conversations/:id/messages
+// @access  Private (Participants only)
+const getMessages = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findForParticipant(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No conversation found with that ID'
+      });
+    }
+
+    const listing = buildListQuery(req.query, {
+      sortable: ['createdAt'],
+      defaultSort: { createdAt: -1 },
+      baseFilter: { conversation: conversation._id }
+    });
+    const { filter: query } = listing;
+    const pager = createPager(listing, { url: req.originalUrl });
+
+    const docs = await Message.find(pager.applyTo(query))
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
+
+    const total = pager.usePages ? await Message.countDocuments(query) : undefined;
+    const { items: messages, pagination } = pager.page(docs, total);
+
+    res.status(200).json({
+      status: 'success',
+      results: messages.length,
+      pagination,
+      data: {
+        messages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a message in a conversation
+// @route   POST /api/conversations/:id/messages
+// @access  Private (Participants only)
+const sendMessage = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findForParticipant(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No conversation found with that ID'
+      });
+    }
+
+    const message = await postMessage(conversation, req.user.id, req.body.body);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        message
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark the messages received in a conversation as read
+// @route   PATCH /api/conversations/:id/read
+// @access  Private (Participants only)
+const markConversationRead = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findForParticipant(req.params.id, req.user.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No conversation found with that ID'
+      });
+    }
+
+    const marked = await Message.markRead(conversation._id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        marked
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getConversations,
+  getUnreadCount,
+  startConversation,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markConversationRead
+};
@@ -0,0 +1,168 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { buildListQuery, queryError } = require('../utils/queryBuilder');
+const { createPager } = require('../utils/pagination');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
+const { schemas } = require('../utils/validation');
+
+// Every type with its current setting; unset types are on
+const formatPreferences = (preferences = {}) => Object.fromEntries(
+  NOTIFICATION_TYPES.map(type => [type, preferences[type] !== false])
+);
+
+// @desc    Get the authenticated user's notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res, next) => {
+  try {
+    const listing = buildListQuery(req.query, {
+      filters: {
+        type: { field: 'type', type: 'enum', values: NOTIFICATION_TYPES }
+      },
+      sortable: ['createdAt'],
+      defaultSort: { createdAt: -1 },
+      allowed: ['unread'],
+      baseFilter: { user: req.user.id }
+    });
+    const { filter: query } = listing;
+
+    const { unread: unreadOnly } = req.query;
+    if (unreadOnly !== undefined && unreadOnly !== 'true' && unreadOnly !== 'false') {
+      throw queryError('unread', 'Invalid unread: must be true or false');
+    }
+    if (unreadOnly === 'true') {
+      query.readAt = null;
+    } else if (unreadOnly === 'false') {
+      query.readAt = { $ne: null };
+    }
+
+    const pager = createPager(listing, { url: req.originalUrl });
+
+    const docs = await Notification.find(pager.applyTo(query))
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
+
+    const total = pager.usePages ? await Notification.countDocuments(query) : undefined;
+    const { items: notifications, pagination } = pager.page(docs, total);
+    const unread = await Notification.countDocuments({ user: req.user.id, readAt: null });
+
+    res.status(200).json({
+      status: 'success',
+      results: notifications.length,
+      pagination,
+      data: {
+        notifications,
+        unread
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No notification found with that ID'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const marked = await Notification.markAllRead(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        marked
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+const getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        preferences: formatPreferences(user && user.notificationPreferences)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn notification types on or off
+// @route   PUT /api/notifications/preferences
+// @access  Private
+const updatePreferences = async (req, res, next) => {
+  try {
+    // validate() has checked the body but leaves it unconverted ("false")
+    const { value } = schemas.notificationPreferences.validate(req.body);
+    const updates = {};
+    Object.entries(value).forEach(([type, enabled]) => {
+      updates[`notificationPreferences.${type}`] = enabled;
+    });
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, {
+      new: true,
+      runValidators: true
+    }).select('notificationPreferences');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification preferences updated',
+      data: {
+        preferences: formatPreferences(user.notificationPreferences)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,95 @@
+const Booking = require('../models/Booking');
+const { getPaymentProvider } = require('../utils/paymentProvider');
+const { chargeBooking, applyPaymentEvent } = require('../utils/paymentService');
+
+// @desc    Pay for a booking
+// @route   POST /api/bookings/:id/pay
+// @access  Private (Owner only)
+const payBooking = async (req, res, next) => {
+  try {
+    const { paymentMethod, source } = req.body;
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      owner: req.user.id
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No booking found with that ID'
+      });
+    }
+
+    if (!['pending', 'confirmed', 'in_progress'].includes(booking.status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Cannot pay for a booking that is ${booking.status}`
+      });
+    }
+
+    if (booking.paymentStatus === 'paid' || booking.paymentStatus === 'refunded') {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Booking payment is already ${booking.paymentStatus}`
+      });
+    }
+
+    const charge = await chargeBooking(booking, { paymentMethod, source });
+
+    if (!charge) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'A payment for this booking is already being processed'
+      });
+    }
+
+    // The outcome arrives through the provider's webhook
+    res.status(202).json({
+      status: 'success',
+      message: 'Payment is being processed',
+      data: {
+        charge: {
+          id: charge.id,
+          status: charge.status
+        },
+        booking
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Receive payment provider webhooks
+// @route   POST /api/payments/webhook
+// @access  Public (signature verified)
+const handleWebhook = async (req, res, next) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString() : JSON.stringify(req.body);
+
+    let event;
+    try {
+      event = getPaymentProvider().verifyWebhook(rawBody, req.get('X-Payment-Signature'));
+    } catch (verifyError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: verifyError.message
+      });
+    }
+
+    await applyPaymentEvent(event);
+
+    res.status(200).json({
+      status: 'success',
+      received: true
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  payBooking,
+  handleWebhook
+};
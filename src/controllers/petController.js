@@ -405,6 +405,11 @@ const updatePet = async (req, res, next) => {
       delete req.body.owner;
       delete req.body.replacePhotos;
       
+      // An empty size clears the override so the size is derived again
+      if (req.body.sizeOverride === '') {
+        req.body.sizeOverride = null;
+      }
+      
       pet = await Pet.findByIdAndUpdate(req.params.id, req.body, {
         new: true,
         runValidators: true
@@ -0,0 +1,158 @@
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const { notify } = require('../utils/notifier');
+
+// @desc    Review a completed booking
+// @route   POST /api/bookings/:id/review
+// @access  Private (Owner only)
+const createReview = async (req, res, next) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      owner: req.user.id
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No booking found with that ID'
+      });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Only completed bookings can be reviewed'
+      });
+    }
+
+    if (!booking.canBeReviewed()) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This booking has already been reviewed'
+      });
+    }
+
+    const review = await Review.create({
+      booking: booking._id,
+      service: booking.service,
+      sitter: booking.sitter,
+      owner: req.user.id,
+      rating,
+      comment
+    });
+
+    booking.review = review._id;
+    await booking.save({ validateBeforeSave: false });
+
+    // Keep the service rating in sync with its reviews
+    const service = await Service.findById(booking.service);
+    if (service) {
+      await service.updateRating();
+    }
+
+    await notify(booking.sitter, 'review_received', {
+      booking: booking._id,
+      review: review._id,
+      message: `${rating} star${rating === 1 ? '' : 's'}${comment ? `: ${comment.slice(0, 100)}` : ''}`
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reply to the review left on a booking
+// @route   POST /api/bookings/:id/review/reply
+// @access  Private (Sitter only)
+const replyToReview = async (req, res, next) => {
+  try {
+    const { comment } = req.body;
+
+    const review = await Review.findOne({
+      booking: req.params.id,
+      sitter: req.user.id
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No review found for that booking'
+      });
+    }
+
+    review.reply = {
+      comment,
+      repliedAt: new Date()
+    };
+    await review.save();
+
+    await notify(review.owner, 'review_reply', {
+      booking: review.booking,
+      review: review._id,
+      message: comment.slice(0, 100)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get reviews for a service
+// @route   GET /api/services/:id/reviews
+// @access  Public
+const getServiceReviews = async (req, res, next) => {
+  try {
+    const query = { service: req.params.id };
+
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.find(query)
+      .populate('owner', 'name avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      results: reviews.length,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+        total
+      },
+      data: {
+        reviews
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReview,
+  replyToReview,
+  getServiceReviews
+};
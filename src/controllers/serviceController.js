@@ -1,84 +1,145 @@
 const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const Pet = require('../models/Pet');
+const Favorite = require('../models/Favorite');
 const { uploadMultiple, handleUploadError, deleteFile, getFileUrl } = require('../utils/fileUpload');
 const path = require('path');
+const logger = require('../config/logger');
+const { getFreeSlots } = require('../utils/availability');
+const { buildRequirementsFilter } = require('../utils/petRequirements');
+const { PET_SIZES, getPetSize, buildPetSizeFilter } = require('../utils/petSize');
+const {
+  DEFAULT_RADIUS_MILES,
+  MAX_RADIUS_MILES,
+  isValidCoordinates,
+  distanceInMiles,
+  buildWithinFilter,
+  buildNearFilter
+} = require('../utils/geo');
+const { geocodeLocation } = require('../utils/geocoder');
+const { buildListQuery } = require('../utils/queryBuilder');
+const { createPager } = require('../utils/pagination');
+
+// Filters and sort fields shared by the service listing endpoints
+const SERVICE_FILTERS = {
+  serviceType: {
+    field: 'serviceType',
+    type: 'enum',
+    values: ['dog_walking', 'pet_sitting', 'grooming', 'training', 'daycare', 'boarding', 'other']
+  },
+  petType: {
+    field: 'petTypes',
+    type: 'enum',
+    values: ['dog', 'cat', 'bird', 'fish', 'rabbit', 'hamster', 'other']
+  },
+  city: { field: 'location.city', type: 'regex' },
+  state: { field: 'location.state', type: 'regex' },
+  minPrice: { field: 'price', type: 'number', op: '$gte' },
+  maxPrice: { field: 'price', type: 'number', op: '$lte' },
+  search: { type: 'text' }
+};
+
+const SERVICE_SORTABLE = ['price', 'rating.average', 'rating.count', 'totalBookings', 'featured', 'createdAt', 'title'];
+
+const DEFAULT_SLOT_RANGE_DAYS = 7;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Fill in coordinates for locations the sitter didn't pin themselves.
+// Returns the geocoding outcome to report back, or null without a location.
+const geocodeServiceLocation = async (location) => {
+  if (!location || typeof location !== 'object') return null;
+  
+  const { coordinates } = location;
+  if (coordinates && isValidCoordinates(coordinates.lat, coordinates.lng)) {
+    return { resolved: true, precision: 'provided' };
+  }
+  
+  const result = await geocodeLocation(location);
+  
+  if (result.resolved) {
+    location.coordinates = result.coordinates;
+  } else {
+    logger.warn(`Could not geocode service address (${location.zipCode}): ${result.reason}`);
+  }
+  
+  return result;
+};
+
+const ADDRESS_FIELDS = ['address', 'city', 'state', 'zipCode'];
+
+const sameCoordinates = (a, b) => Boolean(a && b) &&
+  Number(a.lat) === Number(b.lat) && Number(a.lng) === Number(b.lng);
+
+// Merge a location update into the stored location, which it would otherwise
+// replace. Stored coordinates only carry over while the address is unchanged,
+// so a new address is geocoded again unless the sitter pinned new coordinates.
+const mergeLocationUpdate = (current, update) => {
+  if (typeof update !== 'object') return update;
+  
+  const stored = current && typeof current.toObject === 'function' ? current.toObject() : { ...current };
+  const addressChanged = ADDRESS_FIELDS.some(field =>
+    update[field] !== undefined && String(update[field]).trim() !== String(stored[field] || '').trim()
+  );
+  const merged = { ...stored, ...update };
+  delete merged.point;
+  
+  if (addressChanged && sameCoordinates(merged.coordinates, stored.coordinates)) {
+    delete merged.coordinates;
+  }
+  
+  return merged;
+};
+
+// Flag the services the signed-in user has saved. Anonymous listings are
+// returned unchanged.
+const markFavorites = async (services, user) => {
+  if (!user) return services;
+  
+  const favoriteIds = await Favorite.getFavoriteIds(user.id, services.map(service => service._id));
+  
+  return services.map(service => {
+    const data = typeof service.toJSON === 'function' ? service.toJSON() : service;
+    data.isFavorite = favoriteIds.includes(String(service._id));
+    return data;
+  });
+};
 
 // @desc    Get all services (public)
 // @route   GET /api/services
 // @access  Public
 const getServices = async (req, res, next) => {
   try {
-    let query = { isActive: true };
-    
-    // Build filter based on query parameters
-    if (req.query.serviceType) {
-      query.serviceType = req.query.serviceType;
-    }
-    
-    if (req.query.petType) {
-      query.petTypes = req.query.petType;
-    }
-    
-    if (req.query.city) {
-      query['location.city'] = new RegExp(req.query.city, 'i');
-    }
-    
-    if (req.query.state) {
-      query['location.state'] = new RegExp(req.query.state, 'i');
-    }
-    
-    if (req.query.minPrice || req.query.maxPrice) {
-      query.price = {};
-      if (req.query.minPrice) query.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) query.price.$lte = parseFloat(req.query.maxPrice);
-    }
-    
-    // Text search
-    if (req.query.search) {
-      query.$text = { $search: req.query.search };
-    }
-    
-    // Sorting
-    let sortBy = {};
-    if (req.query.sort) {
-      const sortFields = req.query.sort.split(',');
-      sortFields.forEach(field => {
-        if (field.startsWith('-')) {
-          sortBy[field.substring(1)] = -1;
-        } else {
-          sortBy[field] = 1;
-        }
-      });
-    } else {
-      sortBy = { featured: -1, 'rating.average': -1, createdAt: -1 };
-    }
-    
-    // Pagination
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const listing = buildListQuery(req.query, {
+      filters: SERVICE_FILTERS,
+      sortable: SERVICE_SORTABLE,
+      defaultSort: { featured: -1, 'rating.average': -1, createdAt: -1 },
+      baseFilter: { isActive: true }
+    });
+    const { filter: query } = listing;
+    const pager = createPager(listing, { url: req.originalUrl });
     
-    const services = await Service.find(query)
+    const docs = await Service.find(pager.applyTo(query))
       .populate({
         path: 'sitter',
         select: 'name avatar bio rating experience'
       })
-      .sort(sortBy)
-      .skip(skip)
-      .limit(limit);
+      .sort(pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
     
-    const total = await Service.countDocuments(query);
+    // Totals are only counted for numbered pages
+    const total = pager.usePages ? await Service.countDocuments(query) : undefined;
+    const { items, pagination } = pager.page(docs, total);
+    const services = await markFavorites(items, req.user);
+    const facets = await Service.getFacets(query);
     
     res.status(200).json({
       status: 'success',
       results: services.length,
-      pagination: {
-        page,
-        limit,
-        pages: Math.ceil(total / limit),
-        total
-      },
+      pagination,
       data: {
-        services
+        services,
+        facets
       }
     });
   } catch (error) {
@@ -117,6 +178,65 @@ const getService = async (req, res, next) => {
   }
 };
 
+// @desc    Get free bookable slots for a service
+// @route   GET /api/services/:id/slots
+// @access  Public
+const getServiceSlots = async (req, res, next) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'from and to must be valid dates'
+      });
+    }
+    
+    if (to <= from) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'to must be after from'
+      });
+    }
+    
+    if (to - from > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Slots can be requested for at most ${MAX_SLOT_RANGE_DAYS} days at a time`
+      });
+    }
+    
+    const service = await Service.findOne({ _id: req.params.id, isActive: true });
+    
+    if (!service) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No service found with that ID'
+      });
+    }
+    
+    const bookings = await Booking.findConflicts(service.sitter, from, to);
+    const slots = getFreeSlots(service, bookings, from, to);
+    
+    res.status(200).json({
+      status: 'success',
+      results: slots.length,
+      data: {
+        from,
+        to,
+        duration: service.duration || null,
+        maxPets: service.maxPets,
+        slots
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get services for the authenticated sitter
 // @route   GET /api/services/my-services
 // @access  Private (Sitter only)
@@ -150,6 +270,14 @@ const createService = async (req, res, next) => {
     });
   }
 
+  // Optionally require a verified email before a sitter can publish services
+  if (process.env.REQUIRE_EMAIL_VERIFICATION_FOR_SERVICES === 'true' && !req.user.emailVerified) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Please verify your email address before publishing services.'
+    });
+  }
+
   // Handle file upload
   uploadMultiple(req, res, async (err) => {
     if (err) {
@@ -165,6 +293,8 @@ const createService = async (req, res, next) => {
         req.body.images = req.files.map(file => getFileUrl(req, file.filename));
       }
       
+      const geocoding = await geocodeServiceLocation(req.body.location);
+      
       const service = await Service.create(req.body);
       
       // Populate sitter info before sending response
@@ -172,9 +302,12 @@ const createService = async (req, res, next) => {
       
       res.status(201).json({
         status: 'success',
-        message: 'Service created successfully',
+        message: geocoding && !geocoding.resolved
+          ? `Service created, but its address could not be located: ${geocoding.reason}`
+          : 'Service created successfully',
         data: {
-          service
+          service,
+          geocoding
         }
       });
     } catch (error) {
@@ -259,6 +392,11 @@ const updateService = async (req, res, next) => {
       delete req.body.totalBookings;
       delete req.body.replaceImages;
       
+      if (req.body.location) {
+        req.body.location = mergeLocationUpdate(service.location, req.body.location);
+      }
+      const geocoding = await geocodeServiceLocation(req.body.location);
+      
       service = await Service.findByIdAndUpdate(req.params.id, req.body, {
         new: true,
         runValidators: true
@@ -266,8 +404,12 @@ const updateService = async (req, res, next) => {
       
       res.status(200).json({
         status: 'success',
+        message: geocoding && !geocoding.resolved
+          ? `Service updated, but its address could not be located: ${geocoding.reason}`
+          : 'Service updated successfully',
         data: {
-          service
+          service,
+          geocoding
         }
       });
     } catch (error) {
@@ -412,77 +554,161 @@ const getServiceStats = async (req, res, next) => {
 // @access  Public
 const searchServices = async (req, res, next) => {
   try {
-    const {
-      query: searchQuery,
-      serviceType,
-      petType,
-      city,
-      state,
-      minPrice,
-      maxPrice,
-      rating,
-      availability,
-      instantBooking,
-      page = 1,
-      limit = 10,
-      sort = '-rating.average'
-    } = req.query;
-    
-    let query = { isActive: true };
-    
-    // Text search
-    if (searchQuery) {
-      query.$text = { $search: searchQuery };
+    const listing = buildListQuery(req.query, {
+      filters: {
+        ...SERVICE_FILTERS,
+        query: { type: 'text' },
+        rating: { field: 'rating.average', type: 'number', op: '$gte' },
+        instantBooking: { field: 'instantBooking', type: 'boolean' }
+      },
+      sortable: [...SERVICE_SORTABLE, 'distance'],
+      defaultSort: { 'rating.average': -1 },
+      allowed: ['petId', 'petSize', 'lat', 'lng', 'radius'],
+      baseFilter: { isActive: true }
+    });
+    const { filter: query, sort: sortObj } = listing;
+    const { query: searchQuery, petType, petId, petSize, lat, lng, radius } = req.query;
+    const sizeFilters = [];
+    
+    if (petSize) {
+      if (!PET_SIZES.includes(petSize)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `petSize must be one of: ${PET_SIZES.join(', ')}`
+        });
+      }
+      sizeFilters.push(buildPetSizeFilter(petSize));
     }
     
-    // Filters
-    if (serviceType) query.serviceType = serviceType;
-    if (petType) query.petTypes = petType;
-    if (city) query['location.city'] = new RegExp(city, 'i');
-    if (state) query['location.state'] = new RegExp(state, 'i');
-    if (instantBooking === 'true') query.instantBooking = true;
-    
-    // Price range
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    // Only services the given pet qualifies for
+    if (petId) {
+      if (!req.user) {
+        return res.status(401).json({
+          status: 'fail',
+          message: 'Please log in to search by pet'
+        });
+      }
+      
+      const pet = await Pet.findOne({ _id: petId, owner: req.user.id, isActive: true });
+      
+      if (!pet) {
+        return res.status(404).json({
+          status: 'fail',
+          message: 'Pet not found or does not belong to you'
+        });
+      }
+      
+      if (petType && petType !== pet.species) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `petType ${petType} does not match the pet's species (${pet.species})`
+        });
+      }
+      
+      query.petTypes = pet.species;
+      Object.assign(query, buildRequirementsFilter(pet));
+      sizeFilters.push(buildPetSizeFilter(getPetSize(pet)));
     }
     
-    // Rating filter
-    if (rating) {
-      query['rating.average'] = { $gte: parseFloat(rating) };
+    // Each size filter is an $or, so two of them must both apply
+    if (sizeFilters.length > 1) {
+      query.$and = sizeFilters;
+    } else if (sizeFilters.length === 1) {
+      Object.assign(query, sizeFilters[0]);
     }
     
-    // Build sort object
-    let sortObj = {};
-    if (sort.startsWith('-')) {
-      sortObj[sort.substring(1)] = -1;
-    } else {
-      sortObj[sort] = 1;
+    // Radius search around lat/lng
+    let origin = null;
+    let radiusMiles = DEFAULT_RADIUS_MILES;
+    
+    if (lat !== undefined || lng !== undefined) {
+      origin = { lat: parseFloat(lat), lng: parseFloat(lng) };
+      
+      if (!isValidCoordinates(origin.lat, origin.lng)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'lat and lng must both be valid coordinates'
+        });
+      }
+      
+      if (radius !== undefined) {
+        radiusMiles = parseFloat(radius);
+        
+        if (!(radiusMiles > 0 && radiusMiles <= MAX_RADIUS_MILES)) {
+          return res.status(400).json({
+            status: 'fail',
+            message: `radius must be between 0 and ${MAX_RADIUS_MILES} miles`
+          });
+        }
+      }
+    }
+    
+    const sortByDistance = 'distance' in sortObj;
+    
+    if (sortByDistance && (sortObj.distance !== 1 || Object.keys(sortObj).length > 1)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid sort: distance can only be sorted on its own, nearest first'
+      });
     }
     
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (sortByDistance && !origin) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Sorting by distance requires lat and lng'
+      });
+    }
+    
+    if (sortByDistance && searchQuery) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Sorting by distance cannot be combined with a text query'
+      });
+    }
     
-    const services = await Service.find(query)
+    // Counting needs $geoWithin; $nearSphere also orders results by distance
+    const countQuery = { ...query };
+    if (origin) {
+      countQuery['location.point'] = buildWithinFilter(origin, radiusMiles);
+    }
+    
+    const findQuery = sortByDistance
+      ? { ...query, 'location.point': buildNearFilter(origin, radiusMiles) }
+      : countQuery;
+    
+    // Distances aren't stored, so distance order pages by offset
+    const pager = createPager(listing, { offset: sortByDistance, url: req.originalUrl });
+    
+    // $nearSphere already returns nearest first
+    const docs = await Service.find(pager.applyTo(findQuery))
       .populate('sitter', 'name avatar bio rating experience')
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit));
+      .sort(sortByDistance ? {} : pager.sort)
+      .skip(pager.skip)
+      .limit(pager.limit);
+    
+    const total = pager.usePages ? await Service.countDocuments(countQuery) : undefined;
+    const { items, pagination } = pager.page(docs, total);
+    let services = items;
+    const facets = await Service.getFacets(countQuery);
+    
+    // Add the distance in miles from the search origin
+    if (origin) {
+      services = services.map(service => {
+        const data = service.toJSON();
+        data.distance = Math.round(distanceInMiles(origin, service.location.coordinates) * 10) / 10;
+        return data;
+      });
+    }
     
-    const total = await Service.countDocuments(query);
+    services = await markFavorites(services, req.user);
     
     res.status(200).json({
       status: 'success',
       results: services.length,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        pages: Math.ceil(total / parseInt(limit)),
-        total
-      },
+      pagination,
       data: {
-        services
+        services,
+        facets
       }
     });
   } catch (error) {
@@ -493,6 +719,7 @@ const searchServices = async (req, res, next) => {
 module.exports = {
   getServices,
   getService,
+  getServiceSlots,
   getMyServices,
   createService,
   updateService,
@@ -0,0 +1,59 @@
+const User = require('../models/User');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+
+// @desc    Get a sitter's public profile and reputation
+// @route   GET /api/sitters/:id
+// @access  Public
+const getSitter = async (req, res, next) => {
+  try {
+    const sitter = await User.findOne({
+      _id: req.params.id,
+      role: 'sitter',
+      isActive: true
+    }).select('name avatar bio experience certifications hourlyRate address.city address.state suspension createdAt');
+
+    if (!sitter || sitter.isSuspended()) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'No sitter found with that ID'
+      });
+    }
+
+    const services = await Service.find({ sitter: sitter._id, isActive: true })
+      .select('title serviceType price priceType petTypes petSizes location.city location.state rating instantBooking images')
+      .sort({ 'rating.average': -1 });
+
+    const rating = await Service.getSitterRating(sitter._id);
+    const bookingStats = await Booking.getSitterStats(sitter._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sitter: {
+          _id: sitter._id,
+          name: sitter.name,
+          avatar: sitter.avatar,
+          bio: sitter.bio,
+          experience: sitter.experience,
+          certifications: sitter.certifications,
+          hourlyRate: sitter.hourlyRate,
+          city: sitter.address && sitter.address.city,
+          state: sitter.address && sitter.address.state,
+          memberSince: sitter.createdAt
+        },
+        services,
+        reputation: {
+          rating,
+          ...bookingStats
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSitter
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
 
 // Middleware to protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -21,6 +22,14 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Check if token was revoked (e.g. on logout)
+    if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'This token has been revoked. Please log in again.'
+      });
+    }
+
     // Check if user still exists
     const currentUser = await User.findById(decoded.id);
     if (!currentUser) {
@@ -38,8 +47,25 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Check if user was suspended by an administrator
+    if (currentUser.isSuspended()) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Your account has been suspended. Please contact support.'
+      });
+    }
+
+    // Check if user changed password after the token was issued
+    if (currentUser.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your password was changed recently. Please log in again.'
+      });
+    }
+
     // Grant access to protected route
     req.user = currentUser;
+    req.auth = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -72,6 +98,8 @@ const restrictTo = (...roles) => {
         message = 'Only pet sitters can perform this action. Pet owners cannot create or manage services.';
       } else if (roles.includes('owner') && req.user.role === 'sitter') {
         message = 'Only pet owners can perform this action. Sitters cannot manage pets.';
+      } else if (roles.length === 1 && roles[0] === 'admin') {
+        message = 'Only administrators can perform this action.';
       }
       
       return res.status(403).json({
@@ -104,10 +132,12 @@ const optionalAuth = async (req, res, next) => {
       
       if (token) {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const currentUser = await User.findById(decoded.id);
+        const revoked = decoded.jti && await RevokedToken.isRevoked(decoded.jti);
+        const currentUser = revoked ? null : await User.findById(decoded.id);
         
-        if (currentUser && currentUser.isActive) {
+        if (currentUser && currentUser.isActive && !currentUser.isSuspended() && !currentUser.changedPasswordAfter(decoded.iat)) {
           req.user = currentUser;
+          req.auth = decoded;
         }
       }
     }
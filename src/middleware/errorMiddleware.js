@@ -67,6 +67,7 @@ const errorMiddleware = (err, req, res, next) => {
   res.status(statusCode).json({
     status: statusCode >= 400 && statusCode < 500 ? 'fail' : 'error',
     message,
+    ...(err.parameter && { parameter: err.parameter }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
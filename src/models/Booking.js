@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getPolicySnapshot, getRefundPercent, canCancel } = require('../utils/cancellationPolicy');
+const { buildBookingStatsPipeline, formatBookingStats } = require('../utils/sitterReputation');
 
 const bookingSchema = new mongoose.Schema({
   owner: {
@@ -21,6 +23,11 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Pet',
     required: [true, 'Booking must specify a pet']
   },
+  // All pets on the booking; `pet` is the first of them
+  pets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
+  }],
   startDate: {
     type: Date,
     required: [true, 'Please provide start date']
@@ -45,6 +52,8 @@ const bookingSchema = new mongoose.Schema({
     },
     default: 'pending'
   },
+  // When the sitter confirmed or declined the request
+  respondedAt: Date,
   totalPrice: {
     type: Number,
     required: [true, 'Booking must have a total price'],
@@ -65,6 +74,16 @@ const bookingSchema = new mongoose.Schema({
     enum: ['credit_card', 'debit_card', 'paypal', 'cash'],
     default: 'credit_card'
   },
+  payment: {
+    provider: String,
+    chargeId: String,
+    refundId: String,
+    amountPaid: Number,
+    amountRefunded: Number,
+    paidAt: Date,
+    refundedAt: Date,
+    failureReason: String
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
@@ -96,6 +115,13 @@ const bookingSchema = new mongoose.Schema({
     notes: String,
     photos: [String]
   },
+  // Set by the scheduled booking jobs (see utils/bookingJobs)
+  reminders: {
+    dayBeforeSentAt: Date,
+    hourBeforeSentAt: Date
+  },
+  autoDeclinedAt: Date,
+  overdueAt: Date,
   updates: [{
     time: {
       type: Date,
@@ -108,6 +134,19 @@ const bookingSchema = new mongoose.Schema({
       ref: 'User'
     }
   }],
+  // Snapshot of the service's cancellation policy at booking time
+  cancellationPolicy: {
+    name: {
+      type: String,
+      enum: ['flexible', 'moderate', 'strict']
+    },
+    cutoffHours: Number,
+    tiers: [{
+      _id: false,
+      hoursBefore: Number,
+      refundPercent: Number
+    }]
+  },
   cancellation: {
     cancelledBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -120,6 +159,11 @@ const bookingSchema = new mongoose.Schema({
   review: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Review'
+  },
+  // Set on occurrences of a recurring booking
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
   }
 }, {
   timestamps: true,
@@ -133,6 +177,8 @@ bookingSchema.index({ sitter: 1, status: 1 });
 bookingSchema.index({ service: 1 });
 bookingSchema.index({ startDate: 1, endDate: 1 });
 bookingSchema.index({ status: 1, startDate: 1 });
+bookingSchema.index({ 'payment.chargeId': 1 }, { sparse: true });
+bookingSchema.index({ series: 1, startDate: 1 }, { sparse: true });
 
 // Virtual for duration in hours
 bookingSchema.virtual('durationHours').get(function() {
@@ -161,6 +207,16 @@ bookingSchema.virtual('durationString').get(function() {
   }
 });
 
+// Pre-validate middleware to keep `pet` and `pets` in sync
+bookingSchema.pre('validate', function(next) {
+  if (this.pets.length === 0 && this.pet) {
+    this.pets = [this.pet];
+  } else if (this.pets.length > 0 && !this.pet) {
+    this.pet = this.pets[0];
+  }
+  next();
+});
+
 // Pre-save middleware to validate dates
 bookingSchema.pre('save', function(next) {
   // Check if end date is after start date
@@ -195,21 +251,37 @@ bookingSchema.pre(/^find/, function(next) {
       {
         path: 'pet',
         select: 'name species breed age photos specialNeeds'
+      },
+      {
+        path: 'pets',
+        select: 'name species breed age photos specialNeeds'
       }
     ]);
   }
   next();
 });
 
+// Instance method to get the cancellation policy that applies to this booking
+bookingSchema.methods.getCancellationPolicy = function() {
+  // Bookings created before policies were snapshotted use the default policy
+  if (this.cancellationPolicy && this.cancellationPolicy.name) {
+    return this.cancellationPolicy;
+  }
+  return getPolicySnapshot();
+};
+
+// Instance method to get hours until the booking starts
+bookingSchema.methods.getHoursUntilStart = function() {
+  return (this.startDate - new Date()) / (1000 * 60 * 60);
+};
+
 // Instance method to check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
-  if (this.status === 'completed' || this.status === 'cancelled') {
+  if (['completed', 'cancelled', 'declined'].includes(this.status)) {
     return false;
   }
   
-  // Can't cancel if booking starts in less than 24 hours
-  const hoursUntilStart = (this.startDate - new Date()) / (1000 * 60 * 60);
-  return hoursUntilStart > 24;
+  return canCancel(this.getCancellationPolicy(), this.getHoursUntilStart());
 };
 
 // Instance method to check if booking can be modified
@@ -228,17 +300,35 @@ bookingSchema.methods.canBeReviewed = function() {
   return this.status === 'completed' && !this.review;
 };
 
-// Instance method to calculate refund amount
+// Instance method to calculate refund amount under the booking's policy
 bookingSchema.methods.calculateRefund = function() {
-  const hoursUntilStart = (this.startDate - new Date()) / (1000 * 60 * 60);
+  const refundPercent = getRefundPercent(this.getCancellationPolicy(), this.getHoursUntilStart());
+  return Math.round(this.totalPrice * refundPercent) / 100;
+};
+
+// Instance method to preview what cancelling now would mean
+bookingSchema.methods.getCancellationQuote = function() {
+  const policy = this.getCancellationPolicy();
+  const hoursUntilStart = this.getHoursUntilStart();
+  const canBeCancelled = this.canBeCancelled();
+  const refundPercent = canBeCancelled ? getRefundPercent(policy, hoursUntilStart) : 0;
   
-  if (hoursUntilStart > 48) {
-    return this.totalPrice; // Full refund
-  } else if (hoursUntilStart > 24) {
-    return this.totalPrice * 0.5; // 50% refund
-  } else {
-    return 0; // No refund
-  }
+  // When the refund drops to the next tier
+  const currentTier = policy.tiers.find(t => hoursUntilStart > t.hoursBefore);
+  const refundDropsAt = currentTier
+    ? new Date(this.startDate.getTime() - currentTier.hoursBefore * 60 * 60 * 1000)
+    : null;
+  
+  return {
+    policy: policy.name,
+    canBeCancelled,
+    cancellationDeadline: new Date(this.startDate.getTime() - policy.cutoffHours * 60 * 60 * 1000),
+    hoursUntilStart: Math.max(0, Math.round(hoursUntilStart * 10) / 10),
+    totalPrice: this.totalPrice,
+    refundPercent,
+    refundAmount: canBeCancelled ? this.calculateRefund() : 0,
+    refundDropsAt: canBeCancelled ? refundDropsAt : null
+  };
 };
 
 // Static method to find conflicting bookings
@@ -248,8 +338,8 @@ bookingSchema.statics.findConflicts = function(sitterId, startDate, endDate, exc
     status: { $in: ['pending', 'confirmed', 'in_progress'] },
     $or: [
       {
-        startDate: { $lte: endDate },
-        endDate: { $gte: startDate }
+        startDate: { $lt: endDate },
+        endDate: { $gt: startDate }
       }
     ]
   };
@@ -279,6 +369,27 @@ bookingSchema.statics.getStats = function(userId, userRole) {
   ]);
 };
 
+// Static method to get platform-wide booking statistics
+bookingSchema.statics.getPlatformStats = function() {
+  return this.aggregate([
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        totalRevenue: { $sum: '$totalPrice' },
+        totalServiceFees: { $sum: '$serviceFee' }
+      }
+    }
+  ]);
+};
+
+// Static method to get a sitter's completed-booking, repeat-client and
+// response-time figures
+bookingSchema.statics.getSitterStats = async function(sitterId) {
+  const result = await this.aggregate(buildBookingStatsPipeline(new mongoose.Types.ObjectId(sitterId)));
+  return formatBookingStats(result);
+};
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { DAYS } = require('../utils/availability');
+
+// A recurring booking. Each occurrence is an ordinary Booking linked back
+// through its `series` field; the series keeps the rule it was created from
+// and the occurrences that couldn't be booked.
+const bookingSeriesSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Booking series must have an owner']
+  },
+  sitter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Booking series must have a sitter']
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Booking series must be for a service']
+  },
+  pets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
+  }],
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly'],
+      default: 'weekly'
+    },
+    days: [{
+      type: String,
+      enum: DAYS
+    }],
+    time: {
+      type: String,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Please provide valid time format (HH:MM)']
+    },
+    durationMinutes: Number,
+    startDate: Date,
+    weeks: Number
+  },
+  // Occurrences that were not booked when the series was created
+  failures: [{
+    _id: false,
+    startDate: Date,
+    endDate: Date,
+    reason: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+bookingSeriesSchema.index({ owner: 1, createdAt: -1 });
+bookingSeriesSchema.index({ sitter: 1, createdAt: -1 });
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+module.exports = BookingSeries;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A thread between an owner and a sitter, either about a booking or an
+// inquiry about one of the sitter's services
+const conversationSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation must have an owner']
+  },
+  sitter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation must have a sitter']
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Conversation must be about a service']
+  },
+  // Set for booking threads; inquiries have no booking
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  lastMessage: {
+    body: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+conversationSchema.index({ owner: 1, lastMessageAt: -1 });
+conversationSchema.index({ sitter: 1, lastMessageAt: -1 });
+conversationSchema.index({ owner: 1, service: 1 });
+
+// One thread per booking
+conversationSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { booking: { $exists: true } } }
+);
+
+// Instance method to get the other side of the conversation
+conversationSchema.methods.getRecipient = function(senderId) {
+  const owner = this.owner._id || this.owner;
+  const sitter = this.sitter._id || this.sitter;
+  return String(owner) === String(senderId) ? sitter : owner;
+};
+
+// Static method to find a conversation the user takes part in
+conversationSchema.statics.findForParticipant = function(conversationId, userId) {
+  return this.findOne({
+    _id: conversationId,
+    $or: [{ owner: userId }, { sitter: userId }]
+  });
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
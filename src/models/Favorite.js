@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const favoriteSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Favorite must belong to an owner']
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Favorite must be for a service']
+  }
+}, {
+  timestamps: true
+});
+
+// Each service can only be saved once per owner
+favoriteSchema.index({ owner: 1, service: 1 }, { unique: true });
+favoriteSchema.index({ owner: 1, createdAt: -1 });
+
+// Static method to get which of the given services a user has saved
+favoriteSchema.statics.getFavoriteIds = async function(ownerId, serviceIds) {
+  const favorites = await this.find({
+    owner: ownerId,
+    service: { $in: serviceIds }
+  }).select('service');
+
+  return favorites.map(favorite => favorite.service.toString());
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+module.exports = Favorite;
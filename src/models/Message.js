@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Message must belong to a conversation']
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Message must have a sender']
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Message must have a recipient']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message cannot be empty'],
+    trim: true,
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  // Read receipt, set when the recipient opens the conversation
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ recipient: 1, readAt: 1 });
+
+// Static method to count a user's unread messages per conversation
+messageSchema.statics.getUnreadCounts = async function(userId) {
+  const counts = await this.aggregate([
+    {
+      $match: { recipient: new mongoose.Types.ObjectId(userId), readAt: null }
+    },
+    {
+      $group: {
+        _id: '$conversation',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+// Static method to mark everything a user received in a conversation as read
+messageSchema.statics.markRead = async function(conversationId, userId) {
+  const result = await this.updateMany(
+    { conversation: conversationId, recipient: userId, readAt: null },
+    { readAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must have a recipient']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Unknown notification type: {VALUE}'
+    },
+    required: [true, 'Notification must have a type']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification must have a title'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  // What the notification is about, for linking from the UI
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = async function(userId) {
+  const result = await this.updateMany(
+    { user: userId, readAt: null },
+    { readAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PET_SIZES, getPetSize } = require('../utils/petSize');
 
 const petSchema = new mongoose.Schema({
   owner: {
@@ -31,9 +32,14 @@ const petSchema = new mongoose.Schema({
     max: [30, 'Age seems unrealistic']
   },
   weight: {
-    type: Number,
+    type: Number, // in lbs
     min: [0, 'Weight cannot be negative']
   },
+  // Owner-chosen size; otherwise the size is derived from species and weight
+  sizeOverride: {
+    type: String,
+    enum: PET_SIZES
+  },
   gender: {
     type: String,
     enum: ['male', 'female', 'unknown'],
@@ -106,6 +112,11 @@ petSchema.virtual('bookings', {
   foreignField: 'pet'
 });
 
+// Virtual for the size class used to match Service.petSizes
+petSchema.virtual('size').get(function() {
+  return getPetSize(this);
+});
+
 // Pre-find middleware to populate owner info when needed
 petSchema.pre(/^find/, function(next) {
   // Only populate if explicitly requested
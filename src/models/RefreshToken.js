@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refresh token must belong to a user']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Device description cannot exceed 200 characters']
+  },
+  ip: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  revokedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove expired sessions
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a plain refresh token
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to issue a new refresh token for a user's device
+refreshTokenSchema.statics.issue = async function(userId, { device, ip } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expiresInDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+  const session = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    device,
+    ip,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, session };
+};
+
+// Static method to revoke every active session of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+};
+
+// Instance method to check if the token can still be used
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Review must belong to a booking'],
+    unique: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Review must be for a service']
+  },
+  sitter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must have a sitter']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must have an author']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  reply: {
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    repliedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+reviewSchema.index({ service: 1, createdAt: -1 });
+reviewSchema.index({ sitter: 1 });
+
+// Pre-find middleware to populate author info when needed
+reviewSchema.pre(/^find/, function(next) {
+  if (this.getOptions().populate) {
+    this.populate({
+      path: 'owner',
+      select: 'name avatar'
+    });
+  }
+  next();
+});
+
+// Static method to compute rating statistics for a service
+reviewSchema.statics.getRatingStats = function(serviceId) {
+  return this.aggregate([
+    {
+      $match: { service: new mongoose.Types.ObjectId(serviceId) }
+    },
+    {
+      $group: {
+        _id: '$service',
+        average: { $avg: '$rating' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
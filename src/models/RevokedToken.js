@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Access tokens that were revoked before their natural expiry (e.g. on logout)
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Revoked token must have an id'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Entries are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to add an access token to the revocation list
+revokedTokenSchema.statics.revoke = function(payload) {
+  return this.updateOne(
+    { jti: payload.jti },
+    {
+      jti: payload.jti,
+      user: payload.id,
+      expiresAt: new Date(payload.exp * 1000)
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to check if an access token has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// State of a recurring background job. Keeping it in MongoDB means a restart
+// picks up the schedule where it left off, and the lock stops two server
+// instances from running the same job at once.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scheduled job must have a name'],
+    unique: true
+  },
+  // How often the job runs, in milliseconds
+  interval: {
+    type: Number,
+    required: [true, 'Scheduled job must have an interval'],
+    min: [1000, 'Interval must be at least one second']
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastError: String,
+  // Counts returned by the last successful run, e.g. { reminded: 3 }
+  lastResult: mongoose.Schema.Types.Mixed,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failCount: {
+    type: Number,
+    default: 0
+  },
+  // Set while an instance is running the job; a crashed run expires
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+// Static method to lock a job that is due, or resolve to null if it isn't
+// due or another instance holds the lock
+scheduledJobSchema.statics.claim = function(name, instanceId, lockMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      lockedBy: instanceId,
+      lockedUntil: new Date(now.getTime() + lockMs),
+      lastRunAt: now
+    },
+    { new: true }
+  );
+};
+
+// Static method to release a job and schedule its next run
+scheduledJobSchema.statics.release = function(job, { result, error }, now = new Date()) {
+  const update = {
+    $set: {
+      lockedBy: null,
+      lockedUntil: null,
+      lastFinishedAt: now,
+      nextRunAt: new Date(now.getTime() + job.interval)
+    },
+    $inc: { runCount: 1 }
+  };
+
+  if (error) {
+    update.$set.lastError = error.message;
+    update.$inc.failCount = 1;
+  } else {
+    update.$set.lastError = null;
+    update.$set.lastResult = result;
+  }
+
+  return this.updateOne({ _id: job._id, lockedBy: job.lockedBy }, update);
+};
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
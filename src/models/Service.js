@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const Review = require('./Review');
+const { toMinutes, getDayName } = require('../utils/availability');
+const logger = require('../config/logger');
+const {
+  DEFAULT_RADIUS_MILES,
+  toGeoPoint,
+  updatesOneCoordinate,
+  syncGeoPointUpdate,
+  buildNearFilter
+} = require('../utils/geo');
+const { buildFacetPipeline, formatFacets } = require('../utils/serviceFacets');
+const { buildRatingPipeline, formatRating } = require('../utils/sitterReputation');
 
 const serviceSchema = new mongoose.Schema({
   sitter: {
@@ -62,6 +74,17 @@ const serviceSchema = new mongoose.Schema({
     coordinates: {
       lat: Number,
       lng: Number
+    },
+    // GeoJSON copy of coordinates for geospatial queries, kept in sync on save
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined
+      }
     }
   },
   availability: [{
@@ -160,11 +183,8 @@ serviceSchema.index({ 'rating.average': -1 });
 serviceSchema.index({ isActive: 1 });
 serviceSchema.index({ featured: -1, 'rating.average': -1 });
 
-// Compound index for location-based searches
-serviceSchema.index({ 
-  'location.coordinates.lat': 1, 
-  'location.coordinates.lng': 1 
-});
+// Geospatial index for radius searches
+serviceSchema.index({ 'location.point': '2dsphere' });
 
 // Text index for search functionality
 serviceSchema.index({
@@ -174,6 +194,34 @@ serviceSchema.index({
   'location.state': 'text'
 });
 
+// Pre-validate middleware to keep the GeoJSON point in sync with coordinates
+serviceSchema.pre('validate', function(next) {
+  if (this.location && this.isModified('location')) {
+    this.location.point = toGeoPoint(this.location.coordinates);
+  }
+  next();
+});
+
+// Same for updates, which bypass document middleware
+serviceSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+  
+  let current;
+  if (updatesOneCoordinate(update)) {
+    // Each service matched by updateMany may have a different other half
+    if (this.op === 'updateMany') {
+      logger.warn('updateMany changed only one of lat/lng; location.point was not updated');
+      return;
+    }
+    
+    const service = await this.model.findOne(this.getQuery()).select('location.coordinates').lean();
+    current = service && service.location ? service.location.coordinates : undefined;
+  }
+  
+  syncGeoPointUpdate(update, current);
+});
+
 // Virtual for reviews
 serviceSchema.virtual('reviews', {
   ref: 'Review',
@@ -201,13 +249,15 @@ serviceSchema.pre(/^find/, function(next) {
 
 // Instance method to check availability on a specific date/time
 serviceSchema.methods.isAvailable = function(date, startTime, endTime) {
-  const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-  
-  const dayAvailability = this.availability.find(avail => avail.day === dayOfWeek);
-  if (!dayAvailability) return false;
+  const dayOfWeek = getDayName(date);
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
   
-  // Simple time comparison (in a real app, you'd want more sophisticated logic)
-  return startTime >= dayAvailability.startTime && endTime <= dayAvailability.endTime;
+  return this.availability.some(avail =>
+    avail.day === dayOfWeek &&
+    start >= toMinutes(avail.startTime) &&
+    end <= toMinutes(avail.endTime)
+  );
 };
 
 // Instance method to get formatted price
@@ -222,15 +272,34 @@ serviceSchema.methods.getFormattedPrice = function() {
   return `$${this.price}${formatMap[this.priceType] || ''}`;
 };
 
-// Static method to find services by location
-serviceSchema.statics.findByLocation = function(city, state, radius = 25) {
+// Static method to find services within radius miles, nearest first
+serviceSchema.statics.findByLocation = function(lat, lng, radius = DEFAULT_RADIUS_MILES) {
   return this.find({
-    'location.city': new RegExp(city, 'i'),
-    'location.state': new RegExp(state, 'i'),
+    'location.point': buildNearFilter({ lat, lng }, radius),
     isActive: true
   });
 };
 
+// Static method to give services saved before location.point existed their
+// point, so they show up in radius searches. Safe to run on every start.
+serviceSchema.statics.backfillGeoPoints = function() {
+  return this.updateMany(
+    {
+      'location.point': { $exists: false },
+      'location.coordinates.lat': { $gte: -90, $lte: 90 },
+      'location.coordinates.lng': { $gte: -180, $lte: 180 }
+    },
+    [{
+      $set: {
+        'location.point': {
+          type: 'Point',
+          coordinates: ['$location.coordinates.lng', '$location.coordinates.lat']
+        }
+      }
+    }]
+  );
+};
+
 // Static method to find services by pet type
 serviceSchema.statics.findByPetType = function(petType) {
   return this.find({
@@ -251,11 +320,29 @@ serviceSchema.statics.searchServices = function(query) {
   });
 };
 
-// Method to update rating when a new review is added
-serviceSchema.methods.updateRating = async function(newRating) {
-  const totalRating = (this.rating.average * this.rating.count) + newRating;
-  this.rating.count += 1;
-  this.rating.average = totalRating / this.rating.count;
+// Static method to count services per facet for a listing filter
+serviceSchema.statics.getFacets = async function(filter) {
+  const result = await this.aggregate(buildFacetPipeline(filter));
+  return formatFacets(result);
+};
+
+// Static method to get a sitter's rating across their active services
+serviceSchema.statics.getSitterRating = async function(sitterId) {
+  const result = await this.aggregate(buildRatingPipeline(new mongoose.Types.ObjectId(sitterId)));
+  return formatRating(result);
+};
+
+// Method to recalculate rating from the service's reviews
+serviceSchema.methods.updateRating = async function() {
+  const stats = await Review.getRatingStats(this._id);
+  
+  if (stats.length > 0) {
+    this.rating.average = Math.round(stats[0].average * 10) / 10;
+    this.rating.count = stats[0].count;
+  } else {
+    this.rating.average = 0;
+    this.rating.count = 0;
+  }
   
   return this.save();
 };
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { NOTIFICATION_TYPES } = require('../utils/notificationTypes');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,7 +29,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['owner', 'sitter'],
+    enum: ['owner', 'sitter', 'admin'],
     required: [true, 'Please specify your role']
   },
   avatar: {
@@ -69,12 +71,45 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by an administrator; unlike isActive the user cannot lift it
+  suspension: {
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Suspension reason cannot be more than 500 characters']
+    }
+  },
+  // In-app notifications the user wants, per type
+  notificationPreferences: Object.fromEntries(
+    NOTIFICATION_TYPES.map(type => [type, { type: Boolean, default: true }])
+  ),
   emailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
+  },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true,
@@ -110,26 +145,89 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Pre-save middleware to record when the password was changed
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Subtract a second so tokens issued right after the change stay valid
+  this.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
 // Instance method to check password
 userSchema.methods.correctPassword = async function(candidatePassword, userPassword) {
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Instance method to generate a short-lived JWT access token
+userSchema.methods.generateAuthToken = function(sessionId) {
+  const payload = {
+    id: this._id,
+    email: this.email,
+    role: this.role
+  };
+
+  // Tie the access token to the refresh token session it was issued for
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   return jwt.sign(
-    { 
-      id: this._id,
-      email: this.email,
-      role: this.role
-    },
+    payload,
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN
+      expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+      jwtid: crypto.randomUUID()
     }
   );
 };
 
+// Instance method to check if an administrator suspended the account
+userSchema.methods.isSuspended = function() {
+  return Boolean(this.suspension && this.suspension.suspendedAt);
+};
+
+// Instance method to check if password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+    return JWTTimestamp < changedTimestamp;
+  }
+
+  return false;
+};
+
+// Instance method to generate a password reset token
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the hash is stored, the plain token is sent to the user
+  this.passwordResetToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 10;
+  this.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Instance method to generate an email verification token
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+  this.emailVerificationExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
@@ -149,6 +247,10 @@ userSchema.statics.findByCredentials = async function(email, password) {
     throw new Error('Account is deactivated. Please reactivate your account to continue.');
   }
 
+  if (user.isSuspended()) {
+    throw new Error('Account is suspended. Please contact support.');
+  }
+
   return user;
 };
 
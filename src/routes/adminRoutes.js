@@ -0,0 +1,31 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { validate, schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// All routes require an authenticated administrator
+router.use(protect);
+router.use(restrictTo('admin'));
+
+// Platform statistics
+router.get('/stats', adminController.getPlatformStats);
+
+// User moderation
+router.get('/users', adminController.getUsers);
+router.patch('/users/:id/suspend', validate(schemas.suspendUser), adminController.suspendUser);
+router.patch('/users/:id/unsuspend', adminController.unsuspendUser);
+
+// Service moderation
+router.patch('/services/:id/activate', adminController.setServiceActive);
+router.patch('/services/:id/deactivate', adminController.setServiceActive);
+router.patch('/services/:id/feature', validate(schemas.featureService), adminController.featureService);
+
+// Booking moderation
+router.patch('/bookings/:id/cancel', validate(schemas.adminCancelBooking), adminController.cancelBooking);
+
+// Background jobs
+router.get('/jobs', adminController.getScheduledJobs);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const { validate, schemas } = require('../utils/validation');
 
 const router = express.Router();
@@ -8,8 +8,12 @@ const router = express.Router();
 // Public routes
 router.post('/register', validate(schemas.register), authController.register);
 router.post('/login', validate(schemas.login), authController.login);
-router.post('/forgotPassword', authController.forgotPassword);
+router.post('/forgotPassword', validate(schemas.forgotPassword), authController.forgotPassword);
+router.patch('/resetPassword/:token', validate(schemas.resetPassword), authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/refresh', validate(schemas.refreshToken), authController.refresh);
 router.put('/reactivate', validate(schemas.login), authController.reactivateAccount);
+router.post('/logout', optionalAuth, validate(schemas.logout), authController.logout);
 
 // Protected routes (require authentication)
 router.use(protect); // All routes after this middleware are protected
@@ -18,6 +22,6 @@ router.get('/me', authController.getMe);
 router.put('/me', validate(schemas.updateUser), authController.updateMe);
 router.delete('/me', authController.deleteMe);
 router.put('/updatePassword', authController.updatePassword);
-router.post('/logout', authController.logout);
+router.post('/verify-email/resend', authController.resendVerificationEmail);
 
 module.exports = router;
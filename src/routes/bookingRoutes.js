@@ -1,5 +1,7 @@
 const express = require('express');
 const bookingController = require('../controllers/bookingController');
+const reviewController = require('../controllers/reviewController');
+const paymentController = require('../controllers/paymentController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 const { validate, schemas } = require('../utils/validation');
 
@@ -17,14 +19,27 @@ router
   .get(bookingController.getBookings)
   .post(restrictTo('owner'), validate(schemas.booking), bookingController.createBooking);
 
+// Recurring bookings
+router.post('/series', restrictTo('owner'), validate(schemas.bookingSeries), bookingController.createBookingSeries);
+router.get('/series/:id', bookingController.getBookingSeries);
+router.patch('/series/:id/cancel', restrictTo('owner'), validate(schemas.cancelBookingSeries), bookingController.cancelBookingSeries);
+
 router.get('/:id', bookingController.getBooking);
 
 // Status management
+router.get('/:id/cancellation-quote', bookingController.getCancellationQuote);
 router.patch('/:id/status', bookingController.updateBookingStatus);
 
+// Payments
+router.post('/:id/pay', restrictTo('owner'), validate(schemas.payment), paymentController.payBooking);
+
 // Sitter-only routes
 router.post('/:id/updates', restrictTo('sitter'), bookingController.addBookingUpdate);
 router.post('/:id/checkin', restrictTo('sitter'), bookingController.checkInOut);
 router.post('/:id/checkout', restrictTo('sitter'), bookingController.checkInOut);
 
+// Reviews
+router.post('/:id/review', restrictTo('owner'), validate(schemas.review), reviewController.createReview);
+router.post('/:id/review/reply', restrictTo('sitter'), validate(schemas.reviewReply), reviewController.replyToReview);
+
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const eventController = require('../controllers/eventController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', eventController.streamEvents);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const favoriteController = require('../controllers/favoriteController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Only pet owners can save services
+router.use(restrictTo('owner'));
+
+router.get('/', favoriteController.getFavorites);
+
+router
+  .route('/:serviceId')
+  .post(favoriteController.addFavorite)
+  .delete(favoriteController.removeFavorite);
+
+module.exports = router;
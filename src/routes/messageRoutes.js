@@ -0,0 +1,26 @@
+const express = require('express');
+const messageController = require('../controllers/messageController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate, schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router
+  .route('/')
+  .get(messageController.getConversations)
+  .post(validate(schemas.conversation), messageController.startConversation);
+
+router.get('/unread', messageController.getUnreadCount);
+
+// Participants only
+router.get('/:id', messageController.getConversation);
+router
+  .route('/:id/messages')
+  .get(messageController.getMessages)
+  .post(validate(schemas.message), messageController.sendMessage);
+router.patch('/:id/read', messageController.markConversationRead);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate, schemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', notificationController.getNotifications);
+router.patch('/read-all', notificationController.markAllNotificationsRead);
+
+router
+  .route('/preferences')
+  .get(notificationController.getPreferences)
+  .put(validate(schemas.notificationPreferences), notificationController.updatePreferences);
+
+router.patch('/:id/read', notificationController.markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Provider callbacks are authenticated by their signature, not a JWT
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
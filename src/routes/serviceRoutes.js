@@ -1,5 +1,6 @@
 const express = require('express');
 const serviceController = require('../controllers/serviceController');
+const reviewController = require('../controllers/reviewController');
 const { protect, restrictTo, optionalAuth } = require('../middleware/authMiddleware');
 const { validate, schemas } = require('../utils/validation');
 
@@ -7,8 +8,10 @@ const router = express.Router();
 
 // Public routes
 router.get('/', optionalAuth, serviceController.getServices);
-router.get('/search', serviceController.searchServices);
+router.get('/search', optionalAuth, serviceController.searchServices);
 router.get('/:id', serviceController.getService);
+router.get('/:id/slots', serviceController.getServiceSlots);
+router.get('/:id/reviews', reviewController.getServiceReviews);
 
 // Protected routes (require authentication)
 router.use(protect);
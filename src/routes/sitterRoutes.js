@@ -0,0 +1,9 @@
+const express = require('express');
+const sitterController = require('../controllers/sitterController');
+
+const router = express.Router();
+
+// Public routes
+router.get('/:id', sitterController.getSitter);
+
+module.exports = router;
@@ -7,6 +7,10 @@ dotenv.config();
 const app = require('./app');
 const connectDB = require('./config/database');
 const logger = require('./config/logger');
+const { createScheduler } = require('./utils/scheduler');
+const { BOOKING_JOBS } = require('./utils/bookingJobs');
+const Service = require('./models/Service');
+const { getWebhookSecret } = require('./utils/paymentProvider');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -18,9 +22,32 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
+// Access tokens are short-lived now; the old lifetime setting does nothing
+if (process.env.JWT_EXPIRES_IN) {
+  logger.warn('JWT_EXPIRES_IN is no longer used. Set JWT_ACCESS_EXPIRES_IN (default 15m) and REFRESH_TOKEN_EXPIRES_DAYS instead.');
+}
+
+// Webhooks cannot be verified without a signing secret; only the fake
+// provider outside production falls back to a generated one
+if (!getWebhookSecret()) {
+  logger.error('PAYMENT_WEBHOOK_SECRET is not set. It is required in production and for real payment providers.');
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
+// Services saved before radius search need their GeoJSON point
+Service.backfillGeoPoints()
+  .then(({ modifiedCount }) => {
+    if (modifiedCount > 0) {
+      logger.info(`📍 Added map points to ${modifiedCount} service(s)`);
+    }
+  })
+  .catch((err) => {
+    logger.error(`Could not backfill service map points: ${err.message}`);
+  });
+
 const PORT = process.env.PORT || 3000;
 
 const server = app.listen(PORT, () => {
@@ -29,6 +56,15 @@ const server = app.listen(PORT, () => {
   logger.info(`📖 API Documentation available at http://localhost:${PORT}/api-docs`);
 });
 
+// Background booking jobs (reminders, auto-declines, overdue check-outs)
+const scheduler = createScheduler(BOOKING_JOBS);
+
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  scheduler.start().catch((err) => {
+    logger.error(`Scheduler failed to start: ${err.message}`);
+  });
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('UNHANDLED REJECTION! 💥 Shutting down...', {
@@ -44,6 +80,7 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+  scheduler.stop();
   server.close(() => {
     console.log('💥 Process terminated!');
   });
@@ -0,0 +1,203 @@
+// Checks bookings against a service's weekly availability windows.
+// Dates are interpreted in the server's local time zone, the same way
+// Service.isAvailable resolves the day of the week.
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const getDayName = (date) => DAYS[date.getDay()];
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+
+const formatWindows = (windows) => windows.map(w => `${w.startTime}-${w.endTime}`).join(', ');
+
+const getWindows = (service, date) => {
+  const day = getDayName(date);
+  return service.availability.filter(window => window.day === day);
+};
+
+// Split a booking into the part that falls on each calendar day it covers
+const splitIntoDays = (startDate, endDate) => {
+  let lastDay = startOfDay(endDate);
+  let endMinutes = minutesOfDay(endDate);
+
+  // A booking ending at midnight ends on the previous day
+  if (endMinutes === 0 && endDate > startDate) {
+    lastDay = addDays(lastDay, -1);
+    endMinutes = MINUTES_PER_DAY;
+  }
+
+  const segments = [];
+  const firstDay = startOfDay(startDate);
+
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    segments.push({
+      date: day,
+      from: day.getTime() === firstDay.getTime() ? minutesOfDay(startDate) : 0,
+      to: day.getTime() === lastDay.getTime() ? endMinutes : MINUTES_PER_DAY
+    });
+  }
+
+  return segments;
+};
+
+const notWorking = (date) => ({
+  available: false,
+  date,
+  message: `The sitter does not work on ${formatDate(date)}`
+});
+
+const outsideHours = (date, windows, what = 'The requested time') => ({
+  available: false,
+  date,
+  message: `${what} on ${formatDate(date)} is outside the sitter's hours (${formatWindows(windows)})`
+});
+
+// Same-day booking: the whole range must fit inside one window
+const checkSingleDay = (service, segment) => {
+  const windows = getWindows(service, segment.date);
+  if (windows.length === 0) return notWorking(segment.date);
+
+  const fits = windows.some(w => segment.from >= toMinutes(w.startTime) && segment.to <= toMinutes(w.endTime));
+  return fits ? { available: true } : outsideHours(segment.date, windows);
+};
+
+// Drop-off and pick-up of a boarding booking must each land inside a window
+const checkStart = (service, segment, what) => {
+  const windows = getWindows(service, segment.date);
+  if (windows.length === 0) return notWorking(segment.date);
+
+  const fits = windows.some(w => segment.from >= toMinutes(w.startTime) && segment.from < toMinutes(w.endTime));
+  return fits ? { available: true } : outsideHours(segment.date, windows, what);
+};
+
+const checkEnd = (service, segment, what) => {
+  const windows = getWindows(service, segment.date);
+  if (windows.length === 0) return notWorking(segment.date);
+
+  const fits = windows.some(w => segment.to > toMinutes(w.startTime) && segment.to <= toMinutes(w.endTime));
+  return fits ? { available: true } : outsideHours(segment.date, windows, what);
+};
+
+// A window ending at 23:59 runs to midnight, so windows can cover whole days
+const windowEnd = (window) => {
+  const end = toMinutes(window.endTime);
+  return end === MINUTES_PER_DAY - 1 ? MINUTES_PER_DAY : end;
+};
+
+// Every minute of a day's part of a multi-day booking must be working hours;
+// back-to-back windows count as one
+const checkWholeSegment = (service, segment) => {
+  const windows = getWindows(service, segment.date);
+  if (windows.length === 0) return notWorking(segment.date);
+
+  const covered = [...windows]
+    .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime))
+    .reduce((reached, w) => (
+      toMinutes(w.startTime) <= reached ? Math.max(reached, windowEnd(w)) : reached
+    ), segment.from);
+
+  return covered >= segment.to ? { available: true } : outsideHours(segment.date, windows, 'The booking');
+};
+
+// Check a booking range against the service's availability:
+// - same-day bookings must fit within one of that day's windows
+// - multi-day bookings must be within working hours on every day they cover,
+//   overnight included (e.g. a sitter available 0:00-23:59)
+// - multi-day boarding only needs drop-off and pick-up within working hours,
+//   since the pet stays with the sitter on the days in between
+// Services without any availability windows accept any time.
+// Returns { available } plus the offending date and a message when unavailable.
+const checkAvailability = (service, startDate, endDate) => {
+  if (!service.availability || service.availability.length === 0) {
+    return { available: true };
+  }
+
+  const segments = splitIntoDays(startDate, endDate);
+
+  if (segments.length === 1) {
+    return checkSingleDay(service, segments[0]);
+  }
+
+  if (service.serviceType !== 'boarding') {
+    for (const segment of segments) {
+      const check = checkWholeSegment(service, segment);
+      if (!check.available) return check;
+    }
+    return { available: true };
+  }
+
+  const startCheck = checkStart(service, segments[0], 'Drop-off');
+  if (!startCheck.available) return startCheck;
+
+  return checkEnd(service, segments[segments.length - 1], 'Pick-up');
+};
+
+const DEFAULT_SLOT_MINUTES = 60;
+
+// Bookings created before multi-pet support only have `pet`
+const countPets = (booking) => (booking.pets && booking.pets.length > 0 ? booking.pets.length : 1);
+
+// Highest number of pets booked at the same time anywhere within start-end
+const getPeakPets = (bookings, start, end) => {
+  const overlapping = bookings.filter(b => b.startDate < end && b.endDate > start);
+
+  // Concurrency can only increase where a booking starts
+  const points = [start, ...overlapping.map(b => b.startDate).filter(d => d > start)];
+
+  return points.reduce((peak, point) => {
+    const concurrent = overlapping
+      .filter(b => b.startDate <= point && b.endDate > point)
+      .reduce((sum, b) => sum + countPets(b), 0);
+    return Math.max(peak, concurrent);
+  }, 0);
+};
+
+// Free slots between from and to, built from the service's availability
+// windows and duration, with the capacity left after existing bookings
+const getFreeSlots = (service, bookings, from, to, now = new Date()) => {
+  const slotMinutes = service.duration || DEFAULT_SLOT_MINUTES;
+  const capacity = service.maxPets || 1;
+  const slots = [];
+
+  for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+    getWindows(service, day).forEach(window => {
+      const windowEnd = toMinutes(window.endTime);
+
+      for (let minute = toMinutes(window.startTime); minute + slotMinutes <= windowEnd; minute += slotMinutes) {
+        const startDate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute);
+        const endDate = new Date(startDate.getTime() + slotMinutes * 60 * 1000);
+
+        if (startDate < from || endDate > to || startDate <= now) continue;
+
+        const remaining = capacity - getPeakPets(bookings, startDate, endDate);
+        if (remaining > 0) {
+          slots.push({ startDate, endDate, remaining });
+        }
+      }
+    });
+  }
+
+  return slots.sort((a, b) => a.startDate - b.startDate);
+};
+
+module.exports = {
+  DAYS,
+  toMinutes,
+  getDayName,
+  splitIntoDays,
+  checkAvailability,
+  getPeakPets,
+  getFreeSlots
+};
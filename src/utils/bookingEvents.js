@@ -0,0 +1,72 @@
+const { EventEmitter } = require('events');
+const logger = require('../config/logger');
+
+// In-process pub/sub for booking activity. Each event goes to the booking's
+// owner and sitter; the SSE endpoint relays it to their open connections.
+// Running several server instances would need a shared broker instead.
+
+const BOOKING_EVENTS = {
+  CREATED: 'booking.created',
+  STATUS: 'booking.status',
+  CHECK_IN: 'booking.checkin',
+  CHECK_OUT: 'booking.checkout',
+  UPDATE: 'booking.update'
+};
+
+const emitter = new EventEmitter();
+// One listener per open connection
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+// Works for both populated and unpopulated references
+const idOf = (ref) => String(ref && ref._id ? ref._id : ref);
+
+const channelFor = (userId) => `user:${userId}`;
+
+// Listen for events addressed to a user. Returns an unsubscribe function.
+const subscribe = (userId, listener) => {
+  const channel = channelFor(String(userId));
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+const getSubscriberCount = (userId) => emitter.listenerCount(channelFor(String(userId)));
+
+// Tell the booking's participants something happened. Never throws, so a
+// broken connection can't fail the request that triggered the event.
+const publishBookingEvent = (type, booking, data = {}) => {
+  const event = {
+    id: ++lastEventId,
+    type,
+    booking: {
+      _id: idOf(booking._id),
+      status: booking.status,
+      startDate: booking.startDate,
+      endDate: booking.endDate
+    },
+    data,
+    at: new Date().toISOString()
+  };
+
+  [booking.owner, booking.sitter].filter(Boolean).forEach(participant => {
+    try {
+      emitter.emit(channelFor(idOf(participant)), event);
+    } catch (error) {
+      logger.error(`Failed to deliver ${type} for booking ${event.booking._id}: ${error.message}`);
+    }
+  });
+
+  return event;
+};
+
+// Server-Sent Events wire format
+const formatSseEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+module.exports = {
+  BOOKING_EVENTS,
+  subscribe,
+  getSubscriberCount,
+  publishBookingEvent,
+  formatSseEvent
+};
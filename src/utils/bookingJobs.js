@@ -0,0 +1,163 @@
+const Booking = require('../models/Booking');
+const logger = require('../config/logger');
+const { refundBooking } = require('./paymentService');
+const { BOOKING_EVENTS, publishBookingEvent } = require('./bookingEvents');
+const { notifyBooking } = require('./notifier');
+const { queueMail } = require('./mailer');
+
+// Recurring booking maintenance, run by the scheduler (see utils/scheduler).
+// Each booking is claimed with a conditional update before anyone is told,
+// so a job that runs twice never reminds or declines the same booking twice.
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// Ordered from the earliest reminder to the last
+const REMINDERS = [
+  { key: 'dayBefore', hours: 24 },
+  { key: 'hourBefore', hours: 1 }
+];
+
+const BOOKING_POPULATE = [
+  { path: 'owner', select: 'name email' },
+  { path: 'sitter', select: 'name email' },
+  { path: 'service', select: 'title' }
+];
+
+// Pending requests are declined once they have waited this long
+const getResponseWindow = () => (parseInt(process.env.BOOKING_RESPONSE_HOURS) || 48) * HOUR;
+
+// Bookings are flagged once their end is this far behind without a check-out
+const getOverdueGrace = () => (parseInt(process.env.BOOKING_OVERDUE_GRACE_MINUTES) || 60) * MINUTE;
+
+// How long until `startDate`, in whole hours or, under an hour, minutes
+const formatStartsIn = (startDate, now) => {
+  const remaining = new Date(startDate).getTime() - now.getTime();
+  const [count, unit] = remaining >= HOUR
+    ? [Math.round(remaining / HOUR), 'hour']
+    : [Math.max(1, Math.round(remaining / MINUTE)), 'minute'];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+// Set `update` on a booking only while it still matches `guard`
+const claimBooking = async (booking, guard, update) => {
+  const { modifiedCount } = await Booking.updateOne({ _id: booking._id, ...guard }, update);
+  return modifiedCount === 1;
+};
+
+// Remind both sides of confirmed bookings 24 hours and 1 hour before the start.
+// A booking made less than a day ahead only gets the reminders still to come,
+// which say how far off the start actually is.
+const sendBookingReminders = async (now = new Date()) => {
+  const result = {};
+
+  for (const [index, reminder] of REMINDERS.entries()) {
+    const next = REMINDERS[index + 1];
+    const field = `reminders.${reminder.key}SentAt`;
+    const bookings = await Booking.find({
+      status: 'confirmed',
+      startDate: {
+        $gt: new Date(now.getTime() + (next ? next.hours * HOUR : 0)),
+        $lte: new Date(now.getTime() + reminder.hours * HOUR)
+      },
+      [field]: null
+    }).populate(BOOKING_POPULATE);
+
+    let sent = 0;
+    for (const booking of bookings) {
+      if (!(await claimBooking(booking, { [field]: null }, { [field]: now }))) continue;
+
+      const startsIn = formatStartsIn(booking.startDate, now);
+      for (const recipient of [booking.owner, booking.sitter]) {
+        await notifyBooking(recipient, 'booking_reminder', booking, `Starts in ${startsIn}`);
+        queueMail(recipient, 'booking_reminder', { booking, startsIn });
+      }
+      sent += 1;
+    }
+
+    result[reminder.key] = sent;
+  }
+
+  return result;
+};
+
+// Decline pending requests the sitter hasn't answered within the response
+// window or whose start has passed, refunding any payment
+const declineIgnoredBookings = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: 'pending',
+    $or: [
+      { createdAt: { $lte: new Date(now.getTime() - getResponseWindow()) } },
+      { startDate: { $lte: now } }
+    ]
+  }).populate(BOOKING_POPULATE);
+
+  let declined = 0;
+  for (const booking of bookings) {
+    if (!(await claimBooking(booking, { status: 'pending' }, { status: 'declined', autoDeclinedAt: now }))) continue;
+
+    booking.status = 'declined';
+    booking.autoDeclinedAt = now;
+    declined += 1;
+
+    try {
+      await refundBooking(booking, booking.totalPrice);
+    } catch (refundError) {
+      logger.error(`Refund failed for booking ${booking._id}: ${refundError.message}`);
+    }
+
+    publishBookingEvent(BOOKING_EVENTS.STATUS, booking, { changedBy: 'system' });
+    await notifyBooking(booking.owner, 'booking_declined', booking, 'The sitter did not respond in time');
+    await notifyBooking(booking.sitter, 'booking_declined', booking, 'Declined automatically after no response');
+    queueMail(booking.owner, 'booking_declined', { booking });
+  }
+
+  if (declined > 0) {
+    logger.info(`Auto-declined ${declined} unanswered booking request(s)`);
+  }
+
+  return { declined };
+};
+
+// Flag bookings whose end has passed without a check-out, so the sitter is
+// chased and admins can follow up
+const flagOverdueBookings = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: { $in: ['confirmed', 'in_progress'] },
+    endDate: { $lte: new Date(now.getTime() - getOverdueGrace()) },
+    'checkOut.time': null,
+    overdueAt: null
+  }).populate(BOOKING_POPULATE);
+
+  let flagged = 0;
+  for (const booking of bookings) {
+    if (!(await claimBooking(booking, { overdueAt: null }, { overdueAt: now }))) continue;
+
+    booking.overdueAt = now;
+    flagged += 1;
+
+    await notifyBooking(booking.sitter, 'booking_overdue', booking, 'Please check out or update the booking');
+    await notifyBooking(booking.owner, 'booking_overdue', booking, 'The sitter has not checked out yet');
+  }
+
+  if (flagged > 0) {
+    logger.warn(`Flagged ${flagged} booking(s) past their end without a check-out`);
+  }
+
+  return { flagged };
+};
+
+// Jobs for the scheduler; intervals are how often each one runs
+const BOOKING_JOBS = [
+  { name: 'booking-reminders', interval: 5 * MINUTE, run: sendBookingReminders },
+  { name: 'decline-ignored-bookings', interval: 15 * MINUTE, run: declineIgnoredBookings },
+  { name: 'flag-overdue-bookings', interval: 15 * MINUTE, run: flagOverdueBookings }
+];
+
+module.exports = {
+  REMINDERS,
+  BOOKING_JOBS,
+  sendBookingReminders,
+  declineIgnoredBookings,
+  flagOverdueBookings
+};
@@ -0,0 +1,57 @@
+// Refund rules for each Service.cancellationPolicy.
+// cutoffHours: bookings can no longer be cancelled closer than this to the start.
+// tiers: refund percentage when cancelling more than `hoursBefore` hours ahead,
+// checked in order; anything later gets no refund.
+const CANCELLATION_POLICIES = {
+  flexible: {
+    cutoffHours: 0,
+    tiers: [
+      { hoursBefore: 24, refundPercent: 100 },
+      { hoursBefore: 0, refundPercent: 50 }
+    ]
+  },
+  moderate: {
+    cutoffHours: 24,
+    tiers: [
+      { hoursBefore: 48, refundPercent: 100 },
+      { hoursBefore: 24, refundPercent: 50 }
+    ]
+  },
+  strict: {
+    cutoffHours: 48,
+    tiers: [
+      { hoursBefore: 168, refundPercent: 100 },
+      { hoursBefore: 72, refundPercent: 50 }
+    ]
+  }
+};
+
+const DEFAULT_POLICY = 'moderate';
+
+// Copy of a policy to store on a booking, so later policy changes don't affect it
+const getPolicySnapshot = (name = DEFAULT_POLICY) => {
+  const policyName = CANCELLATION_POLICIES[name] ? name : DEFAULT_POLICY;
+  const policy = CANCELLATION_POLICIES[policyName];
+
+  return {
+    name: policyName,
+    cutoffHours: policy.cutoffHours,
+    tiers: policy.tiers.map(tier => ({ ...tier }))
+  };
+};
+
+const getRefundPercent = (policy, hoursUntilStart) => {
+  const tier = policy.tiers.find(t => hoursUntilStart > t.hoursBefore);
+  return tier ? tier.refundPercent : 0;
+};
+
+const canCancel = (policy, hoursUntilStart) => {
+  return hoursUntilStart > policy.cutoffHours;
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  getPolicySnapshot,
+  getRefundPercent,
+  canCancel
+};
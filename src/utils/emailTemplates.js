@@ -0,0 +1,150 @@
+// Email templates. Each template turns its data into a subject, paragraphs
+// and an optional call-to-action link; renderTemplate() wraps them in the
+// shared greeting and sign-off and produces both text and HTML bodies.
+// Booking templates expect the booking's owner, sitter and service populated.
+
+const formatDate = (date) => new Date(date).toDateString();
+
+// "Dog Walking on Mon Jun 02 2031"
+const describeBooking = (booking) => {
+  const title = booking.service && booking.service.title;
+  return `${title || 'Your booking'} on ${formatDate(booking.startDate)}`;
+};
+
+const TEMPLATES = {
+  email_verification: ({ verifyURL }) => ({
+    subject: 'Please verify your email address',
+    paragraphs: [
+      'Welcome to the Pet Care Platform! Please confirm your email address by visiting:',
+      "If you didn't create an account, please ignore this email."
+    ],
+    link: verifyURL
+  }),
+
+  password_reset: ({ resetURL }) => ({
+    subject: 'Your password reset token (valid for a limited time)',
+    paragraphs: [
+      'Forgot your password? Submit a PATCH request with your new password to:',
+      "If you didn't request this, please ignore this email."
+    ],
+    link: resetURL
+  }),
+
+  password_changed: () => ({
+    subject: 'Your password was changed',
+    paragraphs: [
+      'The password for your Pet Care Platform account was just changed and you have been signed out of your other devices.',
+      "If you didn't do this, reset your password straight away and contact support."
+    ]
+  }),
+
+  booking_requested: ({ booking }) => ({
+    subject: `New booking request: ${describeBooking(booking)}`,
+    paragraphs: [
+      `${booking.owner.name} would like to book ${describeBooking(booking)}.`,
+      booking.status === 'confirmed'
+        ? 'The booking was confirmed automatically because instant booking is on.'
+        : 'Please confirm or decline the request from your dashboard.'
+    ]
+  }),
+
+  booking_confirmed: ({ booking }) => ({
+    subject: `Booking confirmed: ${describeBooking(booking)}`,
+    paragraphs: [
+      `${booking.sitter.name} confirmed ${describeBooking(booking)}.`,
+      `Total: $${Number(booking.totalPrice).toFixed(2)}`
+    ]
+  }),
+
+  booking_declined: ({ booking, notes }) => ({
+    subject: `Booking declined: ${describeBooking(booking)}`,
+    paragraphs: [
+      booking.autoDeclinedAt
+        ? `${describeBooking(booking)} was declined automatically because ${booking.sitter.name} did not respond in time.`
+        : `${booking.sitter.name} declined ${describeBooking(booking)}.`,
+      notes && `Their note: ${notes}`,
+      'Any payment for this booking will be refunded in full.'
+    ]
+  }),
+
+  booking_reminder: ({ booking, startsIn }) => ({
+    subject: `Reminder: ${describeBooking(booking)}`,
+    paragraphs: [
+      `${describeBooking(booking)} starts in ${startsIn}${booking.startTime ? `, at ${booking.startTime}` : ''}.`,
+      `Owner: ${booking.owner.name}. Sitter: ${booking.sitter.name}.`
+    ]
+  }),
+
+  booking_series_requested: ({ ownerName, service, schedule, bookings, failures = [] }) => ({
+    subject: `New recurring booking request: ${service.title}`,
+    paragraphs: [
+      `${ownerName} would like to book ${service.title}: ${schedule}.`,
+      `${bookings.length} date${bookings.length !== 1 ? 's were' : ' was'} booked, starting ${formatDate(bookings[0].startDate)}.`,
+      failures.length > 0 && `${failures.length} date${failures.length !== 1 ? 's' : ''} could not be booked.`,
+      bookings[0].status === 'confirmed'
+        ? 'The bookings were confirmed automatically because instant booking is on.'
+        : 'Please confirm or decline each date from your dashboard.'
+    ]
+  }),
+
+  booking_series_cancelled: ({ ownerName, service, bookings, notes }) => ({
+    subject: `Recurring booking cancelled: ${service.title}`,
+    paragraphs: [
+      `${ownerName} cancelled ${bookings.length} upcoming ${service.title} booking${bookings.length !== 1 ? 's' : ''}, from ${formatDate(bookings[0].startDate)} to ${formatDate(bookings[bookings.length - 1].startDate)}.`,
+      notes && `Reason: ${notes}`
+    ]
+  }),
+
+  booking_cancelled: ({ booking, cancelledBy, notes }) => ({
+    subject: `Booking cancelled: ${describeBooking(booking)}`,
+    paragraphs: [
+      `${describeBooking(booking)} was cancelled by ${cancelledBy}.`,
+      notes && `Reason: ${notes}`,
+      booking.cancellation && booking.cancellation.refundAmount > 0 &&
+        `A refund of $${Number(booking.cancellation.refundAmount).toFixed(2)} will be issued to the owner.`
+    ]
+  })
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Render a template for a recipient: { subject, text, html }
+const renderTemplate = (name, { recipientName, ...data } = {}) => {
+  const template = TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const { subject, paragraphs, link } = template(data);
+  const lines = paragraphs.filter(Boolean);
+  const greeting = `Hi ${recipientName || 'there'},`;
+  const signOff = 'The Pet Care Platform team';
+
+  // The link follows the first paragraph, which introduces it
+  const textParts = [greeting, ...lines, signOff];
+  const htmlParts = [greeting, ...lines, signOff].map(line => `<p>${escapeHtml(line)}</p>`);
+
+  if (link) {
+    textParts[1] = `${textParts[1]}\n${link}`;
+    htmlParts.splice(2, 0, `<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`);
+  }
+
+  return {
+    subject,
+    text: textParts.join('\n\n'),
+    html: htmlParts.join('\n')
+  };
+};
+
+module.exports = {
+  TEMPLATE_NAMES,
+  renderTemplate
+};
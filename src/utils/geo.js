@@ -0,0 +1,107 @@
+// Geospatial helpers. Distances are in miles; GeoJSON points are stored as
+// [lng, lat] in Service.location.point.
+const EARTH_RADIUS_MILES = 3958.8;
+const METERS_PER_MILE = 1609.344;
+
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidCoordinates = (lat, lng) => {
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+};
+
+// GeoJSON point for { lat, lng }, or undefined when incomplete
+const toGeoPoint = (coordinates) => {
+  if (!coordinates || !isValidCoordinates(coordinates.lat, coordinates.lng)) {
+    return undefined;
+  }
+  return { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] };
+};
+
+const LAT_PATH = 'location.coordinates.lat';
+const LNG_PATH = 'location.coordinates.lng';
+
+// Value an update gives a path, whether set directly or through $set
+const readUpdatePath = (update, path) => {
+  const set = update.$set || {};
+  return path in set ? set[path] : update[path];
+};
+
+// Whether an update sets only one of lat/lng, so the stored other half is
+// needed to work out the new point
+const updatesOneCoordinate = (update) => {
+  const lat = readUpdatePath(update, LAT_PATH);
+  const lng = readUpdatePath(update, LNG_PATH);
+  return (lat === undefined) !== (lng === undefined);
+};
+
+// Keep location.point in step with an update that changes a service's
+// coordinates, given as a whole location, as location.coordinates or as
+// location.coordinates.lat/lng. `current` fills in a half that isn't updated.
+const syncGeoPointUpdate = (update, current = {}) => {
+  const location = readUpdatePath(update, 'location');
+  if (location) {
+    location.point = toGeoPoint(location.coordinates);
+    return update;
+  }
+
+  let coordinates = readUpdatePath(update, 'location.coordinates');
+  if (coordinates === undefined) {
+    const lat = readUpdatePath(update, LAT_PATH);
+    const lng = readUpdatePath(update, LNG_PATH);
+    if (lat === undefined && lng === undefined) return update;
+
+    coordinates = {
+      lat: lat === undefined ? current.lat : lat,
+      lng: lng === undefined ? current.lng : lng
+    };
+  }
+
+  const point = toGeoPoint(coordinates);
+  if (point) {
+    update.$set = { ...update.$set, 'location.point': point };
+  } else {
+    update.$unset = { ...update.$unset, 'location.point': 1 };
+  }
+  return update;
+};
+
+// Great-circle distance between two { lat, lng } pairs, in miles
+const distanceInMiles = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+// Points within radius miles, in any order (usable with $text and counts)
+const buildWithinFilter = ({ lat, lng }, radius) => ({
+  $geoWithin: {
+    $centerSphere: [[lng, lat], radius / EARTH_RADIUS_MILES]
+  }
+});
+
+// Points within radius miles, nearest first
+const buildNearFilter = ({ lat, lng }, radius) => ({
+  $nearSphere: {
+    $geometry: { type: 'Point', coordinates: [lng, lat] },
+    $maxDistance: radius * METERS_PER_MILE
+  }
+});
+
+module.exports = {
+  DEFAULT_RADIUS_MILES,
+  MAX_RADIUS_MILES,
+  isValidCoordinates,
+  toGeoPoint,
+  updatesOneCoordinate,
+  syncGeoPointUpdate,
+  distanceInMiles,
+  buildWithinFilter,
+  buildNearFilter
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { isValidCoordinates } = require('./geo');
+
+// Geocoders share a small interface:
+//   geocode({ address, city, state, zipCode }) -> { lat, lng, precision } | null
+// A null result means the address could not be resolved; geocoders may set
+// `reason` on the returned object instead to explain why.
+
+const DEFAULT_ZIP_DATA_FILE = path.join(__dirname, '../data/zipCentroids.csv');
+
+// "78701-1234" and " 78701 " both become "78701"
+const normalizeZip = (zipCode) => {
+  const match = /^\s*(\d{5})(?:-\d{4})?\s*$/.exec(zipCode || '');
+  return match ? match[1] : null;
+};
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+  colorado: 'CO', connecticut: 'CT', delaware: 'DE', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA',
+  kansas: 'KS', kentucky: 'KY', louisiana: 'LA', maine: 'ME', maryland: 'MD',
+  massachusetts: 'MA', michigan: 'MI', minnesota: 'MN', mississippi: 'MS', missouri: 'MO',
+  montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
+  'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH',
+  oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC',
+  'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+  'district of columbia': 'DC', 'washington dc': 'DC', 'puerto rico': 'PR', guam: 'GU',
+  'virgin islands': 'VI', 'american samoa': 'AS', 'northern mariana islands': 'MP'
+};
+
+// "tx", " Texas " and "New  York" become "TX" and "NY"; unknown names are
+// returned upper-cased so they still fail the comparison with a clear message
+const normalizeState = (state) => {
+  const key = String(state || '').trim().toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ');
+  return STATE_CODES[key] || key.toUpperCase();
+};
+
+// Parse the bundled "zip,lat,lng,state" CSV into a Map keyed by zip
+const loadZipCentroids = (dataFile) => {
+  const centroids = new Map();
+  const lines = fs.readFileSync(dataFile, 'utf8').split('\n');
+
+  lines.slice(1).forEach(line => {
+    if (!line) return;
+    const [zip, lat, lng, state] = line.split(',');
+    centroids.set(zip, { lat: parseFloat(lat), lng: parseFloat(lng), state });
+  });
+
+  return centroids;
+};
+
+// Offline geocoder resolving addresses to the centroid of their zip code
+const createZipCentroidGeocoder = (dataFile = process.env.GEOCODER_ZIP_DATA_FILE || DEFAULT_ZIP_DATA_FILE) => {
+  let centroids = null;
+
+  return {
+    name: 'zip',
+
+    geocode: async ({ state, zipCode }) => {
+      if (!centroids) {
+        centroids = loadZipCentroids(dataFile);
+      }
+
+      const zip = normalizeZip(zipCode);
+      if (!zip) {
+        return { reason: `"${zipCode}" is not a valid 5-digit zip code` };
+      }
+
+      const centroid = centroids.get(zip);
+      if (!centroid) {
+        return { reason: `Zip code ${zip} was not found` };
+      }
+
+      if (state && centroid.state !== normalizeState(state)) {
+        return { reason: `Zip code ${zip} is in ${centroid.state}, not ${state}` };
+      }
+
+      return { lat: centroid.lat, lng: centroid.lng, precision: 'zip' };
+    }
+  };
+};
+
+const geocoderFactories = {
+  zip: createZipCentroidGeocoder
+};
+
+const createGeocoder = (name = process.env.GEOCODER || 'zip') => {
+  const factory = geocoderFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown geocoder: ${name}`);
+  }
+  return factory();
+};
+
+let geocoder = null;
+
+const getGeocoder = () => {
+  if (!geocoder) {
+    geocoder = createGeocoder();
+  }
+  return geocoder;
+};
+
+// Replace the active geocoder (e.g. with an online service or a test double)
+const setGeocoder = (newGeocoder) => {
+  geocoder = newGeocoder || null;
+};
+
+// Register an additional geocoder factory by name
+const registerGeocoder = (name, factory) => {
+  geocoderFactories[name] = factory;
+};
+
+// Resolve a service location to coordinates. Never throws: failures are
+// reported as { resolved: false, reason } so saving can go ahead.
+const geocodeLocation = async (location) => {
+  try {
+    const result = await getGeocoder().geocode(location);
+
+    if (!result || !isValidCoordinates(result.lat, result.lng)) {
+      return {
+        resolved: false,
+        reason: (result && result.reason) || 'Address could not be resolved'
+      };
+    }
+
+    return {
+      resolved: true,
+      coordinates: { lat: result.lat, lng: result.lng },
+      precision: result.precision
+    };
+  } catch (error) {
+    logger.error(`Geocoding failed: ${error.message}`);
+    return { resolved: false, reason: 'Geocoding is currently unavailable' };
+  }
+};
+
+module.exports = {
+  getGeocoder,
+  setGeocoder,
+  registerGeocoder,
+  createZipCentroidGeocoder,
+  normalizeZip,
+  normalizeState,
+  geocodeLocation
+};
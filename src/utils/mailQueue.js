@@ -0,0 +1,75 @@
+const logger = require('../config/logger');
+
+// In-process email queue. Messages are sent one at a time in the background;
+// a failed send is retried with exponential backoff (retryDelay, 2x, 4x...)
+// until maxAttempts, then dropped with an error in the log. Queued mail is
+// lost if the process exits, so nothing that must arrive should rely on it.
+const createMailQueue = ({ send, maxAttempts = 3, retryDelay = 1000 }) => {
+  const jobs = [];
+  let running = false;
+  let waitingRetries = 0;
+  let idleWaiters = [];
+
+  const isIdle = () => !running && jobs.length === 0 && waitingRetries === 0;
+
+  const settleIdle = () => {
+    if (!isIdle()) return;
+    idleWaiters.forEach(resolve => resolve());
+    idleWaiters = [];
+  };
+
+  const scheduleRetry = (job, error) => {
+    const delay = retryDelay * 2 ** (job.attempts - 1);
+    logger.warn(`Email "${job.message.subject}" to ${job.message.to} failed (attempt ${job.attempts} of ${maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+
+    waitingRetries += 1;
+    const timer = setTimeout(() => {
+      waitingRetries -= 1;
+      jobs.push(job);
+      run();
+    }, delay);
+
+    // Don't hold the process open just to retry an email
+    if (timer.unref) timer.unref();
+  };
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    while (jobs.length > 0) {
+      const job = jobs.shift();
+      job.attempts += 1;
+
+      try {
+        await send(job.message);
+      } catch (error) {
+        if (job.attempts < maxAttempts) {
+          scheduleRetry(job, error);
+        } else {
+          logger.error(`Giving up on email "${job.message.subject}" to ${job.message.to} after ${job.attempts} attempts: ${error.message}`);
+        }
+      }
+    }
+
+    running = false;
+    settleIdle();
+  };
+
+  return {
+    enqueue: (message) => {
+      jobs.push({ message, attempts: 0 });
+      run();
+    },
+
+    // Messages waiting to be sent, including ones waiting to be retried
+    size: () => jobs.length + waitingRetries + (running ? 1 : 0),
+
+    // Resolves once every queued message has been sent or given up on
+    idle: () => (isIdle() ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve)))
+  };
+};
+
+module.exports = {
+  createMailQueue
+};
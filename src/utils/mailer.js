@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../config/logger');
+const { renderTemplate } = require('./emailTemplates');
+const { createMailQueue } = require('./mailQueue');
+
+// Console transport - logs the message instead of delivering it
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    logger.info(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  }
+};
+
+// File transport - writes each message as JSON into an outbox directory
+const createFileTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../tmp/outbox')) => ({
+  name: 'file',
+  outboxDir,
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filepath = path.join(outboxDir, filename);
+    await fs.writeFile(filepath, JSON.stringify(message, null, 2));
+
+    return { accepted: [message.to], path: filepath };
+  }
+});
+
+// SMTP transport - delivers through the server in EMAIL_HOST/EMAIL_PORT
+const createSmtpTransport = ({
+  host = process.env.EMAIL_HOST,
+  port = process.env.EMAIL_PORT,
+  user = process.env.EMAIL_USER,
+  pass = process.env.EMAIL_PASS
+} = {}) => {
+  if (!host) {
+    throw new Error('EMAIL_HOST must be set to use the smtp mail transport');
+  }
+
+  const smtpPort = parseInt(port) || 587;
+  const client = nodemailer.createTransport({
+    host,
+    port: smtpPort,
+    // Port 465 is implicit TLS; other ports upgrade with STARTTLS
+    secure: smtpPort === 465,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await client.sendMail(message);
+      return { accepted: info.accepted, messageId: info.messageId };
+    }
+  };
+};
+
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+  if (name === 'file') {
+    return createFileTransport();
+  }
+  if (name === 'smtp') {
+    return createSmtpTransport();
+  }
+  return consoleTransport;
+};
+
+let transport = createTransport();
+
+// Replace the active transport (e.g. with a custom provider or a test double)
+const setTransport = (newTransport) => {
+  transport = newTransport || createTransport();
+};
+
+const getTransport = () => transport;
+
+// Send an email through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to || !subject) {
+    throw new Error('Email must have a recipient and a subject');
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'Pet Care Platform <no-reply@petcareplatform.com>',
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString()
+  };
+
+  return transport.send(message);
+};
+
+// Sends go through sendMail so they always use the active transport
+const queue = createMailQueue({
+  send: (message) => sendMail(message),
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 3,
+  retryDelay: parseInt(process.env.MAIL_RETRY_DELAY_MS) || 1000
+});
+
+// Render a template for a user ({ email, name }) and send it now
+const sendTemplate = async (recipient, template, data = {}) => sendMail({
+  to: recipient.email,
+  ...renderTemplate(template, { recipientName: recipient.name, ...data })
+});
+
+// Render a template for a user and send it in the background, with retries.
+// Returns false when the recipient has no email address to send to.
+const queueMail = (recipient, template, data = {}) => {
+  if (!recipient || !recipient.email) {
+    logger.warn(`Skipping ${template} email: recipient has no email address`);
+    return false;
+  }
+
+  queue.enqueue({
+    to: recipient.email,
+    ...renderTemplate(template, { recipientName: recipient.name, ...data })
+  });
+  return true;
+};
+
+// Resolves once every queued email has been sent or given up on
+const flushMailQueue = () => queue.idle();
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  queueMail,
+  flushMailQueue,
+  setTransport,
+  getTransport,
+  createFileTransport,
+  createSmtpTransport,
+  consoleTransport
+};
@@ -0,0 +1,46 @@
+// Kinds of in-app notification. Users can turn each one off in their
+// notificationPreferences; everything is on by default.
+const NOTIFICATION_TYPES = [
+  'booking_requested',
+  'booking_confirmed',
+  'booking_declined',
+  'booking_cancelled',
+  'booking_started',
+  'booking_completed',
+  'booking_update',
+  'booking_reminder',
+  'booking_overdue',
+  'review_received',
+  'review_reply',
+  'message_received'
+];
+
+const NOTIFICATION_TITLES = {
+  booking_requested: 'New booking request',
+  booking_confirmed: 'Booking confirmed',
+  booking_declined: 'Booking declined',
+  booking_cancelled: 'Booking cancelled',
+  booking_started: 'Your booking has started',
+  booking_completed: 'Booking completed',
+  booking_update: 'New update from your sitter',
+  booking_reminder: 'Upcoming booking',
+  booking_overdue: 'Check-out overdue',
+  review_received: 'You received a new review',
+  review_reply: 'The sitter replied to your review',
+  message_received: 'New message'
+};
+
+// Notification sent to the other side when a booking moves to a status
+const STATUS_NOTIFICATIONS = {
+  confirmed: 'booking_confirmed',
+  declined: 'booking_declined',
+  cancelled: 'booking_cancelled',
+  in_progress: 'booking_started',
+  completed: 'booking_completed'
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TITLES,
+  STATUS_NOTIFICATIONS
+};
@@ -0,0 +1,42 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { NOTIFICATION_TITLES } = require('./notificationTypes');
+
+// Works for both populated and unpopulated references
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Create an in-app notification unless the user turned this type off.
+// Never throws: a failed notification must not fail the action behind it.
+const notify = async (recipient, type, { message, booking, review, conversation } = {}) => {
+  try {
+    const user = idOf(recipient);
+    const optedOut = await User.exists({ _id: user, [`notificationPreferences.${type}`]: false });
+
+    if (optedOut) return null;
+
+    return await Notification.create({
+      user,
+      type,
+      title: NOTIFICATION_TITLES[type],
+      message,
+      booking: idOf(booking),
+      review: idOf(review),
+      conversation: idOf(conversation)
+    });
+  } catch (error) {
+    logger.error(`Failed to create ${type} notification: ${error.message}`);
+    return null;
+  }
+};
+
+// Notify one side of a booking, naming the booking by its start date
+const notifyBooking = (recipient, type, booking, detail) => notify(recipient, type, {
+  booking,
+  message: `Booking on ${new Date(booking.startDate).toDateString()}${detail ? `: ${detail}` : ''}`
+});
+
+module.exports = {
+  notify,
+  notifyBooking
+};
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const { queryError } = require('./queryBuilder');
+
+// Cursor pagination for listing endpoints. Cursors are opaque base64url
+// tokens holding the sort values of the first or last item on a page, so the
+// next page is found with a range query instead of skip + countDocuments.
+// Passing `page` switches back to numbered pages with totals.
+//
+// Listings whose order can't be expressed as a range (e.g. distance from
+// $nearSphere) use offset cursors instead.
+
+// Tag values that don't survive JSON on their own
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.$date) return new Date(value.$date);
+    if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  }
+  return value;
+};
+
+// "-price,_id" style signature, used to reject cursors from another sort
+const sortSignature = (sort) => Object.entries(sort)
+  .map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`)
+  .join(',');
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload && typeof payload === 'object') return payload;
+  } catch (error) {
+    // Fall through to the 400 below
+  }
+  throw queryError('cursor', 'Invalid cursor');
+};
+
+// Read a (possibly dotted) path from a document or plain object
+const getPath = (doc, path) => {
+  if (typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+// Condition matching values that come after `value` in the given direction.
+// Nulls sort first ascending and last descending, as in MongoDB.
+const afterValue = (direction, value) => {
+  if (direction > 0) {
+    return value === null ? { $ne: null } : { $gt: value };
+  }
+  return value === null ? null : { $not: { $gte: value } };
+};
+
+// Documents strictly after `values` in `sort` order
+const buildKeysetFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+
+  const clauses = fields.map((field, index) => {
+    const after = afterValue(sort[field], values[field]);
+    if (!after) return null;
+
+    const clause = {};
+    fields.slice(0, index).forEach(previous => {
+      clause[previous] = values[previous];
+    });
+    clause[field] = after;
+    return clause;
+  }).filter(Boolean);
+
+  return { $or: clauses };
+};
+
+const reverseSort = (sort) => Object.fromEntries(
+  Object.entries(sort).map(([field, direction]) => [field, -direction])
+);
+
+// Replace `cursor` (and `page`) in the request URL
+const buildLink = (url, cursor) => {
+  if (!url || !cursor) return null;
+
+  const link = new URL(url, 'http://localhost');
+  link.searchParams.delete('page');
+  link.searchParams.set('cursor', cursor);
+  return `${link.pathname}${link.search}`;
+};
+
+// Plan a page from buildListQuery() output. Returns the query pieces to run
+// plus page(docs, total), which trims the extra look-ahead document and
+// builds the pagination block.
+//
+// options.offset: use offset cursors (for orders that aren't range-queryable)
+// options.url: request URL used to build next/prev links
+const createPager = ({ sort, page, limit, skip, usePages, cursor }, { offset = false, url } = {}) => {
+  if (usePages) {
+    return {
+      usePages: true,
+      sort,
+      skip,
+      limit,
+      applyTo: (filter) => filter,
+      page: (docs, total) => ({
+        items: docs,
+        pagination: { page, limit, pages: Math.ceil(total / limit), total }
+      })
+    };
+  }
+
+  const links = (nextCursor, prevCursor) => ({
+    limit,
+    nextCursor,
+    prevCursor,
+    next: buildLink(url, nextCursor),
+    prev: buildLink(url, prevCursor)
+  });
+
+  if (offset) {
+    const payload = cursor ? decodeCursor(cursor) : { o: 0 };
+    const start = payload.o;
+
+    if (!Number.isInteger(start) || start < 0) {
+      throw queryError('cursor', 'Invalid cursor');
+    }
+
+    return {
+      usePages: false,
+      sort,
+      skip: start,
+      limit: limit + 1,
+      applyTo: (filter) => filter,
+      page: (docs) => {
+        const hasNext = docs.length > limit;
+        return {
+          items: docs.slice(0, limit),
+          pagination: links(
+            hasNext ? encodeCursor({ o: start + limit }) : null,
+            start > 0 ? encodeCursor({ o: Math.max(start - limit, 0) }) : null
+          )
+        };
+      }
+    };
+  }
+
+  // _id breaks ties so every document has a unique position
+  const fullSort = '_id' in sort
+    ? sort
+    : { ...sort, _id: Object.values(sort).pop() || 1 };
+  const signature = sortSignature(fullSort);
+
+  let payload = null;
+  if (cursor) {
+    payload = decodeCursor(cursor);
+
+    if (payload.s !== signature || !payload.v || !['next', 'prev'].includes(payload.d)) {
+      throw queryError('cursor', 'Invalid cursor: it does not match the current sort');
+    }
+  }
+
+  const backwards = Boolean(payload) && payload.d === 'prev';
+  const querySort = backwards ? reverseSort(fullSort) : fullSort;
+
+  const cursorFor = (doc, direction) => encodeCursor({
+    s: signature,
+    d: direction,
+    v: Object.fromEntries(Object.keys(fullSort).map(field => [field, encodeValue(getPath(doc, field))]))
+  });
+
+  return {
+    usePages: false,
+    sort: querySort,
+    skip: 0,
+    limit: limit + 1,
+    applyTo: (filter) => {
+      if (!payload) return filter;
+
+      const values = Object.fromEntries(
+        Object.entries(payload.v).map(([field, value]) => [field, decodeValue(value)])
+      );
+      // $and keeps operators like $text at the top level
+      return { ...filter, $and: [...(filter.$and || []), buildKeysetFilter(querySort, values)] };
+    },
+    page: (docs) => {
+      const hasMore = docs.length > limit;
+      const items = docs.slice(0, limit);
+      if (backwards) items.reverse();
+
+      if (items.length === 0) {
+        return { items, pagination: links(null, null) };
+      }
+
+      const first = items[0];
+      const last = items[items.length - 1];
+
+      return {
+        items,
+        pagination: links(
+          backwards || hasMore ? cursorFor(last, 'next') : null,
+          payload && (!backwards || hasMore) ? cursorFor(first, 'prev') : null
+        )
+      };
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter,
+  createPager
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// Payment providers share a small interface:
+//   createCharge({ amount, currency, source, metadata }) -> { id, status }
+//   refund({ chargeId, amount })                         -> { id, status }
+//   verifyWebhook(rawBody, signature)                    -> event
+// Amounts are in the smallest currency unit (cents). Charge results arrive
+// asynchronously as webhook events of type charge.succeeded / charge.failed.
+
+// Generated once per process when the fake provider runs without a secret
+let devWebhookSecret = null;
+
+// A real provider, or any production server, needs a configured secret: a
+// known fallback would let anyone sign webhook events
+const requiresWebhookSecret = () => process.env.NODE_ENV === 'production' ||
+  (process.env.PAYMENT_PROVIDER || 'fake') !== 'fake';
+
+const getWebhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  if (process.env.NODE_ENV === 'test') return 'test_webhook_secret';
+  if (requiresWebhookSecret()) return null;
+
+  if (!devWebhookSecret) {
+    devWebhookSecret = crypto.randomBytes(32).toString('hex');
+    logger.warn('PAYMENT_WEBHOOK_SECRET is not set; using a generated secret for the fake payment provider');
+  }
+  return devWebhookSecret;
+};
+
+// Sign a webhook payload the same way providers do
+const signPayload = (payload, secret = getWebhookSecret()) => {
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Without a secret no signature is valid, so webhooks are rejected
+const verifySignature = (payload, signature, secret = getWebhookSecret()) => {
+  if (!signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(payload, secret));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// In-process delivery of provider events (used by the local fake provider)
+let eventHandler = null;
+
+const onPaymentEvent = (handler) => {
+  eventHandler = handler;
+};
+
+const deliverEvent = (event) => {
+  if (!eventHandler) return;
+
+  setImmediate(() => {
+    Promise.resolve(eventHandler(event)).catch((error) => {
+      logger.error(`Failed to process payment event ${event.id}: ${error.message}`);
+    });
+  });
+};
+
+// Local fake provider - never talks to a network. Use source "tok_fail" to
+// simulate a declined card.
+const createFakeProvider = () => ({
+  name: 'fake',
+
+  createCharge: async ({ amount, currency, source, metadata = {} }) => {
+    const charge = {
+      id: `ch_fake_${crypto.randomBytes(8).toString('hex')}`,
+      amount,
+      currency,
+      status: 'pending',
+      metadata
+    };
+
+    const failed = source === 'tok_fail';
+
+    deliverEvent({
+      id: `evt_fake_${crypto.randomBytes(8).toString('hex')}`,
+      type: failed ? 'charge.failed' : 'charge.succeeded',
+      data: {
+        chargeId: charge.id,
+        amount,
+        currency,
+        metadata,
+        failureReason: failed ? 'Your card was declined' : undefined
+      }
+    });
+
+    return charge;
+  },
+
+  refund: async ({ chargeId, amount }) => ({
+    id: `re_fake_${crypto.randomBytes(8).toString('hex')}`,
+    chargeId,
+    amount,
+    status: 'succeeded'
+  }),
+
+  verifyWebhook: (rawBody, signature) => {
+    if (!verifySignature(rawBody, signature)) {
+      const error = new Error('Invalid webhook signature');
+      error.statusCode = 400;
+      throw error;
+    }
+    return JSON.parse(rawBody);
+  }
+});
+
+const providerFactories = {
+  fake: createFakeProvider
+};
+
+const createProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return factory();
+};
+
+let provider = null;
+
+const getPaymentProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+// Replace the active provider (e.g. with a real gateway or a test double)
+const setPaymentProvider = (newProvider) => {
+  provider = newProvider || null;
+};
+
+// Register an additional provider factory by name
+const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+module.exports = {
+  getWebhookSecret,
+  getPaymentProvider,
+  setPaymentProvider,
+  registerPaymentProvider,
+  createFakeProvider,
+  onPaymentEvent,
+  signPayload,
+  verifySignature
+};
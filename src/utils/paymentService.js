@@ -0,0 +1,178 @@
+const Booking = require('../models/Booking');
+const logger = require('../config/logger');
+const { getPaymentProvider, onPaymentEvent } = require('./paymentProvider');
+
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (amount) => amount / 100;
+
+// Start a charge for a booking; the result arrives later as a payment event.
+// The payment is claimed atomically before the charge is created, so that two
+// concurrent requests can't both charge the booking, and because its event may
+// arrive before createCharge resolves (see findEventBooking). Returns null when
+// another payment for the booking is already being processed.
+const chargeBooking = async (booking, { paymentMethod, source }) => {
+  const provider = getPaymentProvider();
+  const payment = { provider: provider.name };
+
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      $or: [
+        { paymentStatus: 'failed' },
+        { paymentStatus: 'pending', 'payment.provider': null, 'payment.chargeId': null }
+      ]
+    },
+    { $set: { paymentMethod, paymentStatus: 'pending', payment } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null;
+  }
+
+  booking.paymentMethod = paymentMethod;
+  booking.paymentStatus = 'pending';
+  booking.payment = payment;
+
+  let charge;
+  try {
+    charge = await provider.createCharge({
+      amount: toCents(booking.totalPrice),
+      currency: process.env.PAYMENT_CURRENCY || 'usd',
+      source,
+      metadata: {
+        bookingId: booking._id.toString()
+      }
+    });
+  } catch (error) {
+    // Release the claim so the owner can try again
+    await Booking.updateOne(
+      { _id: booking._id, paymentStatus: 'pending', 'payment.chargeId': null },
+      { $set: { paymentStatus: 'failed', 'payment.failureReason': error.message } }
+    );
+    throw error;
+  }
+
+  // Only set the id, so an event applied in the meantime isn't overwritten
+  await Booking.updateOne({ _id: booking._id }, { $set: { 'payment.chargeId': charge.id } });
+  booking.payment.chargeId = charge.id;
+
+  return charge;
+};
+
+// Find the booking an event is about. An event that beats chargeBooking to
+// storing the charge id is matched on the booking id in the charge metadata.
+const findEventBooking = async ({ chargeId, metadata = {} }) => {
+  const booking = await Booking.findOne({ 'payment.chargeId': chargeId });
+  if (booking || !metadata.bookingId) return booking;
+
+  const pendingBooking = await Booking.findOne({
+    _id: metadata.bookingId,
+    paymentStatus: 'pending',
+    'payment.chargeId': null
+  });
+
+  if (pendingBooking) {
+    pendingBooking.payment.chargeId = chargeId;
+  }
+
+  return pendingBooking;
+};
+
+// Refund a paid booking, by default the amount computed at cancellation
+const refundBooking = async (booking, amount = booking.cancellation && booking.cancellation.refundAmount) => {
+  if (booking.paymentStatus !== 'paid' || !booking.payment || !booking.payment.chargeId) {
+    return null;
+  }
+
+  if (!amount || amount <= 0) {
+    return null;
+  }
+
+  const refundAmount = Math.min(amount, booking.payment.amountPaid || booking.totalPrice);
+
+  const refund = await getPaymentProvider().refund({
+    chargeId: booking.payment.chargeId,
+    amount: toCents(refundAmount)
+  });
+
+  if (refund.status === 'succeeded') {
+    booking.paymentStatus = 'refunded';
+    booking.payment.refundId = refund.id;
+    booking.payment.amountRefunded = refundAmount;
+    booking.payment.refundedAt = new Date();
+    await booking.save();
+  } else {
+    logger.warn(`Refund ${refund.id} for booking ${booking._id} is ${refund.status}`);
+  }
+
+  return refund;
+};
+
+// Apply a provider event (webhook or in-process) to the matching booking
+const applyPaymentEvent = async (event) => {
+  const { chargeId } = event.data || {};
+
+  const booking = await findEventBooking(event.data || {});
+  if (!booking) {
+    logger.warn(`Payment event ${event.id} references unknown charge ${chargeId}`);
+    return null;
+  }
+
+  switch (event.type) {
+    case 'charge.succeeded':
+      // Events may be delivered more than once
+      if (booking.paymentStatus === 'paid' || booking.paymentStatus === 'refunded') {
+        return booking;
+      }
+
+      booking.paymentStatus = 'paid';
+      booking.payment.amountPaid = fromCents(event.data.amount);
+      booking.payment.paidAt = new Date();
+      booking.payment.failureReason = undefined;
+      await booking.save();
+
+      // The booking may have been cancelled or declined while the charge was processing
+      if (booking.status === 'cancelled') {
+        await refundBooking(booking);
+      } else if (booking.status === 'declined') {
+        await refundBooking(booking, booking.totalPrice);
+      }
+      break;
+
+    case 'charge.failed':
+      if (booking.paymentStatus !== 'pending') {
+        return booking;
+      }
+
+      booking.paymentStatus = 'failed';
+      booking.payment.failureReason = event.data.failureReason;
+      await booking.save();
+      break;
+
+    case 'refund.succeeded':
+      if (booking.paymentStatus === 'refunded') {
+        return booking;
+      }
+
+      booking.paymentStatus = 'refunded';
+      booking.payment.amountRefunded = fromCents(event.data.amount);
+      booking.payment.refundedAt = new Date();
+      await booking.save();
+      break;
+
+    default:
+      logger.debug(`Ignoring payment event type ${event.type}`);
+  }
+
+  return booking;
+};
+
+// Events from the local fake provider are delivered in-process
+onPaymentEvent(applyPaymentEvent);
+
+module.exports = {
+  chargeBooking,
+  refundBooking,
+  applyPaymentEvent
+};
@@ -0,0 +1,52 @@
+// Service.requirements flags and the matching Pet fields. Each requirement
+// is met when the pet's field of the same name is true.
+const REQUIREMENTS = {
+  vaccinated: 'vaccinated',
+  spayedNeutered: 'spayed/neutered',
+  microchipped: 'microchipped'
+};
+
+// Requirements of the service the pet does not meet, as readable labels
+const getUnmetRequirements = (requirements = {}, pet) => {
+  return Object.keys(REQUIREMENTS)
+    .filter(key => requirements[key] && !pet[key])
+    .map(key => REQUIREMENTS[key]);
+};
+
+// Unmet requirements for each pet that falls short, or an empty array
+const checkPetRequirements = (requirements, pets) => {
+  return pets
+    .map(pet => ({
+      pet: pet._id,
+      name: pet.name,
+      unmet: getUnmetRequirements(requirements, pet)
+    }))
+    .filter(result => result.unmet.length > 0);
+};
+
+const formatUnmetRequirements = (results) => {
+  return results
+    .map(result => `${result.name} must be ${result.unmet.join(', ')}`)
+    .join('; ');
+};
+
+// Query conditions matching only services whose requirements the pet meets
+const buildRequirementsFilter = (pet) => {
+  const filter = {};
+
+  Object.keys(REQUIREMENTS)
+    .filter(key => !pet[key])
+    .forEach(key => {
+      filter[`requirements.${key}`] = { $ne: true };
+    });
+
+  return filter;
+};
+
+module.exports = {
+  REQUIREMENTS,
+  getUnmetRequirements,
+  checkPetRequirements,
+  formatUnmetRequirements,
+  buildRequirementsFilter
+};
@@ -0,0 +1,63 @@
+// Size classes used by Service.petSizes
+const PET_SIZES = ['small', 'medium', 'large', 'extra_large'];
+
+// Upper weight bound (in lbs) of each size class per species; anything
+// heavier is extra_large. Species without bounds are always small.
+const SIZE_THRESHOLDS = {
+  dog: { small: 20, medium: 50, large: 90 },
+  cat: { small: 8, medium: 12, large: 18 },
+  rabbit: { small: 4, medium: 8, large: 12 },
+  other: { small: 20, medium: 50, large: 90 }
+};
+
+const ALWAYS_SMALL = ['bird', 'fish', 'hamster'];
+
+// Size class from species and weight, or null when it can't be told
+const classifyPetSize = (species, weight) => {
+  if (ALWAYS_SMALL.includes(species)) return 'small';
+
+  const thresholds = SIZE_THRESHOLDS[species];
+  if (!thresholds || weight === undefined || weight === null) return null;
+
+  if (weight <= thresholds.small) return 'small';
+  if (weight <= thresholds.medium) return 'medium';
+  if (weight <= thresholds.large) return 'large';
+  return 'extra_large';
+};
+
+// The owner's chosen size wins over the derived one
+const getPetSize = (pet) => pet.sizeOverride || classifyPetSize(pet.species, pet.weight);
+
+// Reason the service won't take this pet because of its size, or null
+const checkPetSize = (petSizes, pet) => {
+  if (!petSizes || petSizes.length === 0) return null;
+
+  const size = getPetSize(pet);
+
+  if (!size) {
+    return `${pet.name}'s size is unknown; add a weight or set a size to book a service for ${petSizes.join(', ')} pets`;
+  }
+
+  if (!petSizes.includes(size)) {
+    return `This service only accepts ${petSizes.join(', ')} pets, but ${pet.name} is ${size}`;
+  }
+
+  return null;
+};
+
+// Query conditions matching services that accept the given size. Services
+// without any petSizes accept every size.
+const buildPetSizeFilter = (size) => {
+  if (!size) {
+    return { petSizes: { $size: 0 } };
+  }
+  return { $or: [{ petSizes: size }, { petSizes: { $size: 0 } }] };
+};
+
+module.exports = {
+  PET_SIZES,
+  classifyPetSize,
+  getPetSize,
+  checkPetSize,
+  buildPetSizeFilter
+};
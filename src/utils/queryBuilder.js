@@ -0,0 +1,156 @@
+// Shared query-string handling for listing endpoints. Each endpoint declares
+// which parameters it filters and sorts on; anything else is rejected with a
+// 400 naming the offending parameter.
+//
+// Filter specs map a query parameter to a document field:
+//   { field, type: 'string' | 'enum' | 'regex' | 'number' | 'boolean' | 'date' | 'text', op, values }
+// `op` (e.g. '$gte') turns the value into a comparison, so several parameters
+// can constrain the same field (minPrice/maxPrice).
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const PAGINATION_PARAMS = ['page', 'limit', 'sort', 'cursor'];
+
+const queryError = (parameter, message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.parameter = parameter;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseValue = (param, spec, raw) => {
+  switch (spec.type) {
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        throw queryError(param, `Invalid ${param}: must be one of ${spec.values.join(', ')}`);
+      }
+      return raw;
+
+    case 'regex':
+      return new RegExp(escapeRegex(raw), 'i');
+
+    case 'number': {
+      const number = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(number)) {
+        throw queryError(param, `Invalid ${param}: must be a number`);
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        throw queryError(param, `Invalid ${param}: must be true or false`);
+      }
+      return raw === 'true';
+
+    case 'date': {
+      const date = new Date(raw);
+      if (isNaN(date.getTime())) {
+        throw queryError(param, `Invalid ${param}: must be a valid date`);
+      }
+      return date;
+    }
+
+    default:
+      return raw;
+  }
+};
+
+const parsePositiveInt = (param, raw, fallback) => {
+  if (raw === undefined) return fallback;
+
+  const number = Number(raw);
+  if (!Number.isInteger(number) || number < 1) {
+    throw queryError(param, `Invalid ${param}: must be a positive integer`);
+  }
+  return number;
+};
+
+// "-price,title" -> { price: -1, title: 1 }, restricted to sortable fields
+const parseSort = (raw, sortable, defaultSort) => {
+  if (raw === undefined || raw === '') return defaultSort;
+
+  const sort = {};
+  raw.split(',').forEach(entry => {
+    const field = entry.trim().replace(/^-/, '');
+
+    if (!sortable.includes(field)) {
+      throw queryError('sort', `Invalid sort: "${field}" is not sortable (allowed: ${sortable.join(', ')})`);
+    }
+    sort[field] = entry.trim().startsWith('-') ? -1 : 1;
+  });
+
+  return sort;
+};
+
+// Build { filter, sort, page, limit, skip, usePages, cursor } from req.query.
+// Numbered pages are only used when `page` is passed; see utils/pagination.
+// `allowed` lists extra parameters the endpoint handles itself.
+const buildListQuery = (params, {
+  filters = {},
+  sortable = [],
+  defaultSort = {},
+  allowed = [],
+  baseFilter = {},
+  maxLimit = MAX_LIMIT
+} = {}) => {
+  const known = [...Object.keys(filters), ...PAGINATION_PARAMS, ...allowed];
+
+  Object.keys(params).forEach(param => {
+    if (!known.includes(param)) {
+      throw queryError(param, `Unknown query parameter: ${param}`);
+    }
+    // Arrays and objects (e.g. ?city[$ne]=x) are never valid
+    if (typeof params[param] !== 'string') {
+      throw queryError(param, `Invalid ${param}: must be a single value`);
+    }
+  });
+
+  const filter = { ...baseFilter };
+
+  Object.entries(filters).forEach(([param, spec]) => {
+    const raw = params[param];
+    if (raw === undefined || raw === '') return;
+
+    if (spec.type === 'text') {
+      filter.$text = { $search: raw };
+      return;
+    }
+
+    const value = parseValue(param, spec, raw);
+
+    if (spec.op) {
+      filter[spec.field] = { ...filter[spec.field], [spec.op]: value };
+    } else {
+      filter[spec.field] = value;
+    }
+  });
+
+  if (params.page !== undefined && params.cursor !== undefined) {
+    throw queryError('cursor', 'Invalid cursor: cannot be combined with page');
+  }
+
+  const page = parsePositiveInt('page', params.page, 1);
+  const limit = Math.min(parsePositiveInt('limit', params.limit, DEFAULT_LIMIT), maxLimit);
+
+  return {
+    filter,
+    sort: parseSort(params.sort, sortable, defaultSort),
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    usePages: params.page !== undefined,
+    cursor: params.cursor || null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  queryError,
+  escapeRegex,
+  buildListQuery
+};
@@ -0,0 +1,69 @@
+const { DAYS, toMinutes } = require('./availability');
+
+// Weekly recurrence rules for booking series, e.g. Mon/Wed/Fri at 08:00 for
+// 8 weeks:
+//   { days: ['monday', 'wednesday', 'friday'], time: '08:00',
+//     durationMinutes: 60, startDate: '2031-06-02', weeks: 8 }
+// Like availability checks, times are in the server's local time zone.
+
+const MAX_WEEKS = 26;
+
+// Largest series a single request may create
+const MAX_OCCURRENCES = 100;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// "HH:MM" of a date, in local time
+const formatTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// "2031-06-02" is the local calendar day, not midnight UTC as new Date() reads it
+const parseLocalDate = (value) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+};
+
+// Expand a rule into [{ startDate, endDate }] in date order. The first week
+// starts on rule.startDate, so earlier days that week are skipped.
+const expandRecurrence = ({ days, time, durationMinutes, startDate, weeks }) => {
+  const first = parseLocalDate(startDate);
+  const minutes = toMinutes(time);
+  const occurrences = [];
+
+  for (let offset = 0; offset < weeks * 7; offset++) {
+    const start = new Date(
+      first.getFullYear(),
+      first.getMonth(),
+      first.getDate() + offset,
+      Math.floor(minutes / 60),
+      minutes % 60
+    );
+
+    if (days.includes(DAYS[start.getDay()])) {
+      occurrences.push({
+        startDate: start,
+        endDate: new Date(start.getTime() + durationMinutes * 60 * 1000)
+      });
+    }
+  }
+
+  return occurrences;
+};
+
+// "Every monday, wednesday and friday at 08:00 for 8 weeks"
+const describeRecurrence = ({ days, time, weeks }) => {
+  const ordered = DAYS.filter(day => days.includes(day));
+  const dayList = ordered.length > 1
+    ? `${ordered.slice(0, -1).join(', ')} and ${ordered[ordered.length - 1]}`
+    : ordered[0];
+
+  return `Every ${dayList} at ${time} for ${weeks} week${weeks !== 1 ? 's' : ''}`;
+};
+
+module.exports = {
+  MAX_WEEKS,
+  MAX_OCCURRENCES,
+  formatTime,
+  parseLocalDate,
+  expandRecurrence,
+  describeRecurrence
+};
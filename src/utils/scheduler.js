@@ -0,0 +1,94 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const logger = require('../config/logger');
+
+// Runs recurring jobs inside the server. Every tick, each job that is due is
+// locked in MongoDB (ScheduledJob.claim), run, and released with its next run
+// time, so schedules survive restarts and only one instance runs a job at a
+// time. A job that crashes its instance is retried once its lock expires.
+//
+// jobs: [{ name, interval (ms), run: async (now) => result }]
+const createScheduler = (jobs, {
+  tickMs = 60 * 1000,
+  lockMs = 10 * 60 * 1000,
+  instanceId = `${os.hostname()}:${process.pid}`
+} = {}) => {
+  let timer = null;
+  let running = null;
+
+  // Create missing job documents, due straight away; keep existing schedules
+  const register = () => Promise.all(jobs.map(job => ScheduledJob.updateOne(
+    { name: job.name },
+    { $set: { interval: job.interval }, $setOnInsert: { nextRunAt: new Date() } },
+    { upsert: true }
+  )));
+
+  const runJob = async (job, now) => {
+    const claimed = await ScheduledJob.claim(job.name, instanceId, lockMs, now);
+    if (!claimed) return undefined;
+
+    try {
+      const result = await job.run(now);
+      await ScheduledJob.release(claimed, { result });
+      return result;
+    } catch (error) {
+      logger.error(`Scheduled job ${job.name} failed: ${error.message}`);
+      await ScheduledJob.release(claimed, { error });
+      return undefined;
+    }
+  };
+
+  // Run every due job, one after another. Resolves to { [name]: result } for
+  // the jobs that ran successfully.
+  const tick = async (now = new Date()) => {
+    const results = {};
+
+    for (const job of jobs) {
+      try {
+        const result = await runJob(job, now);
+        if (result !== undefined) results[job.name] = result;
+      } catch (error) {
+        // e.g. the database is unreachable; try again next tick
+        logger.error(`Could not run scheduled job ${job.name}: ${error.message}`);
+      }
+    }
+
+    return results;
+  };
+
+  // Skip a tick if the previous one is still running
+  const runTick = () => {
+    if (running) return;
+    running = tick().finally(() => {
+      running = null;
+    });
+  };
+
+  const start = async () => {
+    if (timer) return;
+
+    await register();
+    timer = setInterval(runTick, tickMs);
+    if (timer.unref) timer.unref();
+
+    logger.info(`⏰ Scheduler started with ${jobs.length} job(s)`);
+    runTick();
+  };
+
+  // Stop ticking and wait for the current tick to finish
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    if (running) await running;
+  };
+
+  return {
+    start,
+    stop,
+    tick
+  };
+};
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,91 @@
+// Facet counts for service listings, computed in a single $facet aggregation
+// over the same filter as the listing itself.
+
+// Lower bounds of each price bucket; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 25, 50, 100, 200];
+
+// Lower bounds of each rating band (ratings run from 0 to 5)
+const RATING_BANDS = [0, 3, 4, 4.5];
+
+const MAX_CITY_FACETS = 20;
+
+const buildFacetPipeline = (filter) => [
+  { $match: filter },
+  {
+    $facet: {
+      serviceType: [
+        { $group: { _id: '$serviceType', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      petTypes: [
+        { $unwind: '$petTypes' },
+        { $group: { _id: '$petTypes', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      price: [
+        {
+          $bucket: {
+            groupBy: '$price',
+            boundaries: PRICE_BUCKETS,
+            default: 'over',
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      rating: [
+        {
+          $bucket: {
+            groupBy: { $ifNull: ['$rating.average', 0] },
+            boundaries: [...RATING_BANDS, 5.01],
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      city: [
+        { $group: { _id: '$location.city', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_CITY_FACETS }
+      ],
+      instantBooking: [
+        { $group: { _id: { $ifNull: ['$instantBooking', false] }, count: { $sum: 1 } } },
+        { $sort: { _id: -1 } }
+      ]
+    }
+  }
+];
+
+const toValueCounts = (groups) => groups.map(group => ({ value: group._id, count: group.count }));
+
+// Give each bucket its range; buckets without services are omitted
+const toRanges = (groups, bounds, upper) => groups.map(group => {
+  if (group._id === 'over') {
+    return { min: bounds[bounds.length - 1], max: null, count: group.count };
+  }
+
+  const index = bounds.indexOf(group._id);
+  return {
+    min: group._id,
+    max: index < bounds.length - 1 ? bounds[index + 1] : upper,
+    count: group.count
+  };
+});
+
+const formatFacets = (result) => {
+  const facets = result[0] || {};
+
+  return {
+    serviceType: toValueCounts(facets.serviceType || []),
+    petTypes: toValueCounts(facets.petTypes || []),
+    price: toRanges(facets.price || [], PRICE_BUCKETS, null),
+    rating: toRanges(facets.rating || [], RATING_BANDS, 5),
+    city: toValueCounts(facets.city || []),
+    instantBooking: toValueCounts(facets.instantBooking || [])
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  RATING_BANDS,
+  buildFacetPipeline,
+  formatFacets
+};
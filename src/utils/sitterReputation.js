@@ -0,0 +1,78 @@
+// Reputation figures for a sitter's public profile, aggregated from their
+// services and bookings rather than stored on the user.
+
+// Review-weighted rating across a sitter's active services
+const buildRatingPipeline = (sitterId) => [
+  { $match: { sitter: sitterId, isActive: true, 'rating.count': { $gt: 0 } } },
+  {
+    $group: {
+      _id: null,
+      weightedSum: { $sum: { $multiply: ['$rating.average', '$rating.count'] } },
+      count: { $sum: '$rating.count' }
+    }
+  }
+];
+
+const formatRating = (result) => {
+  const stats = result[0];
+
+  if (!stats || stats.count === 0) {
+    return { average: 0, count: 0 };
+  }
+
+  return {
+    average: Math.round(stats.weightedSum / stats.count * 10) / 10,
+    count: stats.count
+  };
+};
+
+// Completed bookings per client, and how long the sitter took to confirm or
+// decline requests
+const buildBookingStatsPipeline = (sitterId) => [
+  { $match: { sitter: sitterId } },
+  {
+    $facet: {
+      clients: [
+        { $match: { status: 'completed' } },
+        { $group: { _id: '$owner', bookings: { $sum: 1 } } }
+      ],
+      responses: [
+        { $match: { respondedAt: { $exists: true } } },
+        {
+          $group: {
+            _id: null,
+            averageMs: { $avg: { $subtract: ['$respondedAt', '$createdAt'] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]
+    }
+  }
+];
+
+const formatBookingStats = (result) => {
+  const { clients = [], responses = [] } = result[0] || {};
+
+  const completedBookings = clients.reduce((sum, client) => sum + client.bookings, 0);
+  const repeatClients = clients.filter(client => client.bookings > 1).length;
+  const response = responses[0];
+
+  return {
+    completedBookings,
+    clients: clients.length,
+    // Share of clients who came back for another booking
+    repeatClientRate: clients.length > 0
+      ? Math.round(repeatClients / clients.length * 100) / 100
+      : null,
+    responseTime: response
+      ? { averageMinutes: Math.round(response.averageMs / 60000), responses: response.count }
+      : { averageMinutes: null, responses: 0 }
+  };
+};
+
+module.exports = {
+  buildRatingPipeline,
+  formatRating,
+  buildBookingStatsPipeline,
+  formatBookingStats
+};
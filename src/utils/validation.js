@@ -1,4 +1,8 @@
 const Joi = require('joi');
+const { PET_SIZES } = require('./petSize');
+const { NOTIFICATION_TYPES } = require('./notificationTypes');
+const { DAYS } = require('./availability');
+const { MAX_WEEKS } = require('./recurrence');
 
 // User validation schemas
 const registerSchema = Joi.object({
@@ -69,6 +73,40 @@ const loginSchema = Joi.object({
     })
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address'
+    })
+});
+
+const resetPasswordSchema = Joi.object({
+  password: Joi.string()
+    .min(6)
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'string.min': 'Password must be at least 6 characters long'
+    })
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Refresh token is required',
+      'any.required': 'Refresh token is required'
+    })
+});
+
+// Logging out with an expired access token still ends the session
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string()
+});
+
 const updateUserSchema = Joi.object({
   name: Joi.string()
     .trim()
@@ -155,6 +193,14 @@ const petSchema = Joi.object({
       'number.min': 'Weight cannot be negative'
     }),
   
+  sizeOverride: Joi.string()
+    .valid(...PET_SIZES)
+    .allow(null)
+    .optional()
+    .messages({
+      'any.only': `Size must be one of: ${PET_SIZES.join(', ')}`
+    }),
+  
   gender: Joi.string()
     .valid('male', 'female', 'unknown')
     .optional(),
@@ -271,12 +317,26 @@ const serviceSchema = Joi.object({
       'array.min': 'At least one pet type must be selected'
     }),
   
+  petSizes: Joi.array()
+    .items(Joi.string().valid(...PET_SIZES))
+    .optional()
+    .messages({
+      'any.only': `Pet sizes must be from: ${PET_SIZES.join(', ')}`
+    }),
+  
   maxPets: Joi.number()
     .integer()
     .min(1)
     .optional()
     .messages({
       'number.min': 'Must accommodate at least 1 pet'
+    }),
+  
+  cancellationPolicy: Joi.string()
+    .valid('flexible', 'moderate', 'strict')
+    .optional()
+    .messages({
+      'any.only': 'Cancellation policy must be one of: flexible, moderate, strict'
     })
 });
 
@@ -289,11 +349,19 @@ const bookingSchema = Joi.object({
     }),
   
   pet: Joi.string()
-    .required()
     .messages({
       'string.empty': 'Pet ID is required'
     }),
   
+  pets: Joi.array()
+    .items(Joi.string())
+    .min(1)
+    .unique()
+    .messages({
+      'array.min': 'At least one pet must be selected',
+      'array.unique': 'Each pet can only be added to a booking once'
+    }),
+  
   startDate: Joi.date()
     .min('now')
     .required()
@@ -322,12 +390,211 @@ const bookingSchema = Joi.object({
     phone: Joi.string().required(),
     relationship: Joi.string().optional()
   }).optional()
+}).or('pet', 'pets')
+  .messages({
+    'object.missing': 'Pet ID is required'
+  });
+
+// Recurring bookings share the booking fields, with a weekly rule in place
+// of the start and end dates
+const bookingSeriesSchema = bookingSchema.fork(['startDate', 'endDate'], field => field.forbidden())
+  .keys({
+    startTime: Joi.forbidden(),
+    endTime: Joi.forbidden(),
+    recurrence: Joi.object({
+      frequency: Joi.string()
+        .valid('weekly')
+        .default('weekly')
+        .messages({
+          'any.only': 'Only weekly recurrence is supported'
+        }),
+      days: Joi.array()
+        .items(Joi.string().valid(...DAYS))
+        .min(1)
+        .unique()
+        .required()
+        .messages({
+          'any.only': `Days must be from: ${DAYS.join(', ')}`,
+          'array.min': 'Choose at least one day of the week',
+          'array.unique': 'Each day can only be listed once',
+          'any.required': 'Recurrence days are required'
+        }),
+      time: Joi.string()
+        .pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+        .required()
+        .messages({
+          'string.pattern.base': 'Time must be in HH:MM format',
+          'any.required': 'Recurrence time is required'
+        }),
+      durationMinutes: Joi.number()
+        .integer()
+        .min(15)
+        .max(24 * 60)
+        .required()
+        .messages({
+          'number.min': 'Each booking must last at least 15 minutes',
+          'number.max': 'Each booking can last at most 24 hours',
+          'any.required': 'Booking duration is required'
+        }),
+      startDate: Joi.date()
+        .required()
+        .messages({
+          'date.base': 'Recurrence start date must be a valid date',
+          'any.required': 'Recurrence start date is required'
+        }),
+      weeks: Joi.number()
+        .integer()
+        .min(1)
+        .max(MAX_WEEKS)
+        .required()
+        .messages({
+          'number.min': 'A series must run for at least 1 week',
+          'number.max': `A series can run for at most ${MAX_WEEKS} weeks`,
+          'any.required': 'Number of weeks is required'
+        })
+    }).required()
+      .messages({
+        'any.required': 'A recurrence rule is required'
+      })
+  });
+
+const cancelBookingSeriesSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .messages({
+      'string.max': 'Cancellation reason cannot exceed 500 characters'
+    })
+});
+
+// Payment validation schemas
+const paymentSchema = Joi.object({
+  paymentMethod: Joi.string()
+    .valid('credit_card', 'debit_card', 'paypal')
+    .required()
+    .messages({
+      'any.only': 'Payment method must be one of: credit_card, debit_card, paypal',
+      'any.required': 'Payment method is required'
+    }),
+  
+  source: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Payment source token is required',
+      'any.required': 'Payment source token is required'
+    })
+});
+
+// Review validation schemas
+const reviewSchema = Joi.object({
+  rating: Joi.number()
+    .integer()
+    .min(1)
+    .max(5)
+    .required()
+    .messages({
+      'number.base': 'Rating must be a number',
+      'number.min': 'Rating must be at least 1',
+      'number.max': 'Rating cannot be more than 5',
+      'any.required': 'Rating is required'
+    }),
+  
+  comment: Joi.string()
+    .trim()
+    .max(1000)
+    .optional()
+    .messages({
+      'string.max': 'Comment cannot exceed 1000 characters'
+    })
+});
+
+const reviewReplySchema = Joi.object({
+  comment: Joi.string()
+    .trim()
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'Reply comment is required',
+      'string.max': 'Reply cannot exceed 1000 characters',
+      'any.required': 'Reply comment is required'
+    })
+});
+
+// Messaging validation schemas
+const messageBody = Joi.string()
+  .trim()
+  .max(2000)
+  .required()
+  .messages({
+    'string.empty': 'Message cannot be empty',
+    'string.max': 'Message cannot exceed 2000 characters',
+    'any.required': 'Message body is required'
+  });
+
+const conversationSchema = Joi.object({
+  booking: Joi.string(),
+  service: Joi.string(),
+  body: messageBody
+}).xor('booking', 'service')
+  .messages({
+    'object.missing': 'Either a booking or a service is required',
+    'object.xor': 'A conversation is about either a booking or a service, not both'
+  });
+
+const messageSchema = Joi.object({
+  body: messageBody
+});
+
+// Notification validation schemas
+// Form values such as "false" are converted; unknown types are rejected
+// rather than stripped, so a typo isn't reported as a successful update
+const notificationPreferencesSchema = Joi.object(
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, Joi.boolean()]))
+).min(1)
+  .options({ stripUnknown: false })
+  .messages({
+    'boolean.base': 'Notification preferences must be true or false',
+    'object.min': `Provide at least one of: ${NOTIFICATION_TYPES.join(', ')}`,
+    'object.unknown': `{#label} is not a notification type. Use one of: ${NOTIFICATION_TYPES.join(', ')}`
+  });
+
+// Admin validation schemas
+const suspendUserSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      'string.empty': 'Suspension reason is required',
+      'string.max': 'Suspension reason cannot exceed 500 characters',
+      'any.required': 'Suspension reason is required'
+    })
+});
+
+const featureServiceSchema = Joi.object({
+  featured: Joi.boolean()
+    .required()
+    .messages({
+      'boolean.base': 'Featured must be true or false',
+      'any.required': 'Featured flag is required'
+    })
+});
+
+const adminCancelBookingSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      'string.empty': 'Cancellation reason is required',
+      'string.max': 'Cancellation reason cannot exceed 500 characters',
+      'any.required': 'Cancellation reason is required'
+    })
 });
 
 // Validation middleware factory
 const validate = (schema) => {
   return (req, res, next) => {
-    console.log('Validating data:', req.body); // Debug log
     const { error } = schema.validate(req.body, { 
       abortEarly: false,
       stripUnknown: true
@@ -339,7 +606,6 @@ const validate = (schema) => {
         message: detail.message,
         value: detail.context.value
       }));
-      console.log('Validation errors:', errors); // Debug log
       
       // Create a more descriptive message based on the validation errors
       let message = 'Validation failed';
@@ -366,9 +632,24 @@ module.exports = {
   schemas: {
     register: registerSchema,
     login: loginSchema,
+    forgotPassword: forgotPasswordSchema,
+    resetPassword: resetPasswordSchema,
+    refreshToken: refreshTokenSchema,
+    logout: logoutSchema,
     updateUser: updateUserSchema,
     pet: petSchema,
     service: serviceSchema,
-    booking: bookingSchema
+    booking: bookingSchema,
+    bookingSeries: bookingSeriesSchema,
+    cancelBookingSeries: cancelBookingSeriesSchema,
+    payment: paymentSchema,
+    review: reviewSchema,
+    reviewReply: reviewReplySchema,
+    conversation: conversationSchema,
+    message: messageSchema,
+    notificationPreferences: notificationPreferencesSchema,
+    suspendUser: suspendUserSchema,
+    featureService: featureServiceSchema,
+    adminCancelBooking: adminCancelBookingSchema
   }
 };